@@ -1,16 +1,80 @@
-// create-keypair.js
-
+// createkp.js
+// ================================================================
+// Puts the fee payer into the encrypted keystore (sdk/keystore.js).
+//
+//   node createkp.js            SOLANA_FEE_PAYER_PK → keystore.json
+//   node createkp.js --migrate  keypair.json        → keystore.json
+//   node createkp.js --meta     also generate fresh meta keys
+//   node createkp.js --force    replace a different fee payer already
+//                               in the keystore
+//
+// .env: KEYSTORE_PASSWORD   required
+//       SOLANA_FEE_PAYER_PK base58 secret key (unless --migrate)
+//       KEYSTORE_PATH       default keystore.json
+// Existing keys in the keystore are kept unless --force; secrets are
+// never printed.
+// ================================================================
 import fs from "fs";
+import "dotenv/config";
 import { Keypair } from "@solana/web3.js";
-import 'dotenv/config';
-import bs58 from 'bs58';
+import {
+  encodeMetaAddress,
+  keypairFromSecret,
+  migrateKeypairFile,
+  readKeystore,
+  writeKeystore,
+} from "./sdk/index.js";
+
+const {
+  KEYSTORE_PASSWORD,
+  SOLANA_FEE_PAYER_PK,
+  KEYSTORE_PATH = "keystore.json",
+} = process.env;
+if (!KEYSTORE_PASSWORD) throw new Error("Set KEYSTORE_PASSWORD in .env");
+const args = process.argv.slice(2);
+const force = args.includes("--force");
+
+let keys = fs.existsSync(KEYSTORE_PATH)
+  ? await readKeystore(KEYSTORE_PATH, KEYSTORE_PASSWORD)
+  : {};
 
-// const keypair = Keypair.fromSecretKey(
-//     bs58.decode(process.env.SOLANA_FEE_PAYER_PK)
-// );
-const secretKey = Array.from(bs58.decode(process.env.SOLANA_FEE_PAYER_PK));
+if (args.includes("--migrate")) {
+  const feePayer = await migrateKeypairFile(
+    "keypair.json",
+    KEYSTORE_PATH,
+    KEYSTORE_PASSWORD,
+    { overwrite: force },
+  );
+  keys = await readKeystore(KEYSTORE_PATH, KEYSTORE_PASSWORD);
+  console.log(`✅ keypair.json migrated to ${KEYSTORE_PATH}`);
+  console.log("📌 Fee payer:", feePayer.publicKey.toBase58());
+  console.log("   Delete keypair.json once the keystore works for you.");
+} else {
+  if (!SOLANA_FEE_PAYER_PK) throw new Error("Set SOLANA_FEE_PAYER_PK in .env");
+  const feePayer = keypairFromSecret(SOLANA_FEE_PAYER_PK);
+  if (
+    keys.feePayer &&
+    !force &&
+    !keys.feePayer.publicKey.equals(feePayer.publicKey)
+  )
+    throw new Error(
+      "Keystore already has a different fee payer; use --force to replace it",
+    );
+  keys.feePayer = feePayer;
+  console.log("📌 Fee payer:", keys.feePayer.publicKey.toBase58());
+}
 
-fs.writeFileSync("keypair.json", JSON.stringify(secretKey));
+if (args.includes("--meta")) {
+  if (keys.metaSpend) throw new Error("Keystore already has meta keys");
+  keys.metaSpend = Keypair.generate();
+  keys.metaView = Keypair.generate();
+  console.log(
+    "📌 Meta-address:",
+    encodeMetaAddress(keys.metaSpend.publicKey, keys.metaView.publicKey),
+  );
+}
 
-console.log("✅ Keypair saved to keypair.json");
-// console.log("📌 Public Key:", keypair.publicKey.toBase58());
\ No newline at end of file
+await writeKeystore(KEYSTORE_PATH, keys, KEYSTORE_PASSWORD);
+console.log(
+  `✅ Keys saved to ${KEYSTORE_PATH}: ${Object.keys(keys).join(", ")}`,
+);
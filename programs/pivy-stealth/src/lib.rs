@@ -1,11 +1,18 @@
 //! PIVY Stealth Payment Program
 //! ============================
 //! Privacy-preserving one-way escrow for Solana SPL tokens (incl. WSOL).
+//! Mints of both the legacy Token program and Token-2022 are accepted.
 
 use anchor_lang::prelude::*;
 use anchor_spl::{
     associated_token::AssociatedToken,
-    token::{self, CloseAccount, Mint, Token, TokenAccount, Transfer},
+    token_2022::spl_token_2022::{
+        extension::{
+            transfer_fee::TransferFeeAmount, BaseStateWithExtensions, StateWithExtensions,
+        },
+        state::Account as SplTokenAccount,
+    },
+    token_interface::{self, CloseAccount, Mint, TokenAccount, TokenInterface, TransferChecked},
 };
 
 declare_id!("ECytFKSRMLkWYPp1jnnCEt8AcdnUeaLfKyfr16J3SgUk");
@@ -27,6 +34,8 @@ pub struct PaymentEvent {
     pub stealth_owner: Pubkey,
     pub payer: Pubkey,
     pub mint: Pubkey,
+    /// `pay`: amount credited to the stealth ATA, i.e. net of any
+    /// Token-2022 transfer fee. `announce`: as given.
     pub amount: u64,
     pub label: [u8; 32],
     pub eph_pubkey: Pubkey,
@@ -40,10 +49,25 @@ pub struct PaymentEvent {
 pub struct WithdrawEvent {
     pub stealth_owner: Pubkey,
     pub mint: Pubkey,
+    /// Debited from the stealth ATA; the destination receives it minus
+    /// any Token-2022 transfer fee.
     pub amount: u64,
     pub destination: Pubkey,
 }
 
+/// Token-2022 refuses to close an account still holding withheld
+/// transfer fees; such a stealth ATA is left open (and empty).
+fn has_withheld_fees(account: &AccountInfo) -> Result<bool> {
+    if *account.owner != anchor_spl::token_2022::ID {
+        return Ok(false);
+    }
+    let data = account.try_borrow_data()?;
+    let state = StateWithExtensions::<SplTokenAccount>::unpack(&data)?;
+    Ok(state
+        .get_extension::<TransferFeeAmount>()
+        .map_or(false, |fees| u64::from(fees.withheld_amount) > 0))
+}
+
 /* ------------------------------------------------------------------ */
 /*                               Pay                                  */
 /* ------------------------------------------------------------------ */
@@ -65,9 +89,10 @@ pub struct Pay<'info> {
         init_if_needed,
         payer = payer,
         associated_token::mint = mint,
-        associated_token::authority = stealth_owner
+        associated_token::authority = stealth_owner,
+        associated_token::token_program = token_program
     )]
-    pub stealth_ata: Box<Account<'info, TokenAccount>>,
+    pub stealth_ata: Box<InterfaceAccount<'info, TokenAccount>>,
 
     #[account(mut)]
     pub payer: Signer<'info>,
@@ -78,12 +103,14 @@ pub struct Pay<'info> {
         constraint = payer_ata.owner == payer.key(),
         constraint = payer_ata.mint == mint.key()
     )]
-    pub payer_ata: Box<Account<'info, TokenAccount>>,
+    pub payer_ata: Box<InterfaceAccount<'info, TokenAccount>>,
 
-    pub mint: Box<Account<'info, Mint>>,
+    #[account(mint::token_program = token_program)]
+    pub mint: Box<InterfaceAccount<'info, Mint>>,
 
     pub system_program: Program<'info, System>,
-    pub token_program: Program<'info, Token>,
+    /// Token program owning `mint` (legacy Token or Token-2022)
+    pub token_program: Interface<'info, TokenInterface>,
     pub associated_token_program: Program<'info, AssociatedToken>,
     pub rent: Sysvar<'info, Rent>,
 }
@@ -91,23 +118,30 @@ pub struct Pay<'info> {
 pub fn handle_pay(ctx: Context<Pay>, args: PayArgs) -> Result<()> {
     require!(args.amount > 0, StealthError::InvalidAmount);
 
-    token::transfer(
+    let before = ctx.accounts.stealth_ata.amount;
+    token_interface::transfer_checked(
         CpiContext::new(
             ctx.accounts.token_program.to_account_info(),
-            Transfer {
+            TransferChecked {
                 from: ctx.accounts.payer_ata.to_account_info(),
+                mint: ctx.accounts.mint.to_account_info(),
                 to: ctx.accounts.stealth_ata.to_account_info(),
                 authority: ctx.accounts.payer.to_account_info(),
             },
         ),
         args.amount,
+        ctx.accounts.mint.decimals,
     )?;
 
+    // Transfer-fee mints withhold part of the transfer in the stealth ATA.
+    ctx.accounts.stealth_ata.reload()?;
+    let received = ctx.accounts.stealth_ata.amount - before;
+
     emit!(PaymentEvent {
         stealth_owner: ctx.accounts.stealth_owner.key(),
         payer: ctx.accounts.payer.key(),
         mint: ctx.accounts.mint.key(),
-        amount: args.amount,
+        amount: received,
         label: args.label,
         eph_pubkey: args.eph_pubkey,
         announce: false,
@@ -134,14 +168,15 @@ pub struct Withdraw<'info> {
         constraint = stealth_ata.owner == stealth_owner.key(),
         constraint = stealth_ata.mint  == mint.key(),
     )]
-    pub stealth_ata: Box<Account<'info, TokenAccount>>,
+    pub stealth_ata: Box<InterfaceAccount<'info, TokenAccount>>,
 
     /// Receiver’s own ATA (can be any mint-compatible address)
     #[account(mut)]
-    pub destination_ata: Box<Account<'info, TokenAccount>>,
+    pub destination_ata: Box<InterfaceAccount<'info, TokenAccount>>,
 
-    pub mint: Box<Account<'info, Mint>>,
-    pub token_program: Program<'info, Token>,
+    #[account(mint::token_program = token_program)]
+    pub mint: Box<InterfaceAccount<'info, Mint>>,
+    pub token_program: Interface<'info, TokenInterface>,
 }
 
 pub fn handle_withdraw(ctx: Context<Withdraw>, args: WithdrawArgs) -> Result<()> {
@@ -158,21 +193,25 @@ pub fn handle_withdraw(ctx: Context<Withdraw>, args: WithdrawArgs) -> Result<()>
     };
     require!(amount > 0 && amount <= balance, StealthError::InvalidAmount);
 
-    token::transfer(
+    token_interface::transfer_checked(
         CpiContext::new(
             ctx.accounts.token_program.to_account_info(),
-            Transfer {
+            TransferChecked {
                 from: ctx.accounts.stealth_ata.to_account_info(),
+                mint: ctx.accounts.mint.to_account_info(),
                 to: ctx.accounts.destination_ata.to_account_info(),
                 authority: ctx.accounts.stealth_owner.to_account_info(),
             },
         ),
         amount,
+        ctx.accounts.mint.decimals,
     )?;
 
     ctx.accounts.stealth_ata.reload()?;
-    if ctx.accounts.stealth_ata.amount == 0 {
-        token::close_account(CpiContext::new(
+    if ctx.accounts.stealth_ata.amount == 0
+        && !has_withheld_fees(&ctx.accounts.stealth_ata.to_account_info())?
+    {
+        token_interface::close_account(CpiContext::new(
             ctx.accounts.token_program.to_account_info(),
             CloseAccount {
                 account: ctx.accounts.stealth_ata.to_account_info(),
@@ -210,7 +249,7 @@ pub struct Announce<'info> {
     pub payer: Signer<'info>,
 
     /// Mint referenced in the announcement
-    pub mint: Box<Account<'info, Mint>>,
+    pub mint: Box<InterfaceAccount<'info, Mint>>,
 }
 
 pub fn handle_announce(ctx: Context<Announce>, args: AnnounceArgs) -> Result<()> {
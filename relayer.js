@@ -0,0 +1,61 @@
+// relayer.js
+// ================================================================
+// Reference relayer for gasless stealth withdrawals (sdk/relayer.js).
+//
+//   node relayer.js
+//
+// .env: CHAIN           devnet (default) | mainnet-beta
+//       RELAYER_FEES    {"<mint>": "<fee in base units>", …}
+//       RELAYER_PORT    default 8787
+//       KEYSTORE_PASSWORD, KEYSTORE_PATH (default keystore.json)
+// The fee payer is the keystore's "feePayer" (see createkp.js). The
+// fallback to a legacy plaintext keypair.json is temporary, for setups
+// not yet migrated with `node createkp.js --migrate`. It needs SOL for fees and
+// destination-ATA rent, and an ATA for every mint it accepts.
+// ================================================================
+import fs from "fs";
+import http from "http";
+import "dotenv/config";
+import { Connection } from "@solana/web3.js";
+import {
+  createRelayerHandler,
+  loadKeypair,
+  toNodeListener,
+} from "./sdk/index.js";
+
+const {
+  CHAIN = "devnet",
+  RELAYER_FEES,
+  RELAYER_PORT = "8787",
+  KEYSTORE_PASSWORD,
+  KEYSTORE_PATH = "keystore.json",
+} = process.env;
+if (!RELAYER_FEES) throw new Error("Set RELAYER_FEES in .env");
+
+const RPC =
+  CHAIN === "mainnet-beta"
+    ? "https://api.mainnet-beta.solana.com"
+    : "https://api.devnet.solana.com";
+
+if (!fs.existsSync(KEYSTORE_PATH))
+  console.warn(
+    "⚠️  No keystore; using plaintext keypair.json (deprecated, run `node createkp.js --migrate`)",
+  );
+const feePayer = await loadKeypair(
+  fs.existsSync(KEYSTORE_PATH) ? KEYSTORE_PATH : "keypair.json",
+  { password: KEYSTORE_PASSWORD },
+);
+const fees = JSON.parse(RELAYER_FEES);
+
+const handler = createRelayerHandler({
+  connection: new Connection(RPC, "confirmed"),
+  feePayer,
+  fees,
+});
+
+http.createServer(toNodeListener(handler)).listen(Number(RELAYER_PORT), () => {
+  console.log(`🛰️  Relayer ${feePayer.publicKey.toBase58()} on ${CHAIN}`);
+  console.log(`   http://localhost:${RELAYER_PORT}/quote?mint=<mint>`);
+  for (const [mint, fee] of Object.entries(fees))
+    console.log(`   ${mint}: fee ${fee}`);
+});
@@ -0,0 +1,224 @@
+import { PublicKey } from "@solana/web3.js";
+import { scanPayments, checkAnnouncement } from "./scanner.js";
+import { sharedSecretFromView } from "./stealth.js";
+import { decodeTransactionEvents } from "./events.js";
+import { parseViewingKey } from "./meta-address.js";
+import { readLabel, decryptLabel } from "./label.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+import { toHex } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Auditor reports (view-only)                                     */
+/*──────────────────────────────────────────────────────────────────*/
+// With a viewing key (./meta-address.js) an auditor runs the scanner
+// in view-only mode and lists the receiver's incoming payments. The
+// report is plain JSON built from public event data plus decrypted
+// labels: no view seed, no ephemeral seeds, nothing that spends.
+// Anyone can check it against the chain (each payment is a
+// PaymentEvent in the named transaction); holders of the viewing key
+// can also check that every stealth owner belongs to the meta-address.
+//
+// `announce` events move no funds and carry whatever amount the caller
+// chose, and anyone with the meta-address can aim one at the receiver.
+// They are listed (with `announce: true`) but unverified: `totals`
+// count `pay`s only.
+export const AUDIT_REPORT_VERSION = 1;
+
+function labelJSON({ label, labelData }) {
+  labelData ??= label ? readLabel(label) : null;
+  if (!labelData) return null;
+  const { type, value } = labelData;
+  return { type, value: value instanceof Uint8Array ? toHex(value) : value };
+}
+
+// The label as a report built with the view key shows it: encrypted
+// labels opened, or left sealed when they do not decrypt (as the
+// scanner does).
+async function openedLabelJSON(event, metaViewPriv) {
+  const label = labelJSON(event);
+  if (label?.type !== "encrypted") return label;
+  const shared = await sharedSecretFromView(metaViewPriv, event.ephPubkey);
+  try {
+    return labelJSON({ labelData: decryptLabel(event.label, shared) });
+  } catch {
+    return label;
+  }
+}
+
+const entryJSON = (p) => ({
+  signature: p.signature ?? null,
+  slot: p.slot ?? null,
+  blockTime: p.blockTime ?? null,
+  stealthOwner: new PublicKey(p.stealthOwner).toBase58(),
+  mint: new PublicKey(p.mint).toBase58(),
+  amount: p.amount.toString(),
+  label: labelJSON(p),
+  payer: p.payer ? new PublicKey(p.payer).toBase58() : null,
+  ephPubkey: new PublicKey(p.ephPubkey).toBase58(),
+  announce: Boolean(p.announce),
+});
+
+function totalsOf(payments) {
+  const totals = new Map();
+  for (const p of payments) {
+    if (p.announce) continue;
+    const t = totals.get(p.mint) ?? { mint: p.mint, count: 0, amount: 0n };
+    t.count++;
+    t.amount += BigInt(p.amount);
+    totals.set(p.mint, t);
+  }
+  return [...totals.values()].map((t) => ({
+    ...t,
+    amount: t.amount.toString(),
+  }));
+}
+
+/**
+ * Incoming-payment report for the owner of `viewingKey`.
+ * @param viewingKey  "sv:sol:" string from `encodeViewingKey`
+ * @param events      decoded events, e.g. `indexer.store.events()`; other
+ *                    event names are skipped
+ * @param from, to    optional unix-time bounds (inclusive) on `blockTime`
+ * @returns {Promise<{ version, metaAddress, generatedAt, range, payments,
+ *          totals }>} JSON-ready: pubkeys base58, amounts as decimal
+ *          strings; `payments[i] = { signature, slot, blockTime,
+ *          stealthOwner, mint, amount, label, payer, ephPubkey,
+ *          announce }`, oldest first; `totals[i] = { mint, count,
+ *          amount }` over non-announce payments
+ */
+export async function buildAuditReport({
+  viewingKey,
+  events,
+  from = null,
+  to = null,
+  now = () => Date.now(),
+}) {
+  const { metaViewPriv, metaSpendPub, metaAddress } =
+    parseViewingKey(viewingKey);
+  const inRange = (e) =>
+    (from === null || (e.blockTime ?? -Infinity) >= from) &&
+    (to === null || (e.blockTime ?? Infinity) <= to);
+
+  const found = await scanPayments({
+    metaViewPriv,
+    metaSpendPub,
+    events: events.filter(
+      (e) => (!e.name || e.name === "PaymentEvent") && inRange(e),
+    ),
+  });
+  const payments = found
+    .map(entryJSON)
+    .sort((a, b) => (a.slot ?? 0) - (b.slot ?? 0));
+
+  return {
+    version: AUDIT_REPORT_VERSION,
+    metaAddress,
+    generatedAt: new Date(now()).toISOString(),
+    range: { from, to },
+    payments,
+    totals: totalsOf(payments),
+  };
+}
+
+/**
+ * Checks a report against the chain: every payment must be a
+ * PaymentEvent (same owner, mint, amount, ephemeral key and payer) in a
+ * successful transaction at the stated slot and time, and the totals
+ * must add up. With `viewingKey`, ownership of every stealth owner by
+ * the report's meta-address is checked as well, and so are encrypted
+ * labels (decrypted and compared); without it they are not checked.
+ * @param connection  needs `getTransaction`
+ * @returns {Promise<{ valid: boolean, problems: Array<{ index, signature,
+ *          reason }> }>} `index` is null for report-level problems
+ */
+export async function verifyAuditReport(
+  report,
+  {
+    connection,
+    viewingKey = null,
+    programId = PIVY_PROGRAM_ID,
+    commitment = "confirmed",
+  },
+) {
+  if (report.version !== AUDIT_REPORT_VERSION)
+    throw new Error(`Unsupported audit report version ${report.version}`);
+  const problems = [];
+  const fail = (index, signature, reason) =>
+    problems.push({ index, signature, reason });
+
+  let keys = null;
+  if (viewingKey) {
+    keys = parseViewingKey(viewingKey);
+    if (keys.metaAddress !== report.metaAddress)
+      fail(null, null, "Viewing key is for a different meta-address");
+  }
+  if (
+    JSON.stringify(totalsOf(report.payments)) !== JSON.stringify(report.totals)
+  )
+    fail(null, null, "Totals do not match the payments");
+
+  const transactions = new Map();
+  for (const [index, p] of report.payments.entries()) {
+    if (!p.signature) {
+      fail(index, null, "No transaction signature");
+      continue;
+    }
+    if (!transactions.has(p.signature))
+      transactions.set(
+        p.signature,
+        await connection.getTransaction(p.signature, {
+          commitment,
+          maxSupportedTransactionVersion: 0,
+        }),
+      );
+    const tx = transactions.get(p.signature);
+    if (!tx) {
+      fail(index, p.signature, "Transaction not found");
+      continue;
+    }
+    const event = decodeTransactionEvents(tx, programId).find((e) => {
+      if (e.name !== "PaymentEvent") return false;
+      const j = entryJSON(e);
+      return (
+        j.stealthOwner === p.stealthOwner &&
+        j.mint === p.mint &&
+        j.amount === p.amount &&
+        j.ephPubkey === p.ephPubkey &&
+        j.payer === p.payer &&
+        j.announce === p.announce
+      );
+    });
+    if (!event) {
+      fail(index, p.signature, "No matching PaymentEvent");
+      continue;
+    }
+    const match = entryJSON(event);
+    if (match.slot !== p.slot || match.blockTime !== p.blockTime)
+      fail(index, p.signature, "Slot or block time differs");
+    // Without the view key an encrypted label can only be taken on trust.
+    const label = keys
+      ? await openedLabelJSON(event, keys.metaViewPriv)
+      : match.label;
+    if (
+      (keys || label?.type !== "encrypted") &&
+      JSON.stringify(label) !== JSON.stringify(p.label)
+    )
+      fail(index, p.signature, "Label differs");
+    if (
+      keys &&
+      !(await checkAnnouncement({
+        metaViewPriv: keys.metaViewPriv,
+        metaSpendPub: keys.metaSpendPub,
+        ephPub: p.ephPubkey,
+        stealthOwner: p.stealthOwner,
+      }))
+    )
+      fail(
+        index,
+        p.signature,
+        "Stealth owner not derived from the meta-address",
+      );
+  }
+
+  return { valid: problems.length === 0, problems };
+}
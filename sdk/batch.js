@@ -0,0 +1,339 @@
+import bs58 from "bs58";
+import {
+  PublicKey,
+  Transaction,
+  TransactionInstruction,
+  PACKET_DATA_SIZE,
+} from "@solana/web3.js";
+import { buildPayTransaction } from "./payment.js";
+import {
+  isNativeMint,
+  wrapSolInstructions,
+  unwrapSolInstruction,
+} from "./instructions.js";
+import { fetchMintInfos } from "./mint.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+import { packTransactions } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Batch payments (payroll)                                        */
+/*──────────────────────────────────────────────────────────────────*/
+// One `pay` + memo per recipient, each to its own fresh stealth owner,
+// packed greedily in entry order into as few transactions as fit the
+// packet. Native SOL entries in a transaction share one wrap up front
+// and one unwrap at the end. The payer is the only signer.
+//
+// Execution can be resumed: results carry each transaction's signature
+// and last valid block height, so a rerun with `previous` skips what
+// landed, waits on what may still land, and resends only transactions
+// that can no longer be confirmed. Persist plan and results (see
+// `serializeBatch`) to resume after a crash.
+function batchInstructions(payer, items) {
+  const lamports = items
+    .filter((it) => it.wrap)
+    .reduce((sum, it) => sum + it.receipt.amounts.sent, 0n);
+  const pays = items.flatMap((it) => it.instructions);
+  return lamports > 0n
+    ? [
+        ...wrapSolInstructions(payer, lamports),
+        ...pays,
+        unwrapSolInstruction(payer),
+      ]
+    : pays;
+}
+
+/**
+ * Plans a batch of private payments. Nothing is signed or sent.
+ * @param entries         `[{ metaAddress, mint, amount, label? }]`, amount
+ *                        in base units (see `buildPayTransaction`)
+ * @param payer           pays every entry and all fees
+ * @param connection      optional; reads the mints (Token-2022 programs
+ *                        and transfer fees) so receipts show `fee` /
+ *                        `received`
+ * @param encryptLabels   seal labels for their receivers
+ * @param addTransferFee  entries' amounts are what receivers get
+ * @param wrapSol         pay native SOL entries from SOL (default) rather
+ *                        than the payer's WSOL balance
+ * @param maxSize         serialized transaction bytes
+ * @returns {Promise<{ payer, transactions, receipts }>}
+ *          `transactions[i] = { receipts, instructions, size }`;
+ *          `receipts` (entry order) are `{ index, metaAddress, mint,
+ *          label, stealthOwner, stealthAta, ephPubkey, memo, tokenProgram,
+ *          amounts }` as in `buildPayTransaction`
+ */
+export async function planBatchPayment({
+  entries,
+  payer,
+  connection = null,
+  encryptLabels = false,
+  addTransferFee = false,
+  wrapSol = true,
+  programId = PIVY_PROGRAM_ID,
+  maxSize = PACKET_DATA_SIZE,
+}) {
+  payer = new PublicKey(payer);
+  if (!entries.length) throw new Error("Batch has no entries");
+
+  const mintInfos = new Map();
+  if (connection) {
+    const mints = [
+      ...new Set(entries.map((e) => new PublicKey(e.mint).toBase58())),
+    ];
+    (await fetchMintInfos(connection, mints)).forEach((info, i) =>
+      mintInfos.set(mints[i], info),
+    );
+  }
+
+  const items = [];
+  for (const [index, entry] of entries.entries()) {
+    const label = entry.label ?? null;
+    let mint, built;
+    try {
+      mint = new PublicKey(entry.mint);
+      const mintInfo = mintInfos.get(mint.toBase58()) ?? null;
+      if (connection && !mintInfo)
+        throw new Error(`Mint ${mint.toBase58()} not found`);
+      built = await buildPayTransaction({
+        metaAddress: entry.metaAddress,
+        mint,
+        amount: entry.amount,
+        label,
+        payer,
+        encryptLabel: encryptLabels && label !== null,
+        wrapSol: false,
+        mintInfo,
+        addTransferFee,
+        programId,
+      });
+    } catch (e) {
+      throw new Error(`Entry ${index}: ${e.message}`);
+    }
+    items.push({
+      instructions: built.instructions,
+      wrap: wrapSol && isNativeMint(mint),
+      receipt: {
+        index,
+        metaAddress: entry.metaAddress,
+        mint,
+        label,
+        stealthOwner: built.stealthOwner,
+        stealthAta: built.stealthAta,
+        ephPubkey: built.ephPubkey,
+        memo: built.memo,
+        tokenProgram: built.tokenProgram,
+        amounts: built.amounts,
+      },
+    });
+  }
+
+  const transactions = packTransactions(items, {
+    feePayer: payer,
+    instructions: (group) => batchInstructions(payer, group),
+    fits: ({ size }) => size <= maxSize,
+    tooLarge: (item) =>
+      new Error(`Entry ${item.receipt.index} does not fit in a transaction`),
+  }).map(({ items: group, instructions, size }) => ({
+    receipts: group.map((it) => it.receipt),
+    instructions,
+    size,
+  }));
+
+  return {
+    payer,
+    transactions,
+    receipts: items.map((it) => it.receipt),
+  };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Batch execution                                                 */
+/*──────────────────────────────────────────────────────────────────*/
+// What became of a transaction sent by an earlier run.
+async function priorOutcome(connection, prior, commitment) {
+  const {
+    value: [status],
+  } = await connection.getSignatureStatuses([prior.signature], {
+    searchTransactionHistory: true,
+  });
+  if (status?.err) return "failed"; // failed on chain; nothing moved
+  if (
+    status &&
+    (status.confirmationStatus === "finalized" ||
+      (status.confirmationStatus === "confirmed" && commitment !== "finalized"))
+  )
+    return "confirmed";
+  if (status) return "pending";
+  const height = await connection.getBlockHeight(commitment);
+  return height > prior.lastValidBlockHeight ? "expired" : "pending";
+}
+
+/**
+ * Signs and sends a plan from `planBatchPayment`, one transaction at a
+ * time. Pass the results of an earlier run as `previous` to resume it:
+ * confirmed transactions are kept, ones that may still land come back
+ * "pending" (run again later) and the rest are re-sent.
+ * @param payer       `Keypair` or wallet (`signTransaction`) for
+ *                    `plan.payer`
+ * @param onProgress  called with the results so far before every send
+ *                    and after every outcome — persist them here
+ * @returns {Promise<Array<{ index, status, signature,
+ *          lastValidBlockHeight, error, receipts }>>} status is
+ *          "confirmed", "pending", "failed" or "skipped"
+ */
+export async function executeBatchPayment(
+  plan,
+  {
+    connection,
+    payer,
+    commitment = "confirmed",
+    stopOnError = false,
+    previous = [],
+    onProgress = () => {},
+  },
+) {
+  const results = plan.transactions.map((planned, index) => ({
+    index,
+    status: "skipped",
+    signature: previous[index]?.signature ?? null,
+    lastValidBlockHeight: previous[index]?.lastValidBlockHeight ?? null,
+    error: null,
+    receipts: planned.receipts,
+  }));
+  let halted = false;
+
+  for (const [index, planned] of plan.transactions.entries()) {
+    const result = results[index];
+    if (previous[index]?.status === "confirmed") {
+      result.status = "confirmed";
+      continue;
+    }
+    if (halted) continue;
+
+    try {
+      if (result.signature) {
+        const outcome = await priorOutcome(connection, result, commitment);
+        if (outcome === "confirmed" || outcome === "pending") {
+          result.status = outcome;
+          await onProgress(results);
+          continue;
+        }
+      }
+
+      const { blockhash, lastValidBlockHeight } =
+        await connection.getLatestBlockhash(commitment);
+      let tx = new Transaction({
+        feePayer: plan.payer,
+        blockhash,
+        lastValidBlockHeight,
+      }).add(...planned.instructions);
+      if (payer.secretKey) tx.partialSign(payer);
+      else tx = await payer.signTransaction(tx);
+
+      result.signature = bs58.encode(tx.signature);
+      result.lastValidBlockHeight = lastValidBlockHeight;
+      await onProgress(results);
+      await connection.sendRawTransaction(tx.serialize(), {
+        preflightCommitment: commitment,
+      });
+      const { value } = await connection.confirmTransaction(
+        { signature: result.signature, blockhash, lastValidBlockHeight },
+        commitment,
+      );
+      if (value.err)
+        throw new Error(`Transaction failed: ${JSON.stringify(value.err)}`);
+      result.status = "confirmed";
+    } catch (e) {
+      result.status = "failed";
+      result.error = e;
+      halted = stopOnError;
+    }
+    await onProgress(results);
+  }
+  return results;
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Persistence                                                     */
+/*──────────────────────────────────────────────────────────────────*/
+// Plain JSON: pubkeys as base58, bigints as strings, instruction data
+// and labels as base64 / hex, errors as their message.
+const RECEIPT_KEYS = ["mint", "stealthOwner", "stealthAta", "ephPubkey"];
+
+function receiptToJSON(r) {
+  const out = { ...r, tokenProgram: r.tokenProgram.toBase58() };
+  for (const k of RECEIPT_KEYS) out[k] = r[k].toBase58();
+  if (r.label instanceof Uint8Array || Array.isArray(r.label))
+    out.label = { hex: Buffer.from(r.label).toString("hex") };
+  out.amounts = Object.fromEntries(
+    Object.entries(r.amounts).map(([k, v]) => [k, v?.toString() ?? null]),
+  );
+  return out;
+}
+
+function receiptFromJSON(r) {
+  const out = { ...r, tokenProgram: new PublicKey(r.tokenProgram) };
+  for (const k of RECEIPT_KEYS) out[k] = new PublicKey(r[k]);
+  if (r.label?.hex !== undefined)
+    out.label = Uint8Array.from(Buffer.from(r.label.hex, "hex"));
+  out.amounts = Object.fromEntries(
+    Object.entries(r.amounts).map(([k, v]) => [
+      k,
+      v === null ? null : BigInt(v),
+    ]),
+  );
+  return out;
+}
+
+const instructionToJSON = (ix) => ({
+  programId: ix.programId.toBase58(),
+  keys: ix.keys.map((k) => ({ ...k, pubkey: k.pubkey.toBase58() })),
+  data: ix.data.toString("base64"),
+});
+
+const instructionFromJSON = (ix) =>
+  new TransactionInstruction({
+    programId: new PublicKey(ix.programId),
+    keys: ix.keys.map((k) => ({ ...k, pubkey: new PublicKey(k.pubkey) })),
+    data: Buffer.from(ix.data, "base64"),
+  });
+
+/**
+ * Serializes a batch plan and (optionally) its results for resuming in
+ * another process.
+ * @returns {string} JSON
+ */
+export function serializeBatch(plan, results = []) {
+  return JSON.stringify({
+    payer: plan.payer.toBase58(),
+    transactions: plan.transactions.map((t) => ({
+      receipts: t.receipts.map((r) => r.index),
+      instructions: t.instructions.map(instructionToJSON),
+      size: t.size,
+    })),
+    receipts: plan.receipts.map(receiptToJSON),
+    results: results.map(({ receipts, error, ...r }) => ({
+      ...r,
+      error: error ? String(error.message ?? error) : null,
+    })),
+  });
+}
+
+/** Inverse of `serializeBatch`. @returns {{ plan, results }} */
+export function deserializeBatch(json) {
+  const data = JSON.parse(json);
+  const receipts = data.receipts.map(receiptFromJSON);
+  const plan = {
+    payer: new PublicKey(data.payer),
+    transactions: data.transactions.map((t) => ({
+      receipts: t.receipts.map((i) => receipts[i]),
+      instructions: t.instructions.map(instructionFromJSON),
+      size: t.size,
+    })),
+    receipts,
+  };
+  const results = data.results.map((r) => ({
+    ...r,
+    receipts: plan.transactions[r.index].receipts,
+  }));
+  return { plan, results };
+}
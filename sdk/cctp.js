@@ -0,0 +1,420 @@
+import { Contract } from "ethers";
+import { sha256 } from "@noble/hashes/sha256";
+import {
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+} from "@solana/web3.js";
+import { TOKEN_PROGRAM_ID } from "@solana/spl-token";
+import { bytesToNumberBE, concatBytes, toHex } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  CCTP bridge client                                              */
+/*──────────────────────────────────────────────────────────────────*/
+// USDC from an EVM chain into a Solana token account (e.g. a stealth
+// ATA) with Circle's CCTP v1, in three steps:
+//   1. `depositForBurn` on the source chain (ethers signer)
+//   2. `waitForAttestation` polls Circle's IRIS API for the signed message
+//   3. `receiveMessageInstruction` mints on Solana; `announce` after it
+//      tells the receiver (see README §4)
+// IRIS is reached through `fetch` (default `globalThis.fetch`) at
+// `irisUrl`, so both can point at a stand-in server.
+export const CCTP_DOMAINS = {
+  ethereum: 0,
+  avalanche: 1,
+  optimism: 2,
+  arbitrum: 3,
+  solana: 5,
+  base: 6,
+  polygon: 7,
+};
+
+export const IRIS_API_URL = "https://iris-api.circle.com";
+export const IRIS_SANDBOX_API_URL = "https://iris-api-sandbox.circle.com";
+
+// Same addresses on devnet and mainnet.
+export const MESSAGE_TRANSMITTER_PROGRAM_ID = new PublicKey(
+  "CCTPmbSD7gX1bxKPAmg77w8oFzNFpaQiQUWD43TKaecd",
+);
+export const TOKEN_MESSENGER_MINTER_PROGRAM_ID = new PublicKey(
+  "CCTPiPYPc6AsJuwueEnWgSgucamXDZwBd53dQ11YiKX3",
+);
+
+const fromHex = (hex) =>
+  Uint8Array.from(Buffer.from(String(hex).replace(/^0x/, ""), "hex"));
+const hex32 = (u8) => `0x${toHex(u8)}`;
+
+/** A Solana address as CCTP's `bytes32` mint recipient / caller. */
+export const toBytes32 = (pubkey) => hex32(new PublicKey(pubkey).toBytes());
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Burn (source chain)                                             */
+/*──────────────────────────────────────────────────────────────────*/
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+];
+const TOKEN_MESSENGER_ABI = [
+  "function depositForBurn(uint256 amount, uint32 destinationDomain, bytes32 mintRecipient, address burnToken) returns (uint64)",
+];
+
+/**
+ * Approves (when the allowance is short) and burns `amount` USDC for
+ * `destinationDomain`.
+ * @param signer          ethers v6 signer on the source chain
+ * @param tokenMessenger  CCTP TokenMessenger address there
+ * @param usdc            USDC address there
+ * @param amount          base units (6 decimals)
+ * @param mintRecipient   for Solana, the receiving *token account* (not
+ *                        its owner); PublicKey, base58 or bytes32 hex
+ * @returns {Promise<{ txHash, approveTxHash }>} `approveTxHash` is null
+ *          when no approval was needed
+ */
+export async function depositForBurn({
+  signer,
+  tokenMessenger,
+  usdc,
+  amount,
+  destinationDomain = CCTP_DOMAINS.solana,
+  mintRecipient,
+}) {
+  amount = BigInt(amount.toString());
+  const recipient =
+    typeof mintRecipient === "string" && /^0x[0-9a-f]{64}$/i.test(mintRecipient)
+      ? mintRecipient
+      : toBytes32(mintRecipient);
+
+  const token = new Contract(usdc, ERC20_ABI, signer);
+  let approveTxHash = null;
+  if (
+    (await token.allowance(await signer.getAddress(), tokenMessenger)) < amount
+  ) {
+    const approval = await token.approve(tokenMessenger, amount);
+    await approval.wait();
+    approveTxHash = approval.hash;
+  }
+
+  const messenger = new Contract(tokenMessenger, TOKEN_MESSENGER_ABI, signer);
+  const burn = await messenger.depositForBurn(
+    amount,
+    destinationDomain,
+    recipient,
+    usdc,
+  );
+  await burn.wait();
+  return { txHash: burn.hash, approveTxHash };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Attestation (IRIS)                                              */
+/*──────────────────────────────────────────────────────────────────*/
+// IRIS answers 404 until it has seen the burn and `attestation:
+// "PENDING"` until the source chain is final. Those, 429s, 5xx and
+// network errors are retried; other 4xx are not.
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * One IRIS lookup of the messages a source transaction sent.
+ * @returns {Promise<{ status, retryAfter, message }>} `status`
+ *          "complete" | "pending" | "not-found"; `message = { message,
+ *          attestation, eventNonce }` when complete
+ */
+export async function fetchAttestation(
+  sourceDomain,
+  txHash,
+  { irisUrl = IRIS_SANDBOX_API_URL, fetch = globalThis.fetch, signal } = {},
+) {
+  const url = `${String(irisUrl).replace(/\/+$/, "")}/v1/messages/${sourceDomain}/${txHash}`;
+  const res = await fetch(url, {
+    headers: { Accept: "application/json" },
+    signal,
+  });
+  const retryAfter = Number(res.headers?.get?.("retry-after")) || null;
+  if (res.status === 404) return { status: "not-found", retryAfter };
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    const error = new Error(
+      `IRIS error ${res.status}: ${body?.error ?? "no body"}`,
+    );
+    error.status = res.status;
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+  const msg = body?.messages?.[0];
+  if (!msg || msg.attestation === "PENDING" || !msg.attestation)
+    return { status: "pending", retryAfter };
+  return {
+    status: "complete",
+    retryAfter,
+    message: {
+      message: msg.message,
+      attestation: msg.attestation,
+      eventNonce: BigInt(
+        msg.eventNonce ?? decodeCctpMessage(msg.message).nonce,
+      ),
+    },
+  };
+}
+
+const retryable = (e) =>
+  e.status === undefined || e.status === 429 || e.status >= 500;
+
+/**
+ * Polls IRIS until the burn in `txHash` is attested, backing off
+ * exponentially: `initialDelay · factor^n`, capped at `maxDelay` and
+ * never below a server's Retry-After.
+ * @param signal       AbortSignal; aborting rejects with its reason
+ * @param onPoll       `({ attempt, status, delay, error })` after each
+ *                     unsuccessful poll, e.g. for progress logs
+ * @returns {Promise<{ message, attestation, eventNonce }>} hex strings
+ *          as IRIS returns them; `eventNonce` a bigint
+ */
+export async function waitForAttestation({
+  sourceDomain,
+  txHash,
+  irisUrl = IRIS_SANDBOX_API_URL,
+  fetch = globalThis.fetch,
+  signal,
+  initialDelay = 2_000,
+  maxDelay = 30_000,
+  factor = 2,
+  maxAttempts = 60,
+  onPoll = () => {},
+}) {
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+    let status, error, retryAfter;
+    try {
+      const result = await fetchAttestation(sourceDomain, txHash, {
+        irisUrl,
+        fetch,
+        signal,
+      });
+      if (result.status === "complete") return result.message;
+      ({ status, retryAfter } = result);
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      if (!retryable(e)) throw e;
+      status = "error";
+      error = e;
+      retryAfter = e.retryAfter ?? null;
+    }
+    if (attempt >= maxAttempts)
+      throw new Error(
+        `No attestation for ${txHash} after ${maxAttempts} attempts`,
+      );
+    const delay = Math.max(
+      Math.min(maxDelay, initialDelay * factor ** (attempt - 1)),
+      (retryAfter ?? 0) * 1000,
+    );
+    onPoll({ attempt, status, delay, error });
+    await sleep(delay, signal);
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Messages                                                        */
+/*──────────────────────────────────────────────────────────────────*/
+// v1 message: version u32 | sourceDomain u32 | destinationDomain u32 |
+// nonce u64 | sender, recipient, destinationCaller bytes32 | body.
+// Burn body: version u32 | burnToken, mintRecipient bytes32 |
+// amount u256 | messageSender bytes32. Integers are big-endian.
+const BURN_BODY_LEN = 132;
+
+/**
+ * Decodes a CCTP v1 message (hex or bytes).
+ * @returns {{ version, sourceDomain, destinationDomain, nonce: bigint,
+ *          sender, recipient, destinationCaller, body: Uint8Array,
+ *          burn: { burnToken, mintRecipient: PublicKey, amount: bigint,
+ *          messageSender } | null }} bytes32 fields as 0x hex; `burn` is
+ *          null unless the body is a token burn
+ */
+export function decodeCctpMessage(message) {
+  const m = typeof message === "string" ? fromHex(message) : message;
+  if (m.length < 116) throw new Error("CCTP message too short");
+  const view = new DataView(m.buffer, m.byteOffset, m.byteLength);
+  const body = m.slice(116);
+  return {
+    version: view.getUint32(0),
+    sourceDomain: view.getUint32(4),
+    destinationDomain: view.getUint32(8),
+    nonce: view.getBigUint64(12),
+    sender: hex32(m.slice(20, 52)),
+    recipient: hex32(m.slice(52, 84)),
+    destinationCaller: hex32(m.slice(84, 116)),
+    body,
+    burn:
+      body.length === BURN_BODY_LEN
+        ? {
+            burnToken: hex32(body.slice(4, 36)),
+            mintRecipient: new PublicKey(body.slice(36, 68)),
+            amount: bytesToNumberBE(body.slice(68, 100)),
+            messageSender: hex32(body.slice(100, 132)),
+          }
+        : null,
+  };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  receiveMessage (Solana)                                         */
+/*──────────────────────────────────────────────────────────────────*/
+// Used nonces live in PDAs of 6400 each, keyed by the decimal source
+// domain and first nonce (a "-" between them from domain 11 on), as the
+// MessageTransmitter's `getNoncePda` computes them.
+const NONCES_PER_ACCOUNT = 6400n;
+
+const pda = (programId, ...seeds) =>
+  PublicKey.findProgramAddressSync(
+    seeds.map((s) => (typeof s === "string" ? Buffer.from(s) : s)),
+    new PublicKey(programId),
+  )[0];
+
+/**
+ * Accounts `receiveMessage` needs to mint a burn from `sourceDomain`.
+ * @param remoteToken  burned token on the source chain, bytes32 or
+ *                     20-byte address hex (left-padded)
+ * @param localMint    USDC mint on Solana
+ */
+export function receiveMessagePdas({
+  sourceDomain,
+  nonce,
+  remoteToken,
+  localMint,
+  messageTransmitterProgramId = MESSAGE_TRANSMITTER_PROGRAM_ID,
+  tokenMessengerMinterProgramId = TOKEN_MESSENGER_MINTER_PROGRAM_ID,
+}) {
+  const transmitter = new PublicKey(messageTransmitterProgramId);
+  const minter = new PublicKey(tokenMessengerMinterProgramId);
+  const mint = new PublicKey(localMint).toBuffer();
+  const domain = String(sourceDomain);
+  const remote = fromHex(remoteToken);
+  if (remote.length > 32) throw new Error("Remote token longer than 32 bytes");
+  const remoteKey = new Uint8Array(32);
+  remoteKey.set(remote, 32 - remote.length);
+
+  const n = BigInt(nonce) - 1n;
+  const firstNonce = n - (n % NONCES_PER_ACCOUNT) + 1n;
+  return {
+    messageTransmitter: pda(transmitter, "message_transmitter"),
+    authorityPda: pda(
+      transmitter,
+      "message_transmitter_authority",
+      minter.toBuffer(),
+    ),
+    usedNonces: pda(
+      transmitter,
+      "used_nonces",
+      domain,
+      Number(sourceDomain) < 11 ? "" : "-",
+      String(firstNonce),
+    ),
+    messageTransmitterEventAuthority: pda(transmitter, "__event_authority"),
+    tokenMessenger: pda(minter, "token_messenger"),
+    remoteTokenMessenger: pda(minter, "remote_token_messenger", domain),
+    tokenMinter: pda(minter, "token_minter"),
+    localToken: pda(minter, "local_token", mint),
+    tokenPair: pda(minter, "token_pair", domain, remoteKey),
+    custodyTokenAccount: pda(minter, "custody", mint),
+    tokenMessengerEventAuthority: pda(minter, "__event_authority"),
+  };
+}
+
+const RECEIVE_MESSAGE_DISCRIMINATOR = sha256("global:receive_message").slice(
+  0,
+  8,
+);
+
+const borshBytes = (bytes) => {
+  const len = new Uint8Array(4);
+  new DataView(len.buffer).setUint32(0, bytes.length, true);
+  return concatBytes(len, bytes);
+};
+
+/**
+ * MessageTransmitter `receiveMessage` for an attested burn: mints the
+ * USDC into the message's `mintRecipient` token account. Source domain,
+ * nonce, burned token and recipient are read from the message.
+ * @param payer       pays for the used-nonce account (signer)
+ * @param caller      signer; must match the burn's destinationCaller if
+ *                    one was set (default `payer`)
+ * @param message     attested message (hex or bytes)
+ * @param attestation attestation (hex or bytes)
+ * @param localMint   USDC mint on Solana
+ * @returns {TransactionInstruction}
+ */
+export function receiveMessageInstruction({
+  payer,
+  caller = payer,
+  message,
+  attestation,
+  localMint,
+  tokenProgram = TOKEN_PROGRAM_ID,
+  messageTransmitterProgramId = MESSAGE_TRANSMITTER_PROGRAM_ID,
+  tokenMessengerMinterProgramId = TOKEN_MESSENGER_MINTER_PROGRAM_ID,
+}) {
+  const raw = typeof message === "string" ? fromHex(message) : message;
+  const decoded = decodeCctpMessage(raw);
+  if (!decoded.burn) throw new Error("CCTP message is not a token burn");
+  const pdas = receiveMessagePdas({
+    sourceDomain: decoded.sourceDomain,
+    nonce: decoded.nonce,
+    remoteToken: decoded.burn.burnToken,
+    localMint,
+    messageTransmitterProgramId,
+    tokenMessengerMinterProgramId,
+  });
+  const transmitter = new PublicKey(messageTransmitterProgramId);
+  const minter = new PublicKey(tokenMessengerMinterProgramId);
+  const meta = (pubkey, isSigner, isWritable) => ({
+    pubkey: new PublicKey(pubkey),
+    isSigner,
+    isWritable,
+  });
+
+  return new TransactionInstruction({
+    programId: transmitter,
+    keys: [
+      meta(payer, true, true),
+      meta(caller, true, false),
+      meta(pdas.authorityPda, false, false),
+      meta(pdas.messageTransmitter, false, false),
+      meta(pdas.usedNonces, false, true),
+      meta(minter, false, false),
+      meta(SystemProgram.programId, false, false),
+      meta(pdas.messageTransmitterEventAuthority, false, false),
+      meta(transmitter, false, false),
+      // remaining accounts: TokenMessengerMinter `handleReceiveMessage`
+      meta(pdas.tokenMessenger, false, false),
+      meta(pdas.remoteTokenMessenger, false, false),
+      meta(pdas.tokenMinter, false, true),
+      meta(pdas.localToken, false, true),
+      meta(pdas.tokenPair, false, false),
+      meta(decoded.burn.mintRecipient, false, true),
+      meta(pdas.custodyTokenAccount, false, true),
+      meta(tokenProgram, false, false),
+      meta(pdas.tokenMessengerEventAuthority, false, false),
+      meta(minter, false, false),
+    ],
+    data: Buffer.from(
+      concatBytes(
+        RECEIVE_MESSAGE_DISCRIMINATOR,
+        borshBytes(raw),
+        borshBytes(
+          typeof attestation === "string" ? fromHex(attestation) : attestation,
+        ),
+      ),
+    ),
+  });
+}
@@ -0,0 +1,14 @@
+import { PublicKey } from "@solana/web3.js";
+
+// Stealth scheme implemented by ./stealth.js (see the header there).
+export const STEALTH_SCHEME_VERSION = 1;
+
+// `declare_id!` of programs/pivy-stealth (devnet deployment).
+export const PIVY_PROGRAM_ID = new PublicKey(
+  "ECytFKSRMLkWYPp1jnnCEt8AcdnUeaLfKyfr16J3SgUk",
+);
+
+// SPL Memo v2 — carries the encrypted ephemeral-key memo next to `pay`.
+export const MEMO_PROGRAM_ID = new PublicKey(
+  "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr",
+);
@@ -0,0 +1,93 @@
+import { BorshCoder, EventParser } from "@coral-xyz/anchor";
+import { PublicKey } from "@solana/web3.js";
+import { PIVY_STEALTH_IDL } from "./idl.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+import { readLabel } from "./label.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Event decoding ("Program data:" → typed events)                 */
+/*──────────────────────────────────────────────────────────────────*/
+// Decoded events are flat records:
+//   PaymentEvent  { name, stealthOwner, payer, mint, amount, label,
+//                   labelData, labelText, ephPubkey, announce }
+//   WithdrawEvent { name, stealthOwner, mint, amount, destination }
+// with PublicKey / BN fields; `label` is the raw 32-byte Uint8Array,
+// `labelData` its decoded `{ type, value }` (see ./label.js) and
+// `labelText` the value when it is a string, else "".
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+
+const MEMO_LOG = /^Program log: Memo \(len \d+\): "(.*)"$/;
+
+/** `label`, `labelData` and `labelText` fields for a raw label. */
+export function labelFields(raw) {
+  const label = Uint8Array.from(raw);
+  const labelData = readLabel(label);
+  const labelText = typeof labelData.value === "string" ? labelData.value : "";
+  return { label, labelData, labelText };
+}
+
+function toRecord({ name, data }) {
+  if (name !== "PaymentEvent") return { name, ...data };
+  return { name, ...data, ...labelFields(data.label) };
+}
+
+/**
+ * Decodes the PIVY events in a transaction's log messages. "Program data:"
+ * lines emitted by other programs (incl. CPIs) are ignored.
+ * @param logs       `meta.logMessages`
+ * @param programId  PIVY program (defaults to the devnet deployment)
+ * @returns {Array<object>} event records in emission order
+ */
+export function decodeEvents(logs, programId = PIVY_PROGRAM_ID) {
+  const parser = new EventParser(programId, coder);
+  return [...parser.parseLogs(logs ?? [])].map(toRecord);
+}
+
+/** Memo strings logged by the SPL Memo program, in order. */
+export function extractMemos(logs) {
+  return (logs ?? []).flatMap((log) => {
+    const m = MEMO_LOG.exec(log);
+    return m ? [m[1]] : [];
+  });
+}
+
+// First account key of the message: legacy (`accountKeys`, possibly
+// jsonParsed `{ pubkey }` entries) or v0 (`staticAccountKeys`).
+function feePayerOf(message) {
+  const first = (message?.accountKeys ?? message?.staticAccountKeys)?.[0];
+  return first ? new PublicKey(first.pubkey ?? first) : null;
+}
+
+/**
+ * Decodes a full `getTransaction` response. Each record also carries
+ * `signature`, `slot`, `blockTime`, `feePayer` (null when the response
+ * has no message) and `txFee` (lamports, `meta.fee`, null if absent);
+ * PaymentEvents get `memo`, pairing
+ * the i-th PaymentEvent with the i-th memo when the counts match.
+ * Failed transactions yield no events.
+ * @returns {Array<object>}
+ */
+export function decodeTransactionEvents(tx, programId = PIVY_PROGRAM_ID) {
+  if (!tx?.meta || tx.meta.err) return [];
+  const logs = tx.meta.logMessages;
+  const context = {
+    signature: tx.transaction.signatures[0],
+    slot: tx.slot,
+    blockTime: tx.blockTime ?? null,
+    feePayer: feePayerOf(tx.transaction.message),
+    txFee: tx.meta.fee ?? null,
+  };
+
+  const events = decodeEvents(logs, programId);
+  const memos = extractMemos(logs);
+  const payments = events.filter((e) => e.name === "PaymentEvent");
+  const paired = memos.length === payments.length;
+
+  return events.map((event) => ({
+    ...event,
+    ...context,
+    ...(event.name === "PaymentEvent"
+      ? { memo: paired ? memos[payments.indexOf(event)] : null }
+      : {}),
+  }));
+}
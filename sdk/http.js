@@ -0,0 +1,67 @@
+/*──────────────────────────────────────────────────────────────────*/
+/*  HTTP plumbing for the reference endpoints                       */
+/*──────────────────────────────────────────────────────────────────*/
+// Handlers are framework-agnostic: `(request) → Promise<response>`, with
+// `request = { method, url, body }` and `response = { status, headers,
+// body }`. `toNodeListener` adapts one to `http.createServer`.
+const MAX_BODY = 16 * 1024;
+
+export const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export const reply = (status, body) => ({
+  status,
+  headers: { ...CORS, "Content-Type": "application/json" },
+  body,
+});
+
+// Thrown for problems with the request itself → 4xx.
+export class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Adapts a handler to `http.createServer` / Express-style
+ * `(req, res)` listeners. The listener never rejects: a request stream
+ * that errors (client gone) just has its socket destroyed, and a
+ * handler that throws answers 500.
+ */
+export function toNodeListener(handle) {
+  return async (req, res) => {
+    let raw = "";
+    try {
+      for await (const chunk of req) {
+        raw += chunk;
+        if (raw.length > MAX_BODY) {
+          res.writeHead(413, CORS).end();
+          return;
+        }
+      }
+    } catch {
+      res.destroy();
+      return;
+    }
+    let body = null;
+    if (raw) {
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        body = undefined;
+      }
+    }
+    let out;
+    try {
+      out = await handle({ method: req.method, url: req.url, body });
+    } catch {
+      out = reply(500, { error: "Internal error" });
+    }
+    res.writeHead(out.status, out.headers);
+    res.end(out.body === undefined ? undefined : JSON.stringify(out.body));
+  };
+}
@@ -0,0 +1,122 @@
+// IDL for programs/pivy-stealth (Anchor 0.29 format), bundled so the SDK
+// works without `anchor build`. Keep in sync with src/lib.rs.
+
+export const PIVY_STEALTH_IDL = {
+  version: "0.1.0",
+  name: "pivy_stealth",
+  instructions: [
+    {
+      name: "pay",
+      accounts: [
+        { name: "stealthOwner", isMut: true, isSigner: false },
+        { name: "stealthAta", isMut: true, isSigner: false },
+        { name: "payer", isMut: true, isSigner: true },
+        { name: "payerAta", isMut: true, isSigner: false },
+        { name: "mint", isMut: false, isSigner: false },
+        { name: "systemProgram", isMut: false, isSigner: false },
+        { name: "tokenProgram", isMut: false, isSigner: false },
+        { name: "associatedTokenProgram", isMut: false, isSigner: false },
+        { name: "rent", isMut: false, isSigner: false },
+      ],
+      args: [{ name: "args", type: { defined: "PayArgs" } }],
+    },
+    {
+      name: "withdraw",
+      accounts: [
+        { name: "stealthOwner", isMut: true, isSigner: true },
+        { name: "stealthAta", isMut: true, isSigner: false },
+        { name: "destinationAta", isMut: true, isSigner: false },
+        { name: "mint", isMut: false, isSigner: false },
+        { name: "tokenProgram", isMut: false, isSigner: false },
+      ],
+      args: [{ name: "args", type: { defined: "WithdrawArgs" } }],
+    },
+    {
+      name: "announce",
+      docs: ["Emits a `PaymentEvent` without moving funds."],
+      accounts: [
+        { name: "stealthOwner", isMut: false, isSigner: false },
+        { name: "payer", isMut: false, isSigner: true },
+        { name: "mint", isMut: false, isSigner: false },
+      ],
+      args: [{ name: "args", type: { defined: "AnnounceArgs" } }],
+    },
+  ],
+  types: [
+    {
+      name: "PayArgs",
+      type: {
+        kind: "struct",
+        fields: [
+          { name: "amount", type: "u64" },
+          { name: "label", type: { array: ["u8", 32] } },
+          { name: "ephPubkey", type: "publicKey" },
+        ],
+      },
+    },
+    {
+      name: "WithdrawArgs",
+      type: {
+        kind: "struct",
+        fields: [
+          {
+            name: "amount",
+            docs: ["Pass `u64::MAX` to sweep everything."],
+            type: "u64",
+          },
+        ],
+      },
+    },
+    {
+      name: "AnnounceArgs",
+      type: {
+        kind: "struct",
+        fields: [
+          { name: "amount", type: "u64" },
+          { name: "label", type: { array: ["u8", 32] } },
+          { name: "ephPubkey", type: "publicKey" },
+        ],
+      },
+    },
+  ],
+  events: [
+    {
+      name: "PaymentEvent",
+      fields: [
+        { name: "stealthOwner", type: "publicKey", index: false },
+        { name: "payer", type: "publicKey", index: false },
+        { name: "mint", type: "publicKey", index: false },
+        { name: "amount", type: "u64", index: false },
+        { name: "label", type: { array: ["u8", 32] }, index: false },
+        { name: "ephPubkey", type: "publicKey", index: false },
+        { name: "announce", type: "bool", index: false },
+      ],
+    },
+    {
+      name: "WithdrawEvent",
+      fields: [
+        { name: "stealthOwner", type: "publicKey", index: false },
+        { name: "mint", type: "publicKey", index: false },
+        { name: "amount", type: "u64", index: false },
+        { name: "destination", type: "publicKey", index: false },
+      ],
+    },
+  ],
+  errors: [
+    {
+      code: 6000,
+      name: "InvalidAmount",
+      msg: "Amount must be greater than zero",
+    },
+    {
+      code: 6001,
+      name: "DestinationOwnerMismatch",
+      msg: "Destination token-account owner mismatch",
+    },
+    {
+      code: 6002,
+      name: "SameAccount",
+      msg: "Source and destination token accounts must differ",
+    },
+  ],
+};
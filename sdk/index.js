@@ -0,0 +1,31 @@
+// PIVY stealth SDK — the single source of the stealth math shared by the
+// program tests, backend and app.
+
+export * from "./stealth.js";
+export * from "./memo.js";
+export * from "./meta-address.js";
+export * from "./meta-keys.js";
+export * from "./keystore.js";
+export * from "./view-tag.js";
+export * from "./scanner.js";
+export * from "./payment.js";
+export * from "./link.js";
+export * from "./transaction-request.js";
+export * from "./label.js";
+export * from "./events.js";
+export * from "./indexer.js";
+export * from "./instructions.js";
+export * from "./mint.js";
+export * from "./withdraw.js";
+export * from "./sweep.js";
+export * from "./batch.js";
+export * from "./relayer.js";
+export * from "./linkability.js";
+export * from "./audit.js";
+export * from "./statement.js";
+export * from "./cctp.js";
+export { PIVY_STEALTH_IDL } from "./idl.js";
+export { PIVY_PROGRAM_ID, MEMO_PROGRAM_ID } from "./constants.js";
+export { StealthSigner } from "./signer.js";
+export { toNodeListener } from "./http.js";
+export { to32u8 } from "./utils.js";
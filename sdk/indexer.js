@@ -0,0 +1,228 @@
+import fs from "fs/promises";
+import BN from "bn.js";
+import { PublicKey } from "@solana/web3.js";
+import { decodeTransactionEvents, labelFields } from "./events.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Stores                                                          */
+/*──────────────────────────────────────────────────────────────────*/
+// Event records are keyed by `${signature}:${index}` (index = position
+// among the PIVY events of that transaction), so re-indexing the same
+// transaction overwrites instead of duplicating. Transactions whose logs
+// did not decode are kept as `{ signature, slot, error }` until a later
+// sync reads them.
+const PUBKEY_FIELDS = [
+  "stealthOwner",
+  "payer",
+  "mint",
+  "ephPubkey",
+  "destination",
+  "feePayer",
+];
+
+function serialize(record) {
+  const out = { ...record };
+  for (const f of PUBKEY_FIELDS) if (out[f]) out[f] = out[f].toBase58();
+  if (out.amount) out.amount = out.amount.toString();
+  if (out.label) out.label = Buffer.from(out.label).toString("hex");
+  delete out.labelData; // derived from `label` again on read
+  return out;
+}
+
+function revive(json) {
+  const out = { ...json };
+  for (const f of PUBKEY_FIELDS) if (out[f]) out[f] = new PublicKey(out[f]);
+  if (out.amount !== undefined) out.amount = new BN(out.amount);
+  if (out.label) Object.assign(out, labelFields(Buffer.from(out.label, "hex")));
+  return out;
+}
+
+const bySlot = (a, b) => a.slot - b.slot || a.index - b.index;
+
+/** In-memory store; the base for other stores and handy in tests. */
+export class MemoryStore {
+  constructor() {
+    this.cursor = null;
+    this.records = new Map();
+    this.skipped = new Map();
+  }
+
+  async load() {}
+
+  async save() {}
+
+  getCursor() {
+    return this.cursor;
+  }
+
+  setCursor(signature) {
+    this.cursor = signature;
+  }
+
+  /** Transactions still to be re-read, oldest first. */
+  getSkipped() {
+    return [...this.skipped.values()].sort((a, b) => a.slot - b.slot);
+  }
+
+  markSkipped(entry) {
+    this.skipped.set(entry.signature, entry);
+  }
+
+  clearSkipped(signature) {
+    this.skipped.delete(signature);
+  }
+
+  upsert(records) {
+    for (const r of records)
+      this.records.set(`${r.signature}:${r.index}`, serialize(r));
+  }
+
+  /** Stored events, oldest first, with PublicKey / BN fields revived. */
+  events({ name } = {}) {
+    return [...this.records.values()]
+      .filter((r) => !name || r.name === name)
+      .sort(bySlot)
+      .map(revive);
+  }
+}
+
+/**
+ * JSON file store: `{ version, cursor, skipped, events }`, rewritten
+ * atomically.
+ */
+export class JsonFileStore extends MemoryStore {
+  constructor(path) {
+    super();
+    this.path = path;
+  }
+
+  async load() {
+    let json;
+    try {
+      json = JSON.parse(await fs.readFile(this.path, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+    if (json.version !== 1)
+      throw new Error(`Unsupported index file version ${json.version}`);
+    this.cursor = json.cursor;
+    this.skipped = new Map((json.skipped ?? []).map((s) => [s.signature, s]));
+    this.records = new Map(
+      json.events.map((r) => [`${r.signature}:${r.index}`, r]),
+    );
+  }
+
+  async save() {
+    const json = {
+      version: 1,
+      cursor: this.cursor,
+      skipped: this.getSkipped(),
+      events: [...this.records.values()].sort(bySlot),
+    };
+    const tmp = `${this.path}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(json, null, 2));
+    await fs.rename(tmp, this.path);
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Indexer                                                         */
+/*──────────────────────────────────────────────────────────────────*/
+/**
+ * Walks the program's signatures newer than the saved cursor, decodes
+ * PaymentEvent / WithdrawEvent and upserts them into the store.
+ * `connection` only needs `getSignaturesForAddress` and `getTransaction`.
+ */
+export class PaymentIndexer {
+  constructor({
+    connection,
+    store = new MemoryStore(),
+    programId = PIVY_PROGRAM_ID,
+    commitment = "confirmed",
+    pageSize = 1000,
+  }) {
+    this.connection = connection;
+    this.store = store;
+    this.programId = new PublicKey(programId);
+    this.commitment = commitment;
+    this.pageSize = pageSize;
+  }
+
+  // Signatures after the cursor, newest first, across pages.
+  async pendingSignatures() {
+    const until = this.store.getCursor() ?? undefined;
+    const infos = [];
+    let before;
+    for (;;) {
+      const page = await this.connection.getSignaturesForAddress(
+        this.programId,
+        { before, until, limit: this.pageSize },
+        this.commitment,
+      );
+      infos.push(...page);
+      if (page.length < this.pageSize) return infos;
+      before = page[page.length - 1].signature;
+    }
+  }
+
+  // Upserts one transaction's events and returns how many, or null
+  // while the RPC does not serve it yet. Logs that do not decode
+  // (Anchor's parser throws on truncated ones) are recorded as skipped.
+  async indexTransaction(signature, slot) {
+    const tx = await this.connection.getTransaction(signature, {
+      commitment: this.commitment,
+      maxSupportedTransactionVersion: 0,
+    });
+    if (!tx) return null;
+    let records;
+    try {
+      records = decodeTransactionEvents(tx, this.programId).map((r, index) => ({
+        ...r,
+        index,
+      }));
+    } catch (e) {
+      this.store.markSkipped({ signature, slot, error: e.message });
+      return 0;
+    }
+    this.store.clearSkipped(signature);
+    this.store.upsert(records);
+    return records.length;
+  }
+
+  /**
+   * One incremental pass, oldest first. The cursor advances per
+   * transaction, so an interrupted sync resumes where it stopped.
+   * A transaction whose logs do not decode does not hold the cursor
+   * back: it is saved in the store's `skipped` list and re-read at the
+   * start of every later sync until it decodes.
+   * @returns {Promise<{ transactions: number, events: number, skipped:
+   *          Array<{ signature, slot, error }> }>} `skipped` is what is
+   *          still unread after this pass
+   */
+  async sync() {
+    await this.store.load();
+    const infos = (await this.pendingSignatures()).reverse();
+    let transactions = 0;
+    let events = 0;
+
+    try {
+      for (const { signature, slot } of this.store.getSkipped())
+        events += (await this.indexTransaction(signature, slot)) ?? 0;
+      for (const info of infos) {
+        if (!info.err) {
+          const n = await this.indexTransaction(info.signature, info.slot);
+          // Not served yet — stop here and pick it up on the next sync.
+          if (n === null) break;
+          events += n;
+        }
+        this.store.setCursor(info.signature);
+        transactions++;
+      }
+    } finally {
+      await this.store.save();
+    }
+    return { transactions, events, skipped: this.store.getSkipped() };
+  }
+}
@@ -0,0 +1,187 @@
+import { BorshCoder } from "@coral-xyz/anchor";
+import BN from "bn.js";
+import {
+  PublicKey,
+  SystemProgram,
+  SYSVAR_RENT_PUBKEY,
+  TransactionInstruction,
+} from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  NATIVE_MINT,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+  createCloseAccountInstruction,
+} from "@solana/spl-token";
+import { PIVY_STEALTH_IDL } from "./idl.js";
+import { PIVY_PROGRAM_ID, MEMO_PROGRAM_ID } from "./constants.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Instruction builders (no Program / provider needed)             */
+/*──────────────────────────────────────────────────────────────────*/
+// Account order follows the IDL; stealth and payer ATAs are derived
+// unless given. `tokenProgram` is the mint's owner: the legacy Token
+// program (default) or Token-2022 — see ./mint.js.
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+
+/** `u64::MAX` — `withdraw` sweeps the whole balance and closes the ATA. */
+export const WITHDRAW_ALL = new BN("18446744073709551615");
+
+const key = (k) => new PublicKey(k);
+const meta = (pubkey, isSigner, isWritable) => ({
+  pubkey: key(pubkey),
+  isSigner,
+  isWritable,
+});
+
+function instruction(name, args, keys, programId) {
+  return new TransactionInstruction({
+    programId: key(programId),
+    keys,
+    data: coder.instruction.encode(name, { args }),
+  });
+}
+
+const ata = (mint, owner, tokenProgram) =>
+  getAssociatedTokenAddressSync(
+    key(mint),
+    key(owner),
+    false,
+    key(tokenProgram),
+  );
+
+/** `withdraw` from a stealth ATA; `amount` defaults to a full sweep. */
+export function withdrawInstruction({
+  stealthOwner,
+  mint,
+  destinationAta,
+  amount = WITHDRAW_ALL,
+  tokenProgram = TOKEN_PROGRAM_ID,
+  stealthAta = ata(mint, stealthOwner, tokenProgram),
+  programId = PIVY_PROGRAM_ID,
+}) {
+  return instruction(
+    "withdraw",
+    { amount: new BN(amount.toString()) },
+    [
+      meta(stealthOwner, true, true),
+      meta(stealthAta, false, true),
+      meta(destinationAta, false, true),
+      meta(mint, false, false),
+      meta(tokenProgram, false, false),
+    ],
+    programId,
+  );
+}
+
+/** `pay`: moves `amount` from the payer's ATA and emits a PaymentEvent. */
+export function payInstruction({
+  stealthOwner,
+  payer,
+  mint,
+  amount,
+  label,
+  ephPubkey,
+  tokenProgram = TOKEN_PROGRAM_ID,
+  payerAta = ata(mint, payer, tokenProgram),
+  programId = PIVY_PROGRAM_ID,
+}) {
+  return instruction(
+    "pay",
+    {
+      amount: new BN(amount.toString()),
+      label: [...label],
+      ephPubkey: key(ephPubkey),
+    },
+    [
+      meta(stealthOwner, false, true),
+      meta(ata(mint, stealthOwner, tokenProgram), false, true),
+      meta(payer, true, true),
+      meta(payerAta, false, true),
+      meta(mint, false, false),
+      meta(SystemProgram.programId, false, false),
+      meta(tokenProgram, false, false),
+      meta(ASSOCIATED_TOKEN_PROGRAM_ID, false, false),
+      meta(SYSVAR_RENT_PUBKEY, false, false),
+    ],
+    programId,
+  );
+}
+
+/** `announce`: emits a PaymentEvent without moving funds. */
+export function announceInstruction({
+  stealthOwner,
+  payer,
+  mint,
+  amount,
+  label,
+  ephPubkey,
+  programId = PIVY_PROGRAM_ID,
+}) {
+  return instruction(
+    "announce",
+    {
+      amount: new BN(amount.toString()),
+      label: [...label],
+      ephPubkey: key(ephPubkey),
+    },
+    [
+      meta(stealthOwner, false, false),
+      meta(payer, true, false),
+      meta(mint, false, false),
+    ],
+    programId,
+  );
+}
+
+/** SPL Memo carrying the encrypted ephemeral key next to `pay`. */
+export function memoInstruction(memo) {
+  return new TransactionInstruction({
+    programId: MEMO_PROGRAM_ID,
+    keys: [],
+    data: Buffer.from(memo, "utf8"),
+  });
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Native SOL (WSOL) helpers                                       */
+/*──────────────────────────────────────────────────────────────────*/
+export const isNativeMint = (mint) => key(mint).equals(NATIVE_MINT);
+
+/**
+ * Moves `lamports` into `owner`'s WSOL ATA (created if needed) and syncs
+ * its token balance. `owner` pays and signs.
+ */
+export function wrapSolInstructions(owner, lamports) {
+  owner = key(owner);
+  const ata = getAssociatedTokenAddressSync(NATIVE_MINT, owner);
+  return [
+    createAssociatedTokenAccountIdempotentInstruction(
+      owner,
+      ata,
+      owner,
+      NATIVE_MINT,
+    ),
+    SystemProgram.transfer({
+      fromPubkey: owner,
+      toPubkey: ata,
+      lamports: BigInt(lamports.toString()),
+    }),
+    createSyncNativeInstruction(ata),
+  ];
+}
+
+/**
+ * Closes `owner`'s WSOL ATA, returning its whole balance (and rent) as
+ * SOL. `owner` signs.
+ */
+export function unwrapSolInstruction(owner) {
+  owner = key(owner);
+  return createCloseAccountInstruction(
+    getAssociatedTokenAddressSync(NATIVE_MINT, owner),
+    owner,
+    owner,
+  );
+}
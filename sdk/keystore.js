@@ -0,0 +1,231 @@
+import fs from "fs/promises";
+import { randomBytes } from "crypto";
+import bs58 from "bs58";
+import { scryptAsync } from "@noble/hashes/scrypt";
+import { xchacha20poly1305 } from "@noble/ciphers/chacha";
+import { Keypair } from "@solana/web3.js";
+import { bytesEqual } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Encrypted keystore                                              */
+/*──────────────────────────────────────────────────────────────────*/
+// One password-protected JSON file for the meta keys and operational
+// keypairs (fee payer, relayer):
+//
+//   { version: 1,
+//     kdf:    { name: "scrypt", N, r, p, salt },            salt in hex
+//     cipher: { name: "xchacha20-poly1305", nonce },        nonce in hex
+//     keys:   { <name>: <pubkey>, … },                      base58
+//     ciphertext }                                          base64
+//
+// The plaintext is the keys' 32-byte Ed25519 seeds, concatenated in
+// `keys` order; everything but the ciphertext is authenticated as AAD,
+// so names and pubkeys can be listed without the password but not
+// swapped. Meta seeds are what `metaSpendPriv` / `metaViewPriv` hold.
+export const KEYSTORE_VERSION = 1;
+
+const KDF_DEFAULTS = { N: 2 ** 17, r: 8, p: 1 };
+const NAME = /^[A-Za-z][\w.-]*$/;
+const SALT_LEN = 32;
+const NONCE_LEN = 24;
+
+/**
+ * A `Keypair` from the usual secret formats: a `Keypair`, a 32-byte seed
+ * or 64-byte secret key (bytes, or a JSON array as in Solana CLI files
+ * like keypair.json), base58 (e.g. SOLANA_FEE_PAYER_PK) or seed hex.
+ */
+export function keypairFromSecret(raw) {
+  if (raw instanceof Keypair) return raw;
+  let bytes;
+  if (typeof raw === "string")
+    bytes = /^[0-9a-f]{64}$/i.test(raw)
+      ? Buffer.from(raw, "hex")
+      : bs58.decode(raw);
+  else bytes = Uint8Array.from(raw);
+
+  if (bytes.length === 32) return Keypair.fromSeed(bytes);
+  if (bytes.length !== 64) throw new Error("Invalid secret key");
+  const keypair = Keypair.fromSeed(bytes.slice(0, 32));
+  if (!bytesEqual(keypair.publicKey.toBytes(), bytes.slice(32)))
+    throw new Error("Invalid secret key: public half does not match");
+  return keypair;
+}
+
+const header = ({ version, kdf, cipher, keys }) =>
+  new TextEncoder().encode(JSON.stringify({ version, kdf, cipher, keys }));
+
+async function deriveKey(password, kdf) {
+  if (kdf.name !== "scrypt") throw new Error(`Unsupported KDF ${kdf.name}`);
+  const secret =
+    typeof password === "string" ? password.normalize("NFKD") : password;
+  return scryptAsync(secret, Buffer.from(kdf.salt, "hex"), {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    dkLen: 32,
+  });
+}
+
+/** Whether parsed JSON looks like a keystore (of any version). */
+export const isKeystore = (json) =>
+  typeof json === "object" &&
+  json !== null &&
+  !Array.isArray(json) &&
+  "ciphertext" in json;
+
+/**
+ * Encrypts named keys under a password.
+ * @param keys      `{ name: secret }`, secrets as `keypairFromSecret`
+ *                  takes them
+ * @param password  string (NFKD-normalized) or bytes
+ * @param scrypt    `{ N, r, p }` cost; defaults to N = 2^17, r = 8, p = 1
+ * @returns {Promise<object>} the keystore, ready for `JSON.stringify`
+ */
+export async function encryptKeystore(keys, password, { scrypt = {} } = {}) {
+  const names = Object.keys(keys);
+  if (!names.length) throw new Error("Keystore needs at least one key");
+  const bad = names.find((name) => !NAME.test(name));
+  if (bad !== undefined) throw new Error(`Invalid key name "${bad}"`);
+  const keypairs = names.map((name) => keypairFromSecret(keys[name]));
+
+  const store = {
+    version: KEYSTORE_VERSION,
+    kdf: {
+      name: "scrypt",
+      ...KDF_DEFAULTS,
+      ...scrypt,
+      salt: randomBytes(SALT_LEN).toString("hex"),
+    },
+    cipher: {
+      name: "xchacha20-poly1305",
+      nonce: randomBytes(NONCE_LEN).toString("hex"),
+    },
+    keys: Object.fromEntries(
+      names.map((name, i) => [name, keypairs[i].publicKey.toBase58()]),
+    ),
+  };
+  const key = await deriveKey(password, store.kdf);
+  const plaintext = Buffer.concat(
+    keypairs.map((kp) => kp.secretKey.slice(0, 32)),
+  );
+  const sealed = xchacha20poly1305(
+    key,
+    Buffer.from(store.cipher.nonce, "hex"),
+    header(store),
+  ).encrypt(plaintext);
+  plaintext.fill(0);
+  return { ...store, ciphertext: Buffer.from(sealed).toString("base64") };
+}
+
+/**
+ * Opens a keystore (object or JSON string).
+ * @returns {Promise<Object<string, Keypair>>} keypairs by name
+ */
+export async function decryptKeystore(keystore, password) {
+  const store = typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+  if (!isKeystore(store)) throw new Error("Not a keystore");
+  if (store.version !== KEYSTORE_VERSION)
+    throw new Error(`Unsupported keystore version ${store.version}`);
+  if (store.cipher?.name !== "xchacha20-poly1305")
+    throw new Error(`Unsupported cipher ${store.cipher?.name}`);
+
+  const key = await deriveKey(password, store.kdf);
+  let plaintext;
+  try {
+    plaintext = xchacha20poly1305(
+      key,
+      Buffer.from(store.cipher.nonce, "hex"),
+      header(store),
+    ).decrypt(Buffer.from(store.ciphertext, "base64"));
+  } catch {
+    throw new Error("Wrong password or corrupted keystore");
+  }
+
+  const names = Object.keys(store.keys);
+  const keys = {};
+  for (const [i, name] of names.entries()) {
+    keys[name] = Keypair.fromSeed(plaintext.slice(i * 32, (i + 1) * 32));
+    if (keys[name].publicKey.toBase58() !== store.keys[name])
+      throw new Error(`Keystore key "${name}" does not match its pubkey`);
+  }
+  plaintext.fill(0);
+  return keys;
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Files                                                           */
+/*──────────────────────────────────────────────────────────────────*/
+/**
+ * Encrypts `keys` into a keystore file (mode 0600). The file is written
+ * to a fresh `<path>.tmp`, synced and renamed over `path`, so a crash or
+ * full disk leaves either the old keystore or the new one.
+ */
+export async function writeKeystore(path, keys, password, options) {
+  const store = await encryptKeystore(keys, password, options);
+  const tmp = `${path}.tmp`;
+  await fs.rm(tmp, { force: true });
+  const file = await fs.open(tmp, "wx", 0o600);
+  try {
+    await file.writeFile(JSON.stringify(store, null, 2) + "\n");
+    await file.sync();
+  } finally {
+    await file.close();
+  }
+  await fs.rename(tmp, path);
+  return store;
+}
+
+/** `decryptKeystore` for a file. */
+export async function readKeystore(path, password) {
+  return decryptKeystore(await fs.readFile(path, "utf8"), password);
+}
+
+/**
+ * One keypair from either a keystore or a legacy plaintext keypair file
+ * (a JSON byte array, as written by the old createkp.js / Solana CLI).
+ * @param name      key to take from a keystore
+ * @param password  needed for keystores only
+ * @returns {Promise<Keypair>}
+ */
+export async function loadKeypair(path, { name = "feePayer", password } = {}) {
+  const json = JSON.parse(await fs.readFile(path, "utf8"));
+  if (!isKeystore(json)) return keypairFromSecret(json);
+  if (password === undefined)
+    throw new Error(`${path} is encrypted; a password is needed`);
+  const keys = await decryptKeystore(json, password);
+  if (!keys[name]) throw new Error(`Keystore has no key "${name}"`);
+  return keys[name];
+}
+
+/**
+ * Moves a legacy plaintext keypair file into a keystore under `name`.
+ * An existing keystore at `to` keeps its keys (same password); an
+ * existing key of that name is only replaced with `overwrite`. The
+ * legacy file is left for the caller to delete.
+ * @returns {Promise<Keypair>} the migrated keypair
+ */
+export async function migrateKeypairFile(
+  from,
+  to,
+  password,
+  { name = "feePayer", overwrite = false, ...options } = {},
+) {
+  const legacy = JSON.parse(await fs.readFile(from, "utf8"));
+  if (isKeystore(legacy)) throw new Error(`${from} is already a keystore`);
+  const keypair = keypairFromSecret(legacy);
+
+  let keys = {};
+  try {
+    keys = await readKeystore(to, password);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  if (
+    keys[name] &&
+    !overwrite &&
+    !keys[name].publicKey.equals(keypair.publicKey)
+  )
+    throw new Error(`Keystore already has a different "${name}" key`);
+  await writeKeystore(to, { ...keys, [name]: keypair }, password, options);
+  return keypair;
+}
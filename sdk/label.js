@@ -0,0 +1,188 @@
+import { sha256 } from "@noble/hashes/sha256";
+import { hkdf } from "@noble/hashes/hkdf";
+import { chacha20 } from "@noble/ciphers/chacha";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Label codec (PaymentEvent.label, 32 bytes)                      */
+/*──────────────────────────────────────────────────────────────────*/
+// Typed labels start with a type byte below 0x20, so they never collide
+// with the original NUL-padded UTF-8 labels, which still decode:
+//   0x01 text    : 0x01 || len || UTF-8 (≤ 30 B)       || 0-padding
+//   0x02 alias   : 0x02 || len || [a-z0-9._-] (≤ 30)   || 0-padding
+//   0x03 invoice : 0x03 || len || printable ASCII (≤ 30) || 0-padding
+//   0x04 hash    : 0x04 || 31 opaque bytes (e.g. a truncated digest)
+//   0x05 sealed  : 0x05 || first 31 bytes of a typed label, encrypted
+//                  (see "Encrypted labels" below)
+//   all zero     : no label
+// Decoded (and encodable) form: `{ type, value }`.
+export const LABEL_LEN = 32;
+export const LABEL_TYPE_TEXT = 0x01;
+export const LABEL_TYPE_ALIAS = 0x02;
+export const LABEL_TYPE_INVOICE = 0x03;
+export const LABEL_TYPE_HASH = 0x04;
+export const LABEL_TYPE_ENCRYPTED = 0x05;
+
+const MAX_VALUE_LEN = LABEL_LEN - 2;
+const HASH_LEN = LABEL_LEN - 1;
+const ALIAS_RE = /^[a-z0-9._-]+$/;
+const INVOICE_RE = /^[\x20-\x7e]+$/;
+
+const STRING_TYPES = {
+  text: { code: LABEL_TYPE_TEXT, valid: () => true },
+  alias: { code: LABEL_TYPE_ALIAS, valid: (v) => ALIAS_RE.test(v) },
+  invoice: { code: LABEL_TYPE_INVOICE, valid: (v) => INVOICE_RE.test(v) },
+};
+const TYPE_NAMES = {
+  [LABEL_TYPE_TEXT]: "text",
+  [LABEL_TYPE_ALIAS]: "alias",
+  [LABEL_TYPE_INVOICE]: "invoice",
+};
+
+const utf8 = new TextEncoder();
+const strictUtf8 = new TextDecoder("utf-8", { fatal: true });
+
+/**
+ * Encodes a label into the 32-byte `label` argument of `pay` / `announce`.
+ * @param label `{ type: "text" | "alias" | "invoice", value: string }`,
+ *              `{ type: "hash", value: Uint8Array(31) }`, a plain string
+ *              (text) or `null` (no label)
+ * @returns {Uint8Array} 32 bytes
+ */
+export function encodeLabel(label) {
+  const out = new Uint8Array(LABEL_LEN);
+  if (label === null || label === undefined) return out;
+  if (typeof label === "string") label = { type: "text", value: label };
+
+  const { type, value } = label;
+  if (type === "hash") {
+    if (!(value instanceof Uint8Array) || value.length !== HASH_LEN)
+      throw new Error(`Hash label must be ${HASH_LEN} bytes`);
+    out[0] = LABEL_TYPE_HASH;
+    out.set(value, 1);
+    return out;
+  }
+
+  const spec = STRING_TYPES[type];
+  if (!spec) throw new Error(`Unknown label type "${type}"`);
+  if (typeof value !== "string" || !value)
+    throw new Error(`${type} label must be a non-empty string`);
+  if (!spec.valid(value))
+    throw new Error(`Invalid characters in ${type} label "${value}"`);
+  const bytes = utf8.encode(value);
+  if (bytes.length > MAX_VALUE_LEN)
+    throw new Error(
+      `${type} label is ${bytes.length} bytes; at most ${MAX_VALUE_LEN} fit`,
+    );
+  out[0] = spec.code;
+  out[1] = bytes.length;
+  out.set(bytes, 2);
+  return out;
+}
+
+/**
+ * Decodes a 32-byte label. Labels written before the typed format come
+ * back as `{ type: "legacy", value: text }`; unknown type bytes as
+ * `{ type: "unknown", value: bytes }`. Malformed typed labels throw.
+ * @returns {{ type: string, value: string | Uint8Array | null }}
+ */
+export function decodeLabel(label) {
+  const bytes = Uint8Array.from(label);
+  if (bytes.length !== LABEL_LEN)
+    throw new Error(`Label must be ${LABEL_LEN} bytes, got ${bytes.length}`);
+  const code = bytes[0];
+
+  if (bytes.every((b) => b === 0)) return { type: "none", value: null };
+  if (code >= 0x20) {
+    const end = bytes.indexOf(0);
+    return {
+      type: "legacy",
+      value: Buffer.from(end === -1 ? bytes : bytes.subarray(0, end)).toString(
+        "utf8",
+      ),
+    };
+  }
+  if (code === LABEL_TYPE_HASH) return { type: "hash", value: bytes.slice(1) };
+  if (code === LABEL_TYPE_ENCRYPTED)
+    return { type: "encrypted", value: bytes.slice(1) };
+
+  const type = TYPE_NAMES[code];
+  if (!type) return { type: "unknown", value: bytes };
+  const len = bytes[1];
+  if (len === 0 || len > MAX_VALUE_LEN)
+    throw new Error(`Malformed ${type} label: length ${len}`);
+  if (bytes.subarray(2 + len).some((b) => b !== 0))
+    throw new Error(`Malformed ${type} label: non-zero padding`);
+  let value;
+  try {
+    value = strictUtf8.decode(bytes.subarray(2, 2 + len));
+  } catch {
+    throw new Error(`Malformed ${type} label: invalid UTF-8`);
+  }
+  if (!STRING_TYPES[type].valid(value))
+    throw new Error(`Malformed ${type} label: invalid characters`);
+  return { type, value };
+}
+
+/** `decodeLabel` that never throws; malformed labels come back "unknown". */
+export function readLabel(label) {
+  try {
+    return decodeLabel(label);
+  } catch {
+    return { type: "unknown", value: Uint8Array.from(label) };
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Encrypted labels                                                */
+/*──────────────────────────────────────────────────────────────────*/
+// The plaintext is a text / alias / invoice label minus its last byte,
+// which must be zero (values ≤ 29 bytes). It is XORed with ChaCha20 keyed by
+// HKDF-SHA256(shared, info = "pivy-label-v1") under a zero nonce — the
+// key is single-use since every payment has a fresh ephemeral key. There
+// is no room for a tag; a wrong key shows up as a malformed label.
+const LABEL_KDF_INFO = new TextEncoder().encode("pivy-label-v1");
+const SEALED_LEN = LABEL_LEN - 1;
+
+const labelKeystream = (shared, data) =>
+  chacha20(
+    hkdf(sha256, shared, undefined, LABEL_KDF_INFO, 32),
+    new Uint8Array(12),
+    data,
+  );
+
+/**
+ * Encrypts a label under the payer–receiver ECDH secret
+ * (`sharedSecretFromEph` on the payer side).
+ * @param label  anything `encodeLabel` accepts
+ * @param shared 32-byte shared secret
+ * @returns {Uint8Array} 32 bytes
+ */
+export function encryptLabel(label, shared) {
+  const plain = encodeLabel(label);
+  if (!TYPE_NAMES[plain[0]])
+    throw new Error("Only text, alias and invoice labels can be encrypted");
+  if (plain[SEALED_LEN] !== 0)
+    throw new Error(
+      `Label too long to encrypt; at most ${MAX_VALUE_LEN - 1} bytes fit`,
+    );
+  const out = new Uint8Array(LABEL_LEN);
+  out[0] = LABEL_TYPE_ENCRYPTED;
+  out.set(labelKeystream(shared, plain.subarray(0, SEALED_LEN)), 1);
+  return out;
+}
+
+/**
+ * Decrypts a label from `encryptLabel` (`sharedSecretFromView` on the
+ * receiver side). Throws on a non-encrypted label or the wrong secret.
+ * @returns {{ type: string, value: string | Uint8Array }}
+ */
+export function decryptLabel(label, shared) {
+  const bytes = Uint8Array.from(label);
+  if (bytes.length !== LABEL_LEN || bytes[0] !== LABEL_TYPE_ENCRYPTED)
+    throw new Error("Not an encrypted label");
+  const plain = new Uint8Array(LABEL_LEN);
+  plain.set(labelKeystream(shared, bytes.subarray(1)));
+  const decoded = readLabel(plain);
+  if (!STRING_TYPES[decoded.type]) throw new Error("Label decryption failed");
+  return decoded;
+}
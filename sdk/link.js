@@ -0,0 +1,188 @@
+import { PublicKey } from "@solana/web3.js";
+import { encodeLabel, encryptLabel } from "./label.js";
+import { parseMetaAddress } from "./meta-address.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Payment links                                                   */
+/*──────────────────────────────────────────────────────────────────*/
+// alias  : https://pivy.me/<alias>
+// direct : https://pivy.me/pay?to=<meta-address>[&mint=<base58>]
+//            [&amount=<decimal>][&label=<text>][&exp=<unix seconds>]
+// solana : solana:<url-encoded https://pivy.me/api/pay/<alias>
+//                  or https://pivy.me/api/pay?to=…>
+// The `solana:` form is a Solana Pay transaction request pointing at the
+// same payment. `amount` is in UI units of the mint, as in Solana Pay;
+// `label` must fit a text label and aliases an alias label (./label.js).
+export const PIVY_LINK_BASE = "https://pivy.me";
+
+const DIRECT_PATH = "/pay";
+const API_PATH = "/api/pay";
+const RESERVED_ALIASES = new Set(["pay", "api"]);
+const AMOUNT_RE = /^(0|[1-9]\d*)(\.\d+)?$/;
+const DIRECT_PARAMS = ["to", "mint", "amount", "label", "exp"];
+
+function assertAlias(alias) {
+  try {
+    encodeLabel({ type: "alias", value: alias });
+  } catch {
+    throw new Error(`Invalid alias "${alias}"`);
+  }
+  if (RESERVED_ALIASES.has(alias))
+    throw new Error(`Alias "${alias}" is reserved`);
+}
+
+function assertAmount(amount) {
+  if (!AMOUNT_RE.test(amount) || /^0(\.0+)?$/.test(amount))
+    throw new Error(`Invalid amount "${amount}"`);
+}
+
+function assertMint(mint) {
+  try {
+    new PublicKey(mint);
+  } catch {
+    throw new Error(`Invalid mint "${mint}"`);
+  }
+}
+
+function assertExpiry(exp) {
+  if (!Number.isSafeInteger(exp) || exp <= 0)
+    throw new Error(`Invalid expiry "${exp}"`);
+}
+
+// Encrypted labels have one byte less room (see ./label.js); the check
+// only needs the length rule, so any key will do.
+function assertLabel(label, { encrypted = false } = {}) {
+  try {
+    if (encrypted)
+      encryptLabel({ type: "text", value: label }, new Uint8Array(32));
+    else encodeLabel({ type: "text", value: label });
+  } catch (e) {
+    throw new Error(`Invalid label: ${e.message}`);
+  }
+}
+
+/**
+ * Builds a payment link.
+ * @param link  `{ alias }`, or `{ metaAddress, mint?, amount?, label?,
+ *              expiresAt? }` (amount as a decimal string, expiresAt in
+ *              unix seconds)
+ * @param opts.solanaPay  emit the `solana:` transaction-request form
+ * @param opts.base       link origin (default https://pivy.me)
+ * @param opts.encryptLabel  the link will be served with `encryptLabel`
+ *                        on (./transaction-request.js): the label must
+ *                        fit an encrypted label
+ * @returns {string}
+ */
+export function encodePaymentLink(
+  link,
+  { solanaPay = false, base = PIVY_LINK_BASE, encryptLabel = false } = {},
+) {
+  const origin = new URL(base).origin;
+  let url;
+  if (link.alias !== undefined) {
+    if (Object.keys(link).some((k) => k !== "alias"))
+      throw new Error("Alias links carry the alias only");
+    assertAlias(link.alias);
+    url = `${origin}${solanaPay ? `${API_PATH}/` : "/"}${link.alias}`;
+  } else {
+    const { metaAddress, mint, amount, label, expiresAt } = link;
+    parseMetaAddress(metaAddress);
+    const params = new URLSearchParams({ to: metaAddress });
+    if (mint !== undefined) {
+      assertMint(mint.toString());
+      params.set("mint", mint.toString());
+    }
+    if (amount !== undefined) {
+      assertAmount(String(amount));
+      params.set("amount", String(amount));
+    }
+    if (label !== undefined) {
+      assertLabel(label, { encrypted: encryptLabel });
+      params.set("label", label);
+    }
+    if (expiresAt !== undefined) {
+      assertExpiry(expiresAt);
+      params.set("exp", String(expiresAt));
+    }
+    url = `${origin}${solanaPay ? API_PATH : DIRECT_PATH}?${params}`;
+  }
+  return solanaPay ? `solana:${encodeURIComponent(url)}` : url;
+}
+
+/**
+ * Parses and validates a link from `encodePaymentLink`. Unknown or
+ * repeated parameters, foreign origins and expired links are rejected.
+ * @param opts.base          expected origin (default https://pivy.me)
+ * @param opts.now           clock for the expiry check, in ms
+ * @param opts.allowExpired  return expired links instead of throwing
+ * @returns {{ kind: "alias", alias, solanaPay } |
+ *           { kind: "direct", metaAddress, mint, amount, label,
+ *             expiresAt, solanaPay }}  absent fields are `null`
+ */
+export function parsePaymentLink(
+  uri,
+  { base = PIVY_LINK_BASE, now = Date.now(), allowExpired = false } = {},
+) {
+  if (typeof uri !== "string") throw new Error("Payment link must be a string");
+  const solanaPay = uri.startsWith("solana:");
+  let url;
+  try {
+    url = new URL(solanaPay ? decodeURIComponent(uri.slice(7)) : uri);
+  } catch {
+    throw new Error("Malformed payment link");
+  }
+  if (url.origin !== new URL(base).origin)
+    throw new Error(`Not a PIVY link: ${url.origin}`);
+  if (url.hash || url.username || url.password)
+    throw new Error("Malformed payment link");
+
+  const aliasPrefix = solanaPay ? `${API_PATH}/` : "/";
+  const directPath = solanaPay ? API_PATH : DIRECT_PATH;
+
+  if (url.pathname !== directPath) {
+    if (!url.pathname.startsWith(aliasPrefix) || url.search)
+      throw new Error(`Unrecognised payment link path ${url.pathname}`);
+    const alias = url.pathname.slice(aliasPrefix.length);
+    assertAlias(alias);
+    return { kind: "alias", alias, solanaPay };
+  }
+
+  const params = url.searchParams;
+  const keys = [...params.keys()];
+  for (const key of keys) {
+    if (!DIRECT_PARAMS.includes(key))
+      throw new Error(`Unknown payment link parameter "${key}"`);
+    if (params.getAll(key).length > 1)
+      throw new Error(`Repeated payment link parameter "${key}"`);
+  }
+
+  const metaAddress = params.get("to");
+  if (metaAddress === null) throw new Error("Payment link has no recipient");
+  parseMetaAddress(metaAddress);
+
+  const mint = params.get("mint");
+  if (mint !== null) assertMint(mint);
+  const amount = params.get("amount");
+  if (amount !== null) assertAmount(amount);
+  const label = params.get("label");
+  if (label !== null) assertLabel(label);
+
+  let expiresAt = null;
+  if (params.has("exp")) {
+    const raw = params.get("exp");
+    expiresAt = /^\d+$/.test(raw) ? Number(raw) : NaN;
+    assertExpiry(expiresAt);
+    if (!allowExpired && expiresAt * 1000 <= now)
+      throw new Error("Payment link expired");
+  }
+
+  return {
+    kind: "direct",
+    metaAddress,
+    mint: mint === null ? null : new PublicKey(mint),
+    amount,
+    label,
+    expiresAt,
+    solanaPay,
+  };
+}
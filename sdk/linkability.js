@@ -0,0 +1,222 @@
+import { PublicKey } from "@solana/web3.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Linkability analysis (receiver side)                            */
+/*──────────────────────────────────────────────────────────────────*/
+// Each payment goes to its own stealth owner, but a `WithdrawEvent`
+// publishes owner, amount and destination. Withdrawals that share a
+// destination, land close together, move a one-off amount or share a
+// fee payer let an observer tie the owners together (and to whoever paid
+// them). This looks at a receiver's own history, as indexed by
+// ./indexer.js and matched by `scanPayments`, and says what gives it
+// away.
+const SEVERITY_SCORE = { high: 30, medium: 15, low: 5 };
+
+const MITIGATIONS = {
+  "shared-destination":
+    "Withdraw each stealth payment to a different, fresh destination.",
+  "timing-cluster":
+    "Spread withdrawals out over time instead of sweeping them together.",
+  "unique-amount":
+    "Withdraw in partial or common amounts rather than the exact amount received.",
+  "shared-fee-payer":
+    "Let each stealth owner pay its own fees, or withdraw through a relayer.",
+};
+
+const key = (pk) => new PublicKey(pk).toBase58();
+const big = (n) => BigInt(n.toString());
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = keyOf(item);
+    if (k === null) continue;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  return groups;
+}
+
+function finding(kind, severity, withdrawals, detail) {
+  return {
+    kind,
+    severity,
+    stealthOwners: [...new Set(withdrawals.map((w) => w.owner))],
+    signatures: [
+      ...new Set(withdrawals.map((w) => w.signature).filter(Boolean)),
+    ],
+    detail,
+    mitigation: MITIGATIONS[kind],
+  };
+}
+
+function sharedDestinations(withdrawals) {
+  const findings = [];
+  for (const [destination, group] of groupBy(
+    withdrawals,
+    (w) => w.destination,
+  )) {
+    const owners = new Set(group.map((w) => w.owner)).size;
+    if (owners < 2) continue;
+    findings.push(
+      finding(
+        "shared-destination",
+        owners >= 3 ? "high" : "medium",
+        group,
+        `${owners} stealth owners withdrew to ${destination}`,
+      ),
+    );
+  }
+  return findings;
+}
+
+function timingClusters(withdrawals, window) {
+  const timed = withdrawals
+    .filter((w) => w.blockTime !== null)
+    .sort((a, b) => a.blockTime - b.blockTime);
+  const clusters = [];
+  let current = [];
+  for (const w of timed) {
+    if (current.length && w.blockTime - current.at(-1).blockTime > window) {
+      clusters.push(current);
+      current = [];
+    }
+    current.push(w);
+  }
+  if (current.length) clusters.push(current);
+
+  const findings = [];
+  for (const group of clusters) {
+    const owners = new Set(group.map((w) => w.owner)).size;
+    if (owners < 2) continue;
+    const sameTx = [...groupBy(group, (w) => w.signature).values()].some(
+      (tx) => new Set(tx.map((w) => w.owner)).size > 1,
+    );
+    const span = group.at(-1).blockTime - group[0].blockTime;
+    findings.push(
+      finding(
+        "timing-cluster",
+        sameTx || owners >= 3 ? "high" : "medium",
+        group,
+        sameTx
+          ? `${owners} stealth owners withdrew in the same transaction`
+          : `${owners} stealth owners withdrew within ${span}s`,
+      ),
+    );
+  }
+  return findings;
+}
+
+function uniqueAmounts(withdrawals, payments, population) {
+  const received = new Map();
+  for (const p of payments) {
+    const k = `${p.owner}:${p.mint}`;
+    received.set(k, (received.get(k) ?? 0n) + p.amount);
+  }
+  const seen = new Map();
+  for (const p of population) {
+    const k = `${p.mint}:${p.amount}`;
+    seen.set(k, (seen.get(k) ?? 0) + 1);
+  }
+
+  return withdrawals
+    .filter(
+      (w) =>
+        received.get(`${w.owner}:${w.mint}`) === w.amount &&
+        seen.get(`${w.mint}:${w.amount}`) === 1,
+    )
+    .map((w) =>
+      finding(
+        "unique-amount",
+        "medium",
+        [w],
+        `Withdrawal of ${w.amount} matches a payment amount seen only once`,
+      ),
+    );
+}
+
+function sharedFeePayers(withdrawals, relayers) {
+  const findings = [];
+  const byPayer = groupBy(withdrawals, (w) =>
+    w.feePayer && !relayers.has(w.feePayer) ? w.feePayer : null,
+  );
+  for (const [feePayer, group] of byPayer) {
+    const owners = new Set(group.map((w) => w.owner)).size;
+    if (owners < 2) continue;
+    findings.push(
+      finding(
+        "shared-fee-payer",
+        "high",
+        group,
+        `${feePayer} paid the fees for ${owners} stealth owners' withdrawals`,
+      ),
+    );
+  }
+  return findings;
+}
+
+/**
+ * Scores how easily a receiver's withdrawals link their stealth payments.
+ * Records are event records as from `decodeTransactionEvents` or the
+ * indexer; withdrawals from owners not among `payments` are ignored.
+ * @param payments       the receiver's PaymentEvents (`scanPayments`)
+ * @param withdrawals    WithdrawEvents; `blockTime`, `signature` and
+ *                       `feePayer` are used when present
+ * @param population     PaymentEvents to judge amount uniqueness against,
+ *                       ideally everything indexed (default: `payments`)
+ * @param relayers       fee payers shared by design (see ./relayer.js)
+ * @param clusterWindow  seconds between withdrawals that count as together
+ * @returns {{ score, level, findings, mitigations, stats }} `score` 0–100,
+ *          `level` "low" | "medium" | "high", `findings[i] = { kind,
+ *          severity, stealthOwners, signatures, detail, mitigation }`
+ */
+export function analyzeLinkability({
+  payments,
+  withdrawals,
+  population = payments,
+  relayers = [],
+  clusterWindow = 3600,
+}) {
+  const asPayment = (p) => ({
+    owner: key(p.stealthOwner),
+    mint: key(p.mint),
+    amount: big(p.amount),
+  });
+  const own = payments.map(asPayment);
+  const owners = new Set(own.map((p) => p.owner));
+  const outgoing = withdrawals
+    .filter((w) => owners.has(key(w.stealthOwner)))
+    .map((w) => ({
+      owner: key(w.stealthOwner),
+      mint: key(w.mint),
+      amount: big(w.amount),
+      destination: key(w.destination),
+      signature: w.signature ?? null,
+      blockTime: w.blockTime ?? null,
+      feePayer: w.feePayer ? key(w.feePayer) : null,
+    }));
+
+  const findings = [
+    ...sharedDestinations(outgoing),
+    ...timingClusters(outgoing, clusterWindow),
+    ...uniqueAmounts(outgoing, own, population.map(asPayment)),
+    ...sharedFeePayers(outgoing, new Set(relayers.map(key))),
+  ];
+  const score = Math.min(
+    100,
+    findings.reduce((sum, f) => sum + SEVERITY_SCORE[f.severity], 0),
+  );
+
+  return {
+    score,
+    level: score >= 60 ? "high" : score >= 25 ? "medium" : "low",
+    findings,
+    mitigations: [...new Set(findings.map((f) => f.mitigation))],
+    stats: {
+      payments: own.length,
+      withdrawals: outgoing.length,
+      stealthOwners: owners.size,
+      destinations: new Set(outgoing.map((w) => w.destination)).size,
+    },
+  };
+}
@@ -0,0 +1,142 @@
+import * as ed from "@noble/ed25519";
+import { sha256 } from "@noble/hashes/sha256";
+import { hkdf } from "@noble/hashes/hkdf";
+import { xchacha20poly1305 } from "@noble/ciphers/chacha";
+import { randomBytes } from "crypto";
+import bs58 from "bs58";
+import { sharedSecretFromEph, sharedSecretFromView } from "./stealth.js";
+import { computeViewTag } from "./view-tag.js";
+import { isMetaAddress, parseMetaAddress } from "./meta-address.js";
+import { to32u8, bytesEqual, concatBytes } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Memo formats (memo ↔︎ ephPriv32)                                */
+/*──────────────────────────────────────────────────────────────────*/
+// v2     : 0x02 || viewTag(1) || nonce(24) || XChaCha20-Poly1305(ephPriv32)
+//          = 74 B, aad = 0x02 || viewTag || ephPub
+// v1     : 0x01 || nonce(24) || XChaCha20-Poly1305(ephPriv32)     = 73 B
+//          aad = 0x01 || ephPub
+//          (both keyed with HKDF-SHA256(shared, info = "pivy-memo-v1"))
+// legacy : nonce(24) || (ephPriv32 || ephPub) XOR sha256(shared)  = 88 B
+//          unversioned, unauthenticated, nonce unused — decrypt only.
+// Both are carried base58-encoded.
+export const MEMO_VERSION_LEGACY = 0;
+export const MEMO_VERSION_AEAD = 1;
+export const MEMO_VERSION_VIEW_TAG = 2;
+
+const NONCE_LEN = 24;
+const LEGACY_LEN = NONCE_LEN + 64;
+const AEAD_LEN = 1 + NONCE_LEN + 32 + 16;
+const VIEW_TAG_LEN = AEAD_LEN + 1;
+const MEMO_KDF_INFO = new TextEncoder().encode("pivy-memo-v1");
+
+const xorKeystream = (data, keyBytes) =>
+  data.map((b, i) => b ^ keyBytes[i % keyBytes.length]);
+
+const memoKey = (shared) => hkdf(sha256, shared, undefined, MEMO_KDF_INFO, 32);
+
+// Header = version byte, plus the view tag from v2 on.
+const headerLen = (version) => (version === MEMO_VERSION_VIEW_TAG ? 2 : 1);
+
+const memoAad = (header, ephPub) => concatBytes(header, to32u8(ephPub));
+
+/** Memo format version of a base58 payload. */
+export function memoVersion(encodedPayload) {
+  const payload = bs58.decode(encodedPayload);
+  if (payload.length === LEGACY_LEN) return MEMO_VERSION_LEGACY;
+  if (payload.length === AEAD_LEN && payload[0] === MEMO_VERSION_AEAD)
+    return MEMO_VERSION_AEAD;
+  if (payload.length === VIEW_TAG_LEN && payload[0] === MEMO_VERSION_VIEW_TAG)
+    return MEMO_VERSION_VIEW_TAG;
+  throw new Error(`Unsupported memo payload (${payload.length} bytes)`);
+}
+
+/** View tag carried in a v2 memo, or `null` for older formats. */
+export function memoViewTag(encodedPayload) {
+  return memoVersion(encodedPayload) === MEMO_VERSION_VIEW_TAG
+    ? bs58.decode(encodedPayload)[1]
+    : null;
+}
+
+/**
+ * Encrypts the ephemeral seed for the receiver's meta-view key.
+ * @param ephPriv32     32-byte ephemeral seed
+ * @param metaViewPub   receiver's meta-view pubkey, or their meta-address
+ * @param opts.version  MEMO_VERSION_VIEW_TAG (default), MEMO_VERSION_AEAD
+ *                      or MEMO_VERSION_LEGACY
+ * @param opts.nonce    fixed 24-byte nonce (test vectors only)
+ * @returns {Promise<string>} base58 memo payload
+ */
+export async function encryptEphemeralPrivKey(
+  ephPriv32,
+  metaViewPub,
+  { version = MEMO_VERSION_VIEW_TAG, nonce = randomBytes(NONCE_LEN) } = {},
+) {
+  if (isMetaAddress(metaViewPub))
+    metaViewPub = parseMetaAddress(metaViewPub).metaViewPub;
+  const shared = await sharedSecretFromEph(ephPriv32, metaViewPub);
+  const ephPub = await ed.getPublicKey(to32u8(ephPriv32));
+
+  if (version === MEMO_VERSION_LEGACY) {
+    const plain = concatBytes(to32u8(ephPriv32), ephPub);
+    return bs58.encode(concatBytes(nonce, xorKeystream(plain, sha256(shared))));
+  }
+  if (version !== MEMO_VERSION_AEAD && version !== MEMO_VERSION_VIEW_TAG)
+    throw new Error(`Unsupported memo version ${version}`);
+
+  const header =
+    version === MEMO_VERSION_VIEW_TAG
+      ? Uint8Array.of(version, computeViewTag(shared))
+      : Uint8Array.of(version);
+  const cipher = xchacha20poly1305(
+    memoKey(shared),
+    nonce,
+    memoAad(header, ephPub),
+  );
+  const sealed = cipher.encrypt(to32u8(ephPriv32));
+  return bs58.encode(concatBytes(header, nonce, sealed));
+}
+
+/**
+ * Recovers the ephemeral seed from a memo payload of any known version.
+ * @param encodedPayload base58 memo payload
+ * @param metaViewPriv   receiver's 32-byte meta-view seed
+ * @param ephPub         ephemeral pubkey from the PaymentEvent
+ * @returns {Promise<Uint8Array>} 32-byte ephemeral seed
+ */
+export async function decryptEphemeralPrivKey(
+  encodedPayload,
+  metaViewPriv,
+  ephPub,
+) {
+  const version = memoVersion(encodedPayload);
+  const payload = bs58.decode(encodedPayload);
+  const shared = await sharedSecretFromView(metaViewPriv, ephPub);
+
+  let ephPriv32;
+  if (version === MEMO_VERSION_LEGACY) {
+    const decrypted = xorKeystream(payload.slice(NONCE_LEN), sha256(shared));
+    ephPriv32 = decrypted.slice(0, 32);
+    if (!bytesEqual(decrypted.slice(32), to32u8(ephPub)))
+      throw new Error("Decryption failed: ephPub mismatch");
+  } else {
+    const header = payload.slice(0, headerLen(version));
+    const nonce = payload.slice(header.length, header.length + NONCE_LEN);
+    const cipher = xchacha20poly1305(
+      memoKey(shared),
+      nonce,
+      memoAad(header, ephPub),
+    );
+    try {
+      ephPriv32 = cipher.decrypt(payload.slice(header.length + NONCE_LEN));
+    } catch {
+      throw new Error("Decryption failed: memo authentication failed");
+    }
+  }
+
+  const computedPub = await ed.getPublicKey(ephPriv32);
+  if (!bytesEqual(computedPub, to32u8(ephPub)))
+    throw new Error("Decryption failed: ephPub mismatch");
+
+  return Uint8Array.from(ephPriv32);
+}
@@ -0,0 +1,167 @@
+import { sha256 } from "@noble/hashes/sha256";
+import { ed25519 } from "@noble/curves/ed25519";
+import { PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+import { STEALTH_SCHEME_VERSION } from "./constants.js";
+import { to32u8, bytesEqual, concatBytes } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Stealth meta-address                                            */
+/*──────────────────────────────────────────────────────────────────*/
+// ERC-5564-style identifier carrying both receiver pubkeys:
+//
+//   st:sol:<base58( scheme(1) || spendPub(32) || viewPub(32) || checksum(4) )>
+//
+// checksum = SHA256("st:sol:" || scheme || spendPub || viewPub)[0..4]
+export const META_ADDRESS_PREFIX = "st:sol:";
+
+const BODY_LEN = 1 + 32 + 32;
+const CHECKSUM_LEN = 4;
+
+const checksum = (prefix, body) =>
+  sha256(concatBytes(new TextEncoder().encode(prefix), body)).slice(
+    0,
+    CHECKSUM_LEN,
+  );
+
+const encodeChecked = (prefix, body) =>
+  prefix + bs58.encode(concatBytes(body, checksum(prefix, body)));
+
+// Rejects encodings that are off-curve or of small order (incl. identity).
+function assertValidPoint(bytes, name, what = "meta-address") {
+  let point;
+  try {
+    point = ed25519.ExtendedPoint.fromHex(bytes);
+  } catch {
+    throw new Error(`Invalid ${what}: ${name} is not a curve point`);
+  }
+  if (point.isSmallOrder())
+    throw new Error(`Invalid ${what}: ${name} has small order`);
+}
+
+// Body (scheme || 32 || 32) of a prefixed, checksummed string.
+function decodeChecked(value, prefix, what) {
+  if (typeof value !== "string" || !value.startsWith(prefix))
+    throw new Error(`Invalid ${what}: expected "${prefix}"`);
+
+  let raw;
+  try {
+    raw = bs58.decode(value.slice(prefix.length));
+  } catch {
+    throw new Error(`Invalid ${what}: not base58`);
+  }
+  if (raw.length !== BODY_LEN + CHECKSUM_LEN)
+    throw new Error(`Invalid ${what}: ${raw.length} bytes`);
+
+  const body = raw.slice(0, BODY_LEN);
+  if (!bytesEqual(raw.slice(BODY_LEN), checksum(prefix, body)))
+    throw new Error(`Invalid ${what}: checksum mismatch`);
+
+  if (body[0] !== STEALTH_SCHEME_VERSION)
+    throw new Error(`Unsupported stealth scheme ${body[0]}`);
+  return body;
+}
+
+export const isMetaAddress = (value) =>
+  typeof value === "string" && value.startsWith(META_ADDRESS_PREFIX);
+
+/**
+ * Encodes a receiver's meta-spend / meta-view pubkeys as one string.
+ * @returns {string} e.g. "st:sol:3yZe…"
+ */
+export function encodeMetaAddress(
+  metaSpendPub,
+  metaViewPub,
+  scheme = STEALTH_SCHEME_VERSION,
+) {
+  if (scheme !== STEALTH_SCHEME_VERSION)
+    throw new Error(`Unsupported stealth scheme ${scheme}`);
+  const spend = to32u8(metaSpendPub);
+  const view = to32u8(metaViewPub);
+  assertValidPoint(spend, "spend key");
+  assertValidPoint(view, "view key");
+
+  return encodeChecked(
+    META_ADDRESS_PREFIX,
+    concatBytes(Uint8Array.of(scheme), spend, view),
+  );
+}
+
+/**
+ * Parses and validates a meta-address.
+ * @returns {{ scheme: number, metaSpendPub: PublicKey, metaViewPub: PublicKey }}
+ */
+export function parseMetaAddress(metaAddress) {
+  const body = decodeChecked(metaAddress, META_ADDRESS_PREFIX, "meta-address");
+  const spend = body.slice(1, 33);
+  const view = body.slice(33, 65);
+  assertValidPoint(spend, "spend key");
+  assertValidPoint(view, "view key");
+
+  return {
+    scheme: body[0],
+    metaSpendPub: new PublicKey(spend),
+    metaViewPub: new PublicKey(view),
+  };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Viewing key (view-only delegation)                              */
+/*──────────────────────────────────────────────────────────────────*/
+// What a receiver hands an auditor: enough to find and read every
+// incoming payment, nothing that can spend one.
+//
+//   sv:sol:<base58( scheme(1) || viewSeed(32) || spendPub(32) || checksum(4) )>
+//
+// checksum = SHA256("sv:sol:" || body)[0..4]. Only the public half of
+// the spend key is included, so stealth scalars `a + t` stay out of
+// reach.
+export const VIEWING_KEY_PREFIX = "sv:sol:";
+
+export const isViewingKey = (value) =>
+  typeof value === "string" && value.startsWith(VIEWING_KEY_PREFIX);
+
+/**
+ * Encodes a view-only key from the meta-view seed and meta-spend pubkey.
+ * @returns {string} e.g. "sv:sol:5Kd3…"
+ */
+export function encodeViewingKey(
+  metaViewPriv,
+  metaSpendPub,
+  scheme = STEALTH_SCHEME_VERSION,
+) {
+  if (scheme !== STEALTH_SCHEME_VERSION)
+    throw new Error(`Unsupported stealth scheme ${scheme}`);
+  const view = to32u8(metaViewPriv);
+  const spend = to32u8(metaSpendPub);
+  if (view.length !== 32) throw new Error("Meta-view seed must be 32 bytes");
+  assertValidPoint(spend, "spend key", "viewing key");
+
+  return encodeChecked(
+    VIEWING_KEY_PREFIX,
+    concatBytes(Uint8Array.of(scheme), view, spend),
+  );
+}
+
+/**
+ * Parses and validates a viewing key.
+ * @returns {{ scheme: number, metaViewPriv: Uint8Array,
+ *          metaSpendPub: PublicKey, metaViewPub: PublicKey,
+ *          metaAddress: string }} the receiver's meta-address included
+ */
+export function parseViewingKey(viewingKey) {
+  const body = decodeChecked(viewingKey, VIEWING_KEY_PREFIX, "viewing key");
+  const metaViewPriv = body.slice(1, 33);
+  const spend = body.slice(33, 65);
+  assertValidPoint(spend, "spend key", "viewing key");
+
+  const metaViewPub = new PublicKey(ed25519.getPublicKey(metaViewPriv));
+  const metaSpendPub = new PublicKey(spend);
+  return {
+    scheme: body[0],
+    metaViewPriv,
+    metaSpendPub,
+    metaViewPub,
+    metaAddress: encodeMetaAddress(metaSpendPub, metaViewPub),
+  };
+}
@@ -0,0 +1,205 @@
+import { randomBytes } from "crypto";
+import bs58 from "bs58";
+import { Mnemonic } from "ethers";
+import { hkdf } from "@noble/hashes/hkdf";
+import { sha256 } from "@noble/hashes/sha256";
+import { sha512 } from "@noble/hashes/sha512";
+import { hmac } from "@noble/hashes/hmac";
+import { ed25519 } from "@noble/curves/ed25519";
+import { Keypair, PublicKey } from "@solana/web3.js";
+import { encodeMetaAddress } from "./meta-address.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Meta keys from a wallet signature                               */
+/*──────────────────────────────────────────────────────────────────*/
+// The receiver's main wallet signs a fixed, versioned message and both
+// meta seeds are expanded from that signature:
+//
+//   sig       = Ed25519-Sign(wallet, message_v)
+//   spendSeed = HKDF-SHA256(ikm = sig, salt = "pivy-meta-keys:v<v>",
+//                           info = "spend", 32)
+//   viewSeed  = same with info = "view"
+//
+// Ed25519 signatures are deterministic (RFC 8032), so the wallet alone
+// recovers the keys: no extra secret to back up. Anyone holding the
+// signature holds the keys, so the message says so, and only a PIVY
+// app should ever ask for it. A new version means a new message and
+// salt — and new keys; old versions stay derivable.
+export const META_KEYS_VERSION = 1;
+
+const MESSAGES = {
+  1:
+    "PIVY stealth meta-keys v1\n\n" +
+    "Sign to derive your PIVY receiving keys. This signature is your " +
+    "key: only sign this message in a PIVY app. It does not send a " +
+    "transaction or cost anything.",
+};
+
+function metaKeysFromSeeds(spendSeed, viewSeed) {
+  const metaSpend = Keypair.fromSeed(spendSeed);
+  const metaView = Keypair.fromSeed(viewSeed);
+  return {
+    metaSpend,
+    metaView,
+    metaSpendPriv: metaSpend.secretKey.slice(0, 32),
+    metaViewPriv: metaView.secretKey.slice(0, 32),
+    metaAddress: encodeMetaAddress(metaSpend.publicKey, metaView.publicKey),
+  };
+}
+
+/** The message a wallet signs for `version` (UTF-8 when signed). */
+export function metaKeysMessage(version = META_KEYS_VERSION) {
+  const message = MESSAGES[version];
+  if (!message)
+    throw new Error(`Unsupported meta-key derivation version ${version}`);
+  return message;
+}
+
+/**
+ * Meta-spend / meta-view keys from the wallet's signature over
+ * `metaKeysMessage(version)`.
+ * @param signature  64 bytes (Uint8Array, hex or base58)
+ * @param publicKey  wallet address; when given the signature is verified
+ *                   first, catching wallets that signed something else
+ * @returns {{ version, metaSpend: Keypair, metaView: Keypair,
+ *          metaSpendPriv: Uint8Array, metaViewPriv: Uint8Array,
+ *          metaAddress: string }} `*Priv` are the 32-byte seeds
+ */
+export function deriveMetaKeys(
+  signature,
+  { publicKey = null, version = META_KEYS_VERSION } = {},
+) {
+  const message = new TextEncoder().encode(metaKeysMessage(version));
+  const sig =
+    typeof signature !== "string"
+      ? Uint8Array.from(signature)
+      : /^[0-9a-f]{128}$/i.test(signature)
+        ? Uint8Array.from(Buffer.from(signature, "hex"))
+        : bs58.decode(signature);
+  if (sig.length !== 64) throw new Error("Signature must be 64 bytes");
+  if (
+    publicKey &&
+    !ed25519.verify(sig, message, new PublicKey(publicKey).toBytes())
+  )
+    throw new Error("Signature does not match the meta-key message");
+
+  const salt = `pivy-meta-keys:v${version}`;
+  const seed = (info) => hkdf(sha256, sig, salt, info, 32);
+  return { version, ...metaKeysFromSeeds(seed("spend"), seed("view")) };
+}
+
+/**
+ * Asks a wallet to sign the meta-key message and derives the keys (see
+ * `deriveMetaKeys`). Takes a wallet-adapter style `{ publicKey,
+ * signMessage }` — returning the signature or `{ signature }` — or a
+ * `Keypair`.
+ * @returns {Promise<object>} as `deriveMetaKeys`
+ */
+export async function deriveMetaKeysFromWallet(
+  wallet,
+  { version = META_KEYS_VERSION } = {},
+) {
+  const message = new TextEncoder().encode(metaKeysMessage(version));
+  let signature;
+  if (wallet.secretKey) {
+    signature = ed25519.sign(message, wallet.secretKey.slice(0, 32));
+  } else {
+    if (!wallet.signMessage)
+      throw new Error("Wallet does not support signMessage");
+    const signed = await wallet.signMessage(message);
+    signature = signed.signature ?? signed;
+  }
+  return deriveMetaKeys(signature, { publicKey: wallet.publicKey, version });
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Meta keys from a recovery phrase                                */
+/*──────────────────────────────────────────────────────────────────*/
+// BIP39 mnemonic → 64-byte seed → SLIP-0010 ed25519 keys, the way
+// Solana wallets derive theirs (m/44'/501'/<account>'/0'). Meta keys
+// sit on their own branch under the same account, so one phrase backs
+// up the wallet and every PIVY identity without reusing a wallet key:
+//
+//   spend  m/44'/501'/<account>'/1346983513'/0'
+//   view   m/44'/501'/<account>'/1346983513'/1'
+//
+// 1346983513 = 0x50495659, "PIVY" in ASCII.
+const PIVY_BRANCH = 0x50495659;
+const HARDENED = 0x80000000;
+const SLIP10_ED25519_KEY = new TextEncoder().encode("ed25519 seed");
+
+/** SLIP-0010 paths of an account's wallet and meta keys. */
+export function metaKeyPaths(account = 0) {
+  if (!Number.isInteger(account) || account < 0 || account >= HARDENED)
+    throw new Error(`Invalid account index ${account}`);
+  const base = `m/44'/501'/${account}'`;
+  return {
+    wallet: `${base}/0'`,
+    spend: `${base}/${PIVY_BRANCH}'/0'`,
+    view: `${base}/${PIVY_BRANCH}'/1'`,
+  };
+}
+
+/**
+ * SLIP-0010 ed25519 derivation; every segment must be hardened.
+ * @param seed  BIP39 seed (16–64 bytes)
+ * @param path  e.g. "m/44'/501'/0'/0'"
+ * @returns {Uint8Array} 32-byte ed25519 seed
+ */
+export function deriveSlip10Ed25519(seed, path) {
+  const segments = path.split("/");
+  if (segments.shift() !== "m") throw new Error(`Invalid path "${path}"`);
+  let I = hmac(sha512, SLIP10_ED25519_KEY, Uint8Array.from(seed));
+  for (const segment of segments) {
+    const m = /^(\d+)'$/.exec(segment);
+    if (!m || Number(m[1]) >= HARDENED)
+      throw new Error(`Invalid path "${path}": ed25519 needs hardened indices`);
+    const data = new Uint8Array(37);
+    data.set(I.slice(0, 32), 1);
+    new DataView(data.buffer).setUint32(33, Number(m[1]) + HARDENED);
+    I = hmac(sha512, I.slice(32), data);
+  }
+  return I.slice(0, 32);
+}
+
+/** New BIP39 recovery phrase (12–24 words, default 24). */
+export function generateMnemonic(words = 24) {
+  if (![12, 15, 18, 21, 24].includes(words))
+    throw new Error("Mnemonic must have 12, 15, 18, 21 or 24 words");
+  return Mnemonic.fromEntropy(randomBytes((words / 3) * 4)).phrase;
+}
+
+/** Whether a phrase is a valid English BIP39 mnemonic (incl. checksum). */
+export const validateMnemonic = (phrase) =>
+  Mnemonic.isValidMnemonic(phrase.normalize("NFKD"));
+
+/**
+ * Meta keys for one account of a BIP39 mnemonic (see `metaKeyPaths`).
+ * @param passphrase  optional BIP39 passphrase ("25th word")
+ * @returns {{ account, paths, wallet: Keypair, metaSpend, metaView,
+ *          metaSpendPriv, metaViewPriv, metaAddress }} as
+ *          `deriveMetaKeys`; `wallet` is the Solana wallet key Phantom,
+ *          Solflare etc. derive from the same phrase
+ */
+export function deriveMetaKeysFromMnemonic(
+  phrase,
+  { account = 0, passphrase = "" } = {},
+) {
+  const paths = metaKeyPaths(account);
+  if (!validateMnemonic(phrase)) throw new Error("Invalid mnemonic");
+  const seed = Buffer.from(
+    Mnemonic.fromPhrase(phrase.normalize("NFKD"), passphrase)
+      .computeSeed()
+      .slice(2),
+    "hex",
+  );
+  return {
+    account,
+    paths,
+    wallet: Keypair.fromSeed(deriveSlip10Ed25519(seed, paths.wallet)),
+    ...metaKeysFromSeeds(
+      deriveSlip10Ed25519(seed, paths.spend),
+      deriveSlip10Ed25519(seed, paths.view),
+    ),
+  };
+}
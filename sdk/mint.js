@@ -0,0 +1,120 @@
+import { PublicKey } from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  calculateEpochFee,
+  getEpochFee,
+  getTransferFeeConfig,
+  unpackMint,
+} from "@solana/spl-token";
+import { MULTIPLE_ACCOUNTS_LIMIT } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Mint info (legacy Token / Token-2022)                           */
+/*──────────────────────────────────────────────────────────────────*/
+// `pay` and `withdraw` take the token program owning the mint, and ATAs
+// are derived per program, so builders need to know which one a mint
+// belongs to. Token-2022 transfer-fee mints withhold part of every
+// transfer in the receiving account: the fee depends on the amount and
+// the epoch, so `MintInfo` carries the epoch it was read in.
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+function toMintInfo(address, info) {
+  if (!info) return null;
+  if (!TOKEN_PROGRAMS.some((p) => p.equals(info.owner)))
+    throw new Error(`${address.toBase58()} is not a token mint`);
+  const mint = unpackMint(address, info, info.owner);
+  return {
+    address,
+    tokenProgram: info.owner,
+    decimals: mint.decimals,
+    transferFee: getTransferFeeConfig(mint),
+    epoch: null,
+  };
+}
+
+async function stampEpoch(connection, mintInfos, commitment) {
+  if (mintInfos.some((info) => info?.transferFee)) {
+    const epoch = BigInt((await connection.getEpochInfo(commitment)).epoch);
+    for (const info of mintInfos) if (info) info.epoch = epoch;
+  }
+  return mintInfos;
+}
+
+/**
+ * Reads the mints' owning program, decimals and transfer-fee config.
+ * @returns {Promise<Array<{ address, tokenProgram, decimals, transferFee,
+ *          epoch } | null>>} `null` for missing accounts; `transferFee` is
+ *          the raw Token-2022 config or `null`
+ */
+export async function fetchMintInfos(
+  connection,
+  mints,
+  commitment = "confirmed",
+) {
+  const addresses = mints.map((m) => new PublicKey(m));
+  const infos = [];
+  for (let i = 0; i < addresses.length; i += MULTIPLE_ACCOUNTS_LIMIT)
+    infos.push(
+      ...(await connection.getMultipleAccountsInfo(
+        addresses.slice(i, i + MULTIPLE_ACCOUNTS_LIMIT),
+        commitment,
+      )),
+    );
+  return stampEpoch(
+    connection,
+    addresses.map((address, i) => toMintInfo(address, infos[i])),
+    commitment,
+  );
+}
+
+/** One mint's info (see `fetchMintInfos`); throws if it does not exist. */
+export async function fetchMintInfo(
+  connection,
+  mint,
+  commitment = "confirmed",
+) {
+  const address = new PublicKey(mint);
+  const info = toMintInfo(
+    address,
+    await connection.getAccountInfo(address, commitment),
+  );
+  if (!info) throw new Error(`Mint ${address.toBase58()} not found`);
+  return (await stampEpoch(connection, [info], commitment))[0];
+}
+
+/** Transfer fee withheld when `amount` (base units) moves; 0n if none. */
+export function transferFee(mintInfo, amount) {
+  if (!mintInfo.transferFee) return 0n;
+  return calculateEpochFee(
+    mintInfo.transferFee,
+    mintInfo.epoch,
+    BigInt(amount.toString()),
+  );
+}
+
+/**
+ * Smallest amount to send so that `net` arrives after the transfer fee.
+ * @returns {bigint}
+ */
+export function grossUpForFee(mintInfo, net) {
+  net = BigInt(net.toString());
+  if (net === 0n || !mintInfo.transferFee) return net;
+  const { transferFeeBasisPoints: bps, maximumFee } = getEpochFee(
+    mintInfo.transferFee,
+    mintInfo.epoch,
+  );
+  if (bps === 0 || maximumFee === 0n) return net;
+  const received = (gross) => gross - transferFee(mintInfo, gross);
+
+  // The fee rounds up and is capped, so start from the uncapped estimate
+  // (or the cap) and settle on the exact minimum.
+  let gross =
+    bps >= 10_000
+      ? net + maximumFee
+      : (net * 10_000n + BigInt(10_000 - bps) - 1n) / BigInt(10_000 - bps);
+  if (gross - net > maximumFee) gross = net + maximumFee;
+  while (received(gross) < net) gross++;
+  while (gross > net && received(gross - 1n) >= net) gross--;
+  return gross;
+}
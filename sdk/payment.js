@@ -0,0 +1,187 @@
+import * as ed from "@noble/ed25519";
+import { randomBytes } from "crypto";
+import BN from "bn.js";
+import { PublicKey, Transaction } from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+} from "@solana/spl-token";
+import {
+  sharedSecretFromEph,
+  stealthTweak,
+  stealthPubFromTweak,
+} from "./stealth.js";
+import { encryptEphemeralPrivKey } from "./memo.js";
+import { encodeLabel, encryptLabel } from "./label.js";
+import { isMetaAddress, parseMetaAddress } from "./meta-address.js";
+import {
+  payInstruction,
+  memoInstruction,
+  isNativeMint,
+  wrapSolInstructions,
+  unwrapSolInstruction,
+} from "./instructions.js";
+import { fetchMintInfo, transferFee, grossUpForFee } from "./mint.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+import { to32u8 } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Payment preparation (payer side)                                */
+/*──────────────────────────────────────────────────────────────────*/
+/**
+ * Everything a payer needs for one `pay` / `announce`: a fresh ephemeral
+ * key, the stealth owner, the encrypted memo and the 32-byte label.
+ * @param metaAddress    receiver's "st:sol:" meta-address, or pass
+ *                       `metaSpendPub` + `metaViewPub` instead
+ * @param label          anything `encodeLabel` accepts, or raw 32 bytes
+ * @param encryptLabel   encrypt the label so only the receiver can read it
+ * @param ephPriv32      fixed ephemeral seed (tests only; random by default)
+ * @param memoVersion    forwarded to `encryptEphemeralPrivKey`
+ * @returns {Promise<{ stealthOwner: PublicKey, ephPubkey: PublicKey,
+ *          ephPriv32: Uint8Array, memo: string, label: Uint8Array }>}
+ */
+export async function preparePayment({
+  metaAddress,
+  metaSpendPub,
+  metaViewPub,
+  label = null,
+  encryptLabel: encrypt = false,
+  ephPriv32 = randomBytes(32),
+  memoVersion,
+}) {
+  if (metaAddress !== undefined) {
+    if (!isMetaAddress(metaAddress))
+      throw new Error(`Not a meta-address: ${metaAddress}`);
+    ({ metaSpendPub, metaViewPub } = parseMetaAddress(metaAddress));
+  }
+  ephPriv32 = Uint8Array.from(to32u8(ephPriv32));
+  const shared = await sharedSecretFromEph(ephPriv32, metaViewPub);
+
+  let labelBytes;
+  if (label instanceof Uint8Array || Array.isArray(label)) {
+    if (encrypt) throw new Error("Raw label bytes cannot be encrypted");
+    labelBytes = Uint8Array.from(label);
+    if (labelBytes.length !== 32) throw new Error("Label must be 32 bytes");
+  } else {
+    labelBytes = encrypt ? encryptLabel(label, shared) : encodeLabel(label);
+  }
+
+  return {
+    stealthOwner: stealthPubFromTweak(metaSpendPub, stealthTweak(shared)),
+    ephPubkey: new PublicKey(await ed.getPublicKey(ephPriv32)),
+    ephPriv32,
+    memo: await encryptEphemeralPrivKey(ephPriv32, metaViewPub, {
+      ...(memoVersion !== undefined && { version: memoVersion }),
+    }),
+    label: labelBytes,
+  };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Pay transaction                                                 */
+/*──────────────────────────────────────────────────────────────────*/
+/**
+ * One private payment, ready to sign: `pay` from the payer's ATA plus the
+ * SPL memo carrying the encrypted ephemeral key. Native SOL payments
+ * (mint = WSOL) wrap `amount` lamports into the payer's WSOL ATA first
+ * and close it afterwards — any WSOL already held there is unwrapped too.
+ * Token-2022 mints need `connection` or `mintInfo` (./mint.js) to pick
+ * the token program and price in transfer fees.
+ * @param metaAddress     receiver's "st:sol:" meta-address
+ * @param mint            token mint
+ * @param amount          base units (BN, bigint, number or decimal string)
+ * @param label           anything `encodeLabel` accepts (default: none)
+ * @param payer           payer / fee payer pubkey; must sign
+ * @param encryptLabel    seal the label for the receiver
+ * @param wrapSol         wrap / unwrap around `pay` (default: mint is WSOL)
+ * @param connection      reads the mint when `mintInfo` is not given
+ * @param mintInfo        from `fetchMintInfo`; without either, the mint is
+ *                        assumed to be a legacy Token mint
+ * @param addTransferFee  send enough that the receiver gets `amount`
+ *                        after the transfer fee
+ * @param ephPriv32       fixed ephemeral seed (tests only)
+ * @returns {Promise<{ transaction: Transaction, instructions, stealthOwner,
+ *          stealthAta, ephPubkey, memo, label, tokenProgram, amounts }>}
+ *          `transaction` has no blockhash yet; keep `stealthOwner` /
+ *          `ephPubkey` as the receipt. `amounts = { sent, fee, received }`
+ *          (bigints; `fee` / `received` are null without mint info)
+ */
+export async function buildPayTransaction({
+  metaAddress,
+  mint,
+  amount,
+  label = null,
+  payer,
+  encryptLabel = false,
+  wrapSol,
+  connection = null,
+  mintInfo = null,
+  addTransferFee = false,
+  ephPriv32,
+  programId = PIVY_PROGRAM_ID,
+}) {
+  mint = new PublicKey(mint);
+  wrapSol ??= isNativeMint(mint);
+  if (wrapSol && !isNativeMint(mint))
+    throw new Error("wrapSol needs the native (WSOL) mint");
+  payer = new PublicKey(payer);
+  if (!/^\d+$/.test(amount?.toString()))
+    throw new Error(`Invalid amount "${amount}"; expected base units`);
+  if (BigInt(amount.toString()) === 0n)
+    throw new Error("Amount must be greater than zero");
+
+  if (!mintInfo && connection) mintInfo = await fetchMintInfo(connection, mint);
+  if (mintInfo && !mintInfo.address.equals(mint))
+    throw new Error("mintInfo is for a different mint");
+  if (addTransferFee && !mintInfo)
+    throw new Error("addTransferFee needs connection or mintInfo");
+  const tokenProgram = mintInfo?.tokenProgram ?? TOKEN_PROGRAM_ID;
+  const sent = addTransferFee
+    ? grossUpForFee(mintInfo, amount)
+    : BigInt(amount.toString());
+  const fee = mintInfo ? transferFee(mintInfo, sent) : null;
+  const value = new BN(sent.toString());
+
+  const prepared = await preparePayment({
+    metaAddress,
+    label,
+    encryptLabel,
+    ...(ephPriv32 !== undefined && { ephPriv32 }),
+  });
+  const instructions = [
+    ...(wrapSol ? wrapSolInstructions(payer, value) : []),
+    payInstruction({
+      stealthOwner: prepared.stealthOwner,
+      payer,
+      mint,
+      amount: value,
+      label: prepared.label,
+      ephPubkey: prepared.ephPubkey,
+      tokenProgram,
+      programId,
+    }),
+    memoInstruction(prepared.memo),
+    ...(wrapSol ? [unwrapSolInstruction(payer)] : []),
+  ];
+
+  return {
+    transaction: new Transaction({ feePayer: payer }).add(...instructions),
+    instructions,
+    stealthOwner: prepared.stealthOwner,
+    stealthAta: getAssociatedTokenAddressSync(
+      mint,
+      prepared.stealthOwner,
+      false,
+      tokenProgram,
+    ),
+    ephPubkey: prepared.ephPubkey,
+    memo: prepared.memo,
+    label: prepared.label,
+    tokenProgram,
+    amounts: {
+      sent,
+      fee,
+      received: fee === null ? null : sent - fee,
+    },
+  };
+}
@@ -0,0 +1,375 @@
+import { BorshCoder } from "@coral-xyz/anchor";
+import { PublicKey, Transaction } from "@solana/web3.js";
+import {
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  decodeTransferCheckedInstruction,
+  getAssociatedTokenAddressSync,
+} from "@solana/spl-token";
+import { WITHDRAW_ALL, withdrawInstruction } from "./instructions.js";
+import { fetchMintInfo } from "./mint.js";
+import { PIVY_STEALTH_IDL } from "./idl.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+import { CORS, reply, RequestError } from "./http.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Relayed (gasless) withdrawals                                   */
+/*──────────────────────────────────────────────────────────────────*/
+// A fresh stealth owner holds no SOL, and funding it from the receiver's
+// wallet would link the two. A relayer pays the fees instead and is
+// reimbursed in the withdrawn token:
+//   GET  <relayer>/quote?mint=<base58>  → quote (see `parseRelayerQuote`)
+//   POST <relayer>/relay  { transaction } → { signature }
+// The transaction, with the relayer as fee payer, is exactly
+//   1. idempotent create of the destination ATA (rent paid by the relayer)
+//   2. transferChecked of the fee from the stealth ATA to the relayer ATA
+//   3. `withdraw` from the stealth ATA to the destination ATA
+// and arrives signed by the stealth owner. The relayer rebuilds it from
+// its parameters, refuses anything else, simulates, co-signs and sends.
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+
+/** Quote JSON from a relayer → PublicKeys and a bigint fee. */
+export function parseRelayerQuote(json) {
+  return {
+    feePayer: new PublicKey(json.feePayer),
+    mint: new PublicKey(json.mint),
+    tokenProgram: new PublicKey(json.tokenProgram),
+    decimals: json.decimals,
+    fee: BigInt(json.fee),
+    relayerAta: new PublicKey(json.relayerAta),
+    blockhash: json.blockhash,
+    lastValidBlockHeight: json.lastValidBlockHeight,
+  };
+}
+
+/**
+ * The three instructions of a relayed withdrawal (see above).
+ * @param quote   from `parseRelayerQuote` / `requestRelayerQuote`
+ * @param amount  base units, default `WITHDRAW_ALL` (everything left after
+ *                the fee; the stealth ATA is closed)
+ */
+export function relayedWithdrawInstructions({
+  stealthOwner,
+  mint,
+  destination,
+  quote,
+  amount = WITHDRAW_ALL,
+  programId = PIVY_PROGRAM_ID,
+}) {
+  stealthOwner = new PublicKey(stealthOwner);
+  mint = new PublicKey(mint);
+  destination = new PublicKey(destination);
+  if (!mint.equals(quote.mint)) throw new Error("Quote is for another mint");
+  const { tokenProgram } = quote;
+  const stealthAta = getAssociatedTokenAddressSync(
+    mint,
+    stealthOwner,
+    false,
+    tokenProgram,
+  );
+  const destinationAta = getAssociatedTokenAddressSync(
+    mint,
+    destination,
+    false,
+    tokenProgram,
+  );
+  return [
+    createAssociatedTokenAccountIdempotentInstruction(
+      quote.feePayer,
+      destinationAta,
+      destination,
+      mint,
+      tokenProgram,
+    ),
+    createTransferCheckedInstruction(
+      stealthAta,
+      mint,
+      quote.relayerAta,
+      stealthOwner,
+      quote.fee,
+      quote.decimals,
+      [],
+      tokenProgram,
+    ),
+    withdrawInstruction({
+      stealthOwner,
+      mint,
+      stealthAta,
+      destinationAta,
+      amount,
+      tokenProgram,
+      programId,
+    }),
+  ];
+}
+
+/**
+ * Relayed withdrawal with the quote's fee payer and blockhash, ready for
+ * the stealth owner's signature.
+ * @returns {Transaction}
+ */
+export function buildRelayedWithdrawTransaction(params) {
+  const { quote } = params;
+  return new Transaction({
+    feePayer: quote.feePayer,
+    blockhash: quote.blockhash,
+    lastValidBlockHeight: quote.lastValidBlockHeight,
+  }).add(...relayedWithdrawInstructions(params));
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Relayer (server side)                                           */
+/*──────────────────────────────────────────────────────────────────*/
+const sameInstruction = (a, b) =>
+  a.programId.equals(b.programId) &&
+  a.keys.length === b.keys.length &&
+  a.keys.every((k, i) => k.pubkey.equals(b.keys[i].pubkey)) &&
+  a.data.equals(b.data);
+
+/**
+ * Relayer endpoint; same handler shape as ./transaction-request.js.
+ * @param connection  needs `getAccountInfo`, `getLatestBlockhash`,
+ *                    `simulateTransaction` and `sendRawTransaction`
+ * @param feePayer    relayer `Keypair`; must hold an ATA for every
+ *                    accepted mint
+ * @param fees        `{ [mint]: base units }`, or `async (mintInfo) →
+ *                    base units | null`; the fee should cover the network
+ *                    fee and the destination ATA rent
+ */
+export function createRelayerHandler({
+  connection,
+  feePayer,
+  fees,
+  programId = PIVY_PROGRAM_ID,
+  commitment = "confirmed",
+}) {
+  const feeFor =
+    typeof fees === "function"
+      ? fees
+      : async ({ address }) => fees[address.toBase58()] ?? null;
+
+  // Everything in a quote but the blockhash.
+  async function terms(mint) {
+    let mintInfo;
+    try {
+      mintInfo = await fetchMintInfo(connection, mint, commitment);
+    } catch (e) {
+      throw new RequestError(400, e.message);
+    }
+    const fee = await feeFor(mintInfo);
+    if (fee === null || fee === undefined)
+      throw new RequestError(400, `Mint ${mint.toBase58()} not accepted`);
+    return {
+      feePayer: feePayer.publicKey,
+      mint,
+      tokenProgram: mintInfo.tokenProgram,
+      decimals: mintInfo.decimals,
+      fee: BigInt(fee.toString()),
+      relayerAta: getAssociatedTokenAddressSync(
+        mint,
+        feePayer.publicKey,
+        false,
+        mintInfo.tokenProgram,
+      ),
+    };
+  }
+
+  // Recovers the withdrawal parameters and checks the transaction is
+  // exactly what `relayedWithdrawInstructions` builds for them.
+  async function checkTransaction(tx) {
+    const mismatch = new RequestError(
+      400,
+      "Not a relayed withdrawal for this relayer",
+    );
+    if (!tx.feePayer?.equals(feePayer.publicKey)) throw mismatch;
+    if (tx.instructions.length !== 3) throw mismatch;
+    const [create, transfer, withdraw] = tx.instructions;
+    if (!withdraw.programId.equals(programId) || withdraw.keys.length < 5)
+      throw mismatch;
+
+    let decoded;
+    try {
+      decoded = coder.instruction.decode(withdraw.data);
+    } catch {
+      throw mismatch;
+    }
+    if (decoded?.name !== "withdraw") throw mismatch;
+    const stealthOwner = withdraw.keys[0].pubkey;
+    const mint = withdraw.keys[3].pubkey;
+    const destination = create.keys[2]?.pubkey;
+    if (!destination) throw mismatch;
+    const current = await terms(mint);
+
+    let paid;
+    try {
+      paid = decodeTransferCheckedInstruction(transfer, current.tokenProgram)
+        .data.amount;
+    } catch {
+      throw mismatch;
+    }
+    if (paid < current.fee)
+      throw new RequestError(
+        400,
+        `Fee too low; the relayer charges ${current.fee}`,
+      );
+    const expected = relayedWithdrawInstructions({
+      stealthOwner,
+      mint,
+      destination,
+      quote: { ...current, fee: paid },
+      amount: decoded.data.args.amount,
+      programId,
+    });
+    if (!expected.every((ix, i) => sameInstruction(ix, tx.instructions[i])))
+      throw mismatch;
+
+    const signers = tx.signatures.map((s) => s.publicKey);
+    if (
+      signers.length !== 2 ||
+      !signers.some((k) => k.equals(stealthOwner)) ||
+      !tx.signatures.find((s) => s.publicKey.equals(stealthOwner)).signature ||
+      !tx.verifySignatures(false)
+    )
+      throw new RequestError(400, "Stealth owner signature missing or invalid");
+  }
+
+  async function relay(raw) {
+    let tx;
+    try {
+      tx = Transaction.from(Buffer.from(raw, "base64"));
+    } catch {
+      throw new RequestError(400, "Malformed transaction");
+    }
+    await checkTransaction(tx);
+    tx.partialSign(feePayer);
+
+    const { value } = await connection.simulateTransaction(tx);
+    if (value.err)
+      throw new RequestError(
+        400,
+        `Simulation failed: ${JSON.stringify(value.err)}`,
+      );
+    const signature = await connection.sendRawTransaction(tx.serialize(), {
+      preflightCommitment: commitment,
+    });
+    return { signature };
+  }
+
+  return async function handle({ method, url, body }) {
+    try {
+      const { pathname, searchParams } = new URL(url, "http://relayer");
+      if (method === "OPTIONS") return { status: 204, headers: CORS };
+      if (pathname.endsWith("/quote")) {
+        if (method !== "GET") throw new RequestError(405, "Method not allowed");
+        let mint;
+        try {
+          mint = new PublicKey(searchParams.get("mint"));
+        } catch {
+          throw new RequestError(400, "Invalid mint");
+        }
+        const q = await terms(mint);
+        const { blockhash, lastValidBlockHeight } =
+          await connection.getLatestBlockhash(commitment);
+        return reply(200, {
+          ...q,
+          blockhash,
+          lastValidBlockHeight,
+          feePayer: q.feePayer.toBase58(),
+          mint: q.mint.toBase58(),
+          tokenProgram: q.tokenProgram.toBase58(),
+          fee: q.fee.toString(),
+          relayerAta: q.relayerAta.toBase58(),
+        });
+      }
+      if (pathname.endsWith("/relay")) {
+        if (method !== "POST")
+          throw new RequestError(405, "Method not allowed");
+        if (typeof body?.transaction !== "string")
+          throw new RequestError(400, "Missing transaction");
+        return reply(200, await relay(body.transaction));
+      }
+      throw new RequestError(404, "Not found");
+    } catch (e) {
+      if (e instanceof RequestError)
+        return reply(e.status, { error: e.message });
+      return reply(500, { error: "Internal error" });
+    }
+  };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Relayer client                                                  */
+/*──────────────────────────────────────────────────────────────────*/
+async function call(fetch, url, init) {
+  const res = await fetch(url, init);
+  const body = await res.json().catch(() => null);
+  if (!res.ok)
+    throw new Error(`Relayer error ${res.status}: ${body?.error ?? "no body"}`);
+  return body;
+}
+
+const endpoint = (url, path) => `${String(url).replace(/\/+$/, "")}/${path}`;
+
+/** Fetches and parses a relayer's quote for `mint`. */
+export async function requestRelayerQuote(
+  url,
+  mint,
+  { fetch = globalThis.fetch } = {},
+) {
+  const mintParam = encodeURIComponent(new PublicKey(mint).toBase58());
+  return parseRelayerQuote(
+    await call(fetch, `${endpoint(url, "quote")}?mint=${mintParam}`),
+  );
+}
+
+/** Sends a stealth-signed relayed withdrawal. @returns {{ signature }} */
+export async function submitToRelayer(
+  url,
+  transaction,
+  { fetch = globalThis.fetch } = {},
+) {
+  const raw = transaction.serialize({
+    requireAllSignatures: false,
+    verifySignatures: false,
+  });
+  return call(fetch, endpoint(url, "relay"), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ transaction: raw.toString("base64") }),
+  });
+}
+
+/**
+ * Quote → build → sign with the stealth signer → submit.
+ * @param url          relayer base URL
+ * @param signer       `StealthSigner` (or any wallet) of the stealth owner
+ * @param destination  receiving wallet; never signs or pays anything
+ * @param maxFee       refuse quotes above this many base units
+ * @returns {Promise<{ signature, quote }>}
+ */
+export async function relayWithdraw({
+  url,
+  signer,
+  mint,
+  destination,
+  amount = WITHDRAW_ALL,
+  maxFee,
+  programId = PIVY_PROGRAM_ID,
+  fetch = globalThis.fetch,
+}) {
+  const quote = await requestRelayerQuote(url, mint, { fetch });
+  if (maxFee !== undefined && quote.fee > BigInt(maxFee.toString()))
+    throw new Error(`Relayer fee ${quote.fee} exceeds maxFee ${maxFee}`);
+  const tx = await signer.signTransaction(
+    buildRelayedWithdrawTransaction({
+      stealthOwner: signer.publicKey,
+      mint,
+      destination,
+      quote,
+      amount,
+      programId,
+    }),
+  );
+  const { signature } = await submitToRelayer(url, tx, { fetch });
+  return { signature, quote };
+}
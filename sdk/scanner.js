@@ -0,0 +1,121 @@
+import * as ed from "@noble/ed25519";
+import { PublicKey } from "@solana/web3.js";
+import {
+  deriveStealthPub,
+  sharedSecretFromView,
+  stealthTweak,
+  stealthPubFromTweak,
+} from "./stealth.js";
+import { decryptEphemeralPrivKey, memoViewTag } from "./memo.js";
+import { computeViewTag } from "./view-tag.js";
+import { decryptLabel, LABEL_TYPE_ENCRYPTED } from "./label.js";
+import { to32u8 } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Announcement matching                                           */
+/*──────────────────────────────────────────────────────────────────*/
+/**
+ * Does this announcement pay the receiver? With a view tag, a foreign
+ * announcement is rejected after the ECDH and one hash (~255/256 of the
+ * time); only tag hits pay for the point addition and comparison.
+ * @param metaViewPriv receiver's 32-byte meta-view seed
+ * @param metaSpendPub receiver's meta-spend pubkey
+ * @param ephPub       `eph_pubkey` from the PaymentEvent
+ * @param stealthOwner `stealth_owner` from the PaymentEvent
+ * @param viewTag      tag from the memo (`memoViewTag`), if any
+ * @returns {Promise<boolean>}
+ */
+export async function checkAnnouncement({
+  metaViewPriv,
+  metaSpendPub,
+  ephPub,
+  stealthOwner,
+  viewTag = null,
+}) {
+  const shared = await sharedSecretFromView(metaViewPriv, ephPub);
+  if (viewTag !== null && computeViewTag(shared) !== viewTag) return false;
+  return stealthPubFromTweak(metaSpendPub, stealthTweak(shared)).equals(
+    new PublicKey(stealthOwner),
+  );
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Payment scanning                                                */
+/*──────────────────────────────────────────────────────────────────*/
+// A foreign or malformed memo must never abort a scan.
+const safeViewTag = (memo) => {
+  try {
+    return memo ? memoViewTag(memo) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Decrypted label fields for an owned event, or {} when not encrypted.
+async function openLabel(event, metaViewPriv) {
+  if (!event.label || event.label[0] !== LABEL_TYPE_ENCRYPTED) return {};
+  const shared = await sharedSecretFromView(metaViewPriv, event.ephPubkey);
+  try {
+    const labelData = decryptLabel(event.label, shared);
+    return { labelData, labelText: labelData.value };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Picks the payments that belong to a receiver out of decoded events.
+ * @param metaViewPriv receiver's 32-byte meta-view seed
+ * @param metaSpendPub receiver's meta-spend pubkey
+ * @param events       decoded PaymentEvents `{ stealthOwner, payer, mint,
+ *                     amount, label, ephPubkey, announce }`, optionally with
+ *                     the `memo` found in the same transaction (records from
+ *                     `decodeTransactionEvents` work as-is; other event
+ *                     names are skipped)
+ * @returns {Promise<Array<object>>} matching events, in input order, each
+ *          with `ephPriv` (Uint8Array, or `null` when there is no readable
+ *          memo); encrypted labels are replaced by their decrypted
+ *          `labelData` / `labelText`
+ */
+export async function scanPayments({ metaViewPriv, metaSpendPub, events }) {
+  const metaViewPub = await ed.getPublicKey(to32u8(metaViewPriv));
+  const payments = [];
+
+  for (const event of events) {
+    if (event.name && event.name !== "PaymentEvent") continue;
+    const owned = await checkAnnouncement({
+      metaViewPriv,
+      metaSpendPub,
+      ephPub: event.ephPubkey,
+      stealthOwner: event.stealthOwner,
+      viewTag: safeViewTag(event.memo),
+    });
+    if (!owned) continue;
+
+    let ephPriv = null;
+    if (event.memo) {
+      try {
+        const candidate = await decryptEphemeralPrivKey(
+          event.memo,
+          metaViewPriv,
+          event.ephPubkey,
+        );
+        const expected = await deriveStealthPub(
+          metaSpendPub,
+          metaViewPub,
+          candidate,
+        );
+        if (expected.equals(new PublicKey(event.stealthOwner)))
+          ephPriv = candidate;
+      } catch {
+        // owned, but the memo is unreadable — still report the payment
+      }
+    }
+    payments.push({
+      ...event,
+      ephPriv,
+      ...(await openLabel(event, metaViewPriv)),
+    });
+  }
+  return payments;
+}
@@ -0,0 +1,83 @@
+import { sha512 } from "@noble/hashes/sha512";
+import { ed25519 } from "@noble/curves/ed25519";
+import { PublicKey } from "@solana/web3.js";
+import {
+  L,
+  mod,
+  bytesToNumberLE,
+  bnTo32BytesLE,
+  concatBytes,
+} from "./utils.js";
+
+// Same check as Anchor's: only versioned transactions carry `version`.
+const isVersionedTransaction = (tx) => "version" in tx;
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  StealthSigner: custom signer that works from scalar             */
+/*──────────────────────────────────────────────────────────────────*/
+// A stealth scalar `s = a + t` is not the hash of any seed, so neither
+// `Keypair` nor nacl can sign with it. This signs RFC 8032-style straight
+// from the scalar, deriving the nonce prefix from the scalar bytes.
+// It implements Anchor's `Wallet` interface, so it can back an
+// `AnchorProvider` directly.
+export class StealthSigner {
+  constructor(sBytes) {
+    this.scalarBytes = sBytes; // Uint8Array(32) little-endian scalar s
+    this.scalar = bytesToNumberLE(sBytes);
+    this.publicKey = new PublicKey(
+      ed25519.ExtendedPoint.BASE.multiply(this.scalar).toRawBytes(),
+    );
+  }
+
+  async signMessage(message) {
+    const msg =
+      typeof message === "string"
+        ? Buffer.from(message)
+        : new Uint8Array(message);
+
+    const prefix = sha512(this.scalarBytes).slice(32); // 32-byte prefix
+
+    const r = mod(bytesToNumberLE(sha512(concatBytes(prefix, msg))), L);
+    const Rbytes = ed25519.ExtendedPoint.BASE.multiply(r).toRawBytes();
+
+    const k = mod(
+      bytesToNumberLE(
+        sha512(concatBytes(Rbytes, this.publicKey.toBytes(), msg)),
+      ),
+      L,
+    );
+    const S = mod(r + k * this.scalar, L);
+
+    return concatBytes(Rbytes, bnTo32BytesLE(S));
+  }
+
+  /**
+   * Adds this signer's signature to a legacy `Transaction` or a
+   * `VersionedTransaction`; other signatures (e.g. a separate fee payer's)
+   * are kept, before or after. Legacy transactions need `feePayer` and
+   * `recentBlockhash` set — `AnchorProvider` does that itself.
+   */
+  async signTransaction(tx) {
+    if (isVersionedTransaction(tx)) {
+      const { header, staticAccountKeys } = tx.message;
+      const index = staticAccountKeys
+        .slice(0, header.numRequiredSignatures)
+        .findIndex((k) => k.equals(this.publicKey));
+      if (index === -1)
+        throw new Error(
+          `${this.publicKey.toBase58()} is not a signer of this transaction`,
+        );
+      tx.signatures[index] = await this.signMessage(tx.message.serialize());
+      return tx;
+    }
+    const sig = await this.signMessage(tx.serializeMessage());
+    tx.addSignature(this.publicKey, Buffer.from(sig));
+    return tx;
+  }
+
+  async signAllTransactions(txs) {
+    const signed = [];
+    for (const tx of txs) signed.push(await this.signTransaction(tx));
+    return signed;
+  }
+}
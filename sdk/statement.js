@@ -0,0 +1,337 @@
+import { PublicKey } from "@solana/web3.js";
+import { fetchMintInfos, transferFee } from "./mint.js";
+import { readLabel } from "./label.js";
+import { formatUiAmount, toHex } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Accounting statements                                           */
+/*──────────────────────────────────────────────────────────────────*/
+// One row per incoming payment and per withdrawal of a receiver, with
+// amounts in UI units, decoded labels and costs:
+//   networkFee   lamports the withdrawal transaction paid (`txFee` from
+//                ./events.js), counted once per transaction
+//   transferFee  Token-2022 fee withheld from a withdrawal at the
+//                destination, at the mint's current fee config
+// Log-only `announce` events move no funds and their amount is whatever
+// the caller claimed (anyone with the meta-address can send one), so
+// they get their own row type and stay out of `received` / `balance`.
+// Funds that really arrived that way (CCTP) count once withdrawn: a
+// stealth owner's balance is what it received less what left it, and
+// anything withdrawn beyond its payments is taken as proof of its
+// announcements, so no owner's balance goes below zero.
+// Rows and totals are sorted on chain data only (slot, signature, …),
+// never on input order or the clock, so re-exporting the same history
+// gives byte-identical files.
+export const STATEMENT_COLUMNS = [
+  "date",
+  "slot",
+  "signature",
+  "type",
+  "mint",
+  "symbol",
+  "amount",
+  "rawAmount",
+  "label",
+  "labelType",
+  "stealthOwner",
+  "counterparty",
+  "networkFee",
+  "transferFee",
+];
+
+const TYPE_ORDER = { payment: 0, announce: 1, withdrawal: 2 };
+
+const key = (pk) => new PublicKey(pk).toBase58();
+
+function labelOf(event) {
+  const data = event.labelData ?? (event.label ? readLabel(event.label) : null);
+  if (!data || data.type === "none") return { label: "", labelType: "none" };
+  const value =
+    data.value instanceof Uint8Array ? toHex(data.value) : data.value;
+  return { label: value ?? "", labelType: data.type };
+}
+
+// Code-unit order: unlike localeCompare, the same on every machine.
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const compareRows = (a, b) =>
+  (a.slot ?? 0) - (b.slot ?? 0) ||
+  compare(a.signature, b.signature) ||
+  TYPE_ORDER[a.type] - TYPE_ORDER[b.type] ||
+  compare(a.stealthOwner, b.stealthOwner) ||
+  compare(a.mint, b.mint);
+
+/**
+ * Joins a receiver's payments and withdrawals into a statement.
+ * @param payments     the receiver's PaymentEvents (`scanPayments`)
+ * @param withdrawals  WithdrawEvents; only those of the receiver's stealth
+ *                     owners are kept
+ * @param mints        `{ <mint>: { decimals, symbol?, transferFee?,
+ *                     epoch? } }` (`fetchMintInfos` results work);
+ *                     missing mints are read through `connection`
+ * @returns {Promise<{ rows, totals, networkFee }>} `rows` in
+ *          `STATEMENT_COLUMNS` shape; `totals[i] = { mint, symbol,
+ *          payments, received, announcements, announced, withdrawals,
+ *          withdrawn, transferFees, balance }` in UI units (`balance` =
+ *          received − withdrawn per stealth owner, announcements only as
+ *          far as withdrawals prove them); `networkFee` in lamports
+ */
+export async function buildStatement({
+  payments,
+  withdrawals = [],
+  mints = {},
+  connection = null,
+}) {
+  const owners = new Set(payments.map((p) => key(p.stealthOwner)));
+  const own = withdrawals.filter((w) => owners.has(key(w.stealthOwner)));
+
+  const infos = new Map(
+    Object.entries(mints).map(([mint, info]) => [key(mint), info]),
+  );
+  const missing = [
+    ...new Set([...payments, ...own].map((e) => key(e.mint))),
+  ].filter((mint) => !infos.has(mint));
+  if (missing.length && connection)
+    (await fetchMintInfos(connection, missing)).forEach(
+      (info, i) => info && infos.set(missing[i], info),
+    );
+  const infoOf = (mint) => {
+    const info = infos.get(mint);
+    if (!info) throw new Error(`Unknown decimals for mint ${mint}`);
+    return info;
+  };
+
+  const entries = [
+    ...payments.map((event) => ({
+      event,
+      type: event.announce ? "announce" : "payment",
+    })),
+    ...own.map((event) => ({ event, type: "withdrawal" })),
+  ].map(({ event, type }) => {
+    const mint = key(event.mint);
+    const info = infoOf(mint);
+    const amount = BigInt(event.amount.toString());
+    const fee =
+      type === "withdrawal" && info.transferFee
+        ? transferFee(info, amount)
+        : 0n;
+    const row = {
+      date:
+        event.blockTime != null
+          ? new Date(event.blockTime * 1000).toISOString()
+          : "",
+      slot: event.slot ?? null,
+      signature: event.signature ?? "",
+      type,
+      mint,
+      symbol: info.symbol ?? "",
+      amount: formatUiAmount(amount, info.decimals),
+      rawAmount: amount.toString(),
+      ...(type !== "withdrawal"
+        ? labelOf(event)
+        : { label: "", labelType: "none" }),
+      stealthOwner: key(event.stealthOwner),
+      counterparty:
+        type !== "withdrawal"
+          ? event.payer
+            ? key(event.payer)
+            : ""
+          : key(event.destination),
+      networkFee: "",
+      transferFee: formatUiAmount(fee, info.decimals),
+    };
+    return { row, amount, fee, txFee: event.txFee ?? null };
+  });
+  entries.sort((a, b) => compareRows(a.row, b.row));
+
+  // After sorting, so the fee lands on the same row every run.
+  const charged = new Set();
+  for (const { row, txFee } of entries)
+    if (
+      row.type === "withdrawal" &&
+      txFee !== null &&
+      !charged.has(row.signature)
+    ) {
+      charged.add(row.signature);
+      row.networkFee = String(txFee);
+    }
+
+  const sums = new Map();
+  for (const { row, amount, fee } of entries) {
+    const t = sums.get(row.mint) ?? {
+      mint: row.mint,
+      symbol: row.symbol,
+      payments: 0,
+      received: 0n,
+      announcements: 0,
+      announced: 0n,
+      withdrawals: 0,
+      withdrawn: 0n,
+      transferFees: 0n,
+      held: new Map(), // stealth owner → received − withdrawn
+    };
+    const held = t.held.get(row.stealthOwner) ?? 0n;
+    if (row.type === "payment") {
+      t.payments++;
+      t.received += amount;
+      t.held.set(row.stealthOwner, held + amount);
+    } else if (row.type === "announce") {
+      t.announcements++;
+      t.announced += amount;
+    } else {
+      t.withdrawals++;
+      t.withdrawn += amount;
+      t.transferFees += fee;
+      t.held.set(row.stealthOwner, held - amount);
+    }
+    sums.set(row.mint, t);
+  }
+  const rows = entries.map((e) => e.row);
+  const totals = [...sums.values()]
+    .sort((a, b) => compare(a.mint, b.mint))
+    .map((t) => {
+      const { decimals } = infoOf(t.mint);
+      const ui = (n) => formatUiAmount(n, decimals);
+      return {
+        mint: t.mint,
+        symbol: t.symbol,
+        payments: t.payments,
+        received: ui(t.received),
+        announcements: t.announcements,
+        announced: ui(t.announced),
+        withdrawals: t.withdrawals,
+        withdrawn: ui(t.withdrawn),
+        transferFees: ui(t.transferFees),
+        balance: ui(
+          [...t.held.values()].reduce((sum, n) => (n > 0n ? sum + n : sum), 0n),
+        ),
+      };
+    });
+
+  return {
+    rows,
+    totals,
+    networkFee: rows
+      .reduce((sum, r) => sum + BigInt(r.networkFee || 0), 0n)
+      .toString(),
+  };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Formats                                                         */
+/*──────────────────────────────────────────────────────────────────*/
+const csvField = (value) => {
+  const text = value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** RFC 4180 CSV of the rows, header first, "\n" line endings. */
+export function statementToCSV(statement) {
+  return (
+    [
+      STATEMENT_COLUMNS,
+      ...statement.rows.map((r) => STATEMENT_COLUMNS.map((c) => r[c])),
+    ]
+      .map((fields) => fields.map(csvField).join(","))
+      .join("\n") + "\n"
+  );
+}
+
+/** Pretty-printed JSON `{ rows, totals, networkFee }`, stable key order. */
+export function statementToJSON(statement) {
+  return (
+    JSON.stringify(
+      {
+        rows: statement.rows.map((r) =>
+          Object.fromEntries(STATEMENT_COLUMNS.map((c) => [c, r[c]])),
+        ),
+        totals: statement.totals,
+        networkFee: statement.networkFee,
+      },
+      null,
+      2,
+    ) + "\n"
+  );
+}
+
+const ofxDate = (iso) => iso.replace(/[-:T]/g, "").slice(0, 14);
+
+const tag = (name, text) =>
+  `<${name}>${String(text)
+    .slice(0, 255)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")}</${name}>`;
+
+/**
+ * OFX 2.2 bank statement for one mint (OFX has one currency per
+ * statement; CURDEF is the mint's `symbol`, or "XXX" without one).
+ * Payments are CREDITs, withdrawals XFERs out of the account;
+ * unverified announcements are left out. `FITID` is
+ * `<signature>:<type>:<stealthOwner>:<mint>`, chain data only, so a
+ * transaction keeps its id when later exports add rows before it;
+ * `DTSERVER` is the newest row's time, so the file is as deterministic
+ * as the statement.
+ * @param mint     which mint's rows to include
+ * @param account  ACCTID to show, e.g. the receiver's meta-address
+ * @returns {string}
+ */
+export function statementToOFX(statement, { mint, account = "PIVY" }) {
+  mint = new PublicKey(mint).toBase58();
+  const total = statement.totals.find((t) => t.mint === mint);
+  if (!total) throw new Error(`Statement has no rows for mint ${mint}`);
+  const dated = statement.rows.filter(
+    (r) => r.mint === mint && r.type !== "announce" && r.date,
+  );
+  const first = dated.length ? ofxDate(dated[0].date) : "19700101000000";
+  const last = dated.length ? ofxDate(dated.at(-1).date) : first;
+
+  const transactions = statement.rows.flatMap((r) => {
+    if (r.mint !== mint || r.type === "announce") return [];
+    const payment = r.type === "payment";
+    return [
+      "        <STMTTRN>",
+      ...[
+        tag("TRNTYPE", payment ? "CREDIT" : "XFER"),
+        tag("DTPOSTED", r.date ? ofxDate(r.date) : first),
+        tag("TRNAMT", payment ? r.amount : `-${r.amount}`),
+        tag("FITID", `${r.signature}:${r.type}:${r.stealthOwner}:${r.mint}`),
+        tag("NAME", r.label || r.counterparty || r.stealthOwner),
+        tag(
+          "MEMO",
+          payment
+            ? `Stealth payment to ${r.stealthOwner}`
+            : `Withdrawal from ${r.stealthOwner} to ${r.counterparty}`,
+        ),
+      ].map((line) => `          ${line}`),
+      "        </STMTTRN>",
+    ];
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    "<OFX>",
+    "  <SIGNONMSGSRSV1><SONRS>",
+    "    <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>",
+    `    <DTSERVER>${last}</DTSERVER><LANGUAGE>ENG</LANGUAGE>`,
+    "  </SONRS></SIGNONMSGSRSV1>",
+    "  <BANKMSGSRSV1><STMTTRNRS>",
+    "    <TRNUID>0</TRNUID>",
+    "    <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>",
+    "    <STMTRS>",
+    `      ${tag("CURDEF", total.symbol || "XXX")}`,
+    "      <BANKACCTFROM>",
+    `        <BANKID>PIVY</BANKID>${tag("ACCTID", account)}<ACCTTYPE>CHECKING</ACCTTYPE>`,
+    "      </BANKACCTFROM>",
+    "      <BANKTRANLIST>",
+    `        <DTSTART>${first}</DTSTART><DTEND>${last}</DTEND>`,
+    ...transactions,
+    "      </BANKTRANLIST>",
+    `      <LEDGERBAL><BALAMT>${total.balance}</BALAMT><DTASOF>${last}</DTASOF></LEDGERBAL>`,
+    "    </STMTRS>",
+    "  </STMTTRNRS></BANKMSGSRSV1>",
+    "</OFX>",
+    "",
+  ].join("\n");
+}
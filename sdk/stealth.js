@@ -0,0 +1,113 @@
+// PIVY stealth scheme — version 1
+// ================================================================
+// Notation: e = ephemeral seed (payer), E = e·G
+//           a = meta-spend scalar, A = a·G (meta-spend pubkey)
+//           b = meta-view scalar,  B = b·G (meta-view pubkey)
+//
+//   shared = X25519(e, B) = X25519(b, E)   (@noble/ed25519 getSharedSecret)
+//   t      = SHA256(shared) mod L           (stealth tweak)
+//   S      = A + t·G                        (stealth owner, payer side)
+//   s      = a + t mod L                    (stealth scalar, receiver side)
+//
+// Seeds are the 32-byte halves of Solana secret keys; scalars are derived
+// from them per RFC 8032 §5.1.5. `s` has no seed, so the owner signs with
+// `StealthSigner` rather than a `Keypair`.
+// ---------------------------------------------------------------
+
+import * as ed from "@noble/ed25519";
+import { sha256 } from "@noble/hashes/sha256";
+import { ed25519 } from "@noble/curves/ed25519";
+import { PublicKey } from "@solana/web3.js";
+import { StealthSigner } from "./signer.js";
+import { isMetaAddress, parseMetaAddress } from "./meta-address.js";
+import {
+  L,
+  mod,
+  to32u8,
+  bytesToNumberBE,
+  bnTo32BytesLE,
+  scalarFromSeed,
+} from "./utils.js";
+
+export { STEALTH_SCHEME_VERSION } from "./constants.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Shared secret & tweak                                           */
+/*──────────────────────────────────────────────────────────────────*/
+/** Payer side: ECDH between the ephemeral seed and the meta-view pubkey. */
+export async function sharedSecretFromEph(ephPriv32, metaViewPub) {
+  return ed.getSharedSecret(to32u8(ephPriv32), to32u8(metaViewPub));
+}
+
+/** Receiver side: ECDH between the meta-view seed and the ephemeral pubkey. */
+export async function sharedSecretFromView(metaViewPriv, ephPub) {
+  return ed.getSharedSecret(to32u8(metaViewPriv), to32u8(ephPub));
+}
+
+/** t = SHA256(shared) mod L */
+export function stealthTweak(shared) {
+  return mod(bytesToNumberBE(sha256(shared)), L);
+}
+
+/** S = A + t·G */
+export function stealthPubFromTweak(metaSpendPub, tweak) {
+  const A = ed25519.ExtendedPoint.fromHex(to32u8(metaSpendPub));
+  const S = A.add(ed25519.ExtendedPoint.BASE.multiply(tweak));
+  return new PublicKey(S.toRawBytes());
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Derivation                                                      */
+/*──────────────────────────────────────────────────────────────────*/
+/**
+ * Stealth owner for a payment, as computed by the payer. Also callable as
+ * `deriveStealthPub(metaAddress, ephPriv32)` with an "st:sol:" string.
+ * @param metaSpendPub receiver's meta-spend pubkey (base58 / bytes)
+ * @param metaViewPub  receiver's meta-view pubkey (base58 / bytes)
+ * @param ephPriv32    32-byte ephemeral seed
+ * @returns {Promise<PublicKey>}
+ */
+export async function deriveStealthPub(metaSpendPub, metaViewPub, ephPriv32) {
+  if (isMetaAddress(metaSpendPub)) {
+    ephPriv32 = metaViewPub;
+    ({ metaSpendPub, metaViewPub } = parseMetaAddress(metaSpendPub));
+  }
+  const shared = await sharedSecretFromEph(ephPriv32, metaViewPub);
+  return stealthPubFromTweak(metaSpendPub, stealthTweak(shared));
+}
+
+/**
+ * Same stealth owner, recomputed by the receiver from the announced
+ * ephemeral pubkey — needs only the view key, never the spend key.
+ * @returns {Promise<PublicKey>}
+ */
+export async function deriveStealthPubFromView(
+  metaSpendPub,
+  metaViewPriv,
+  ephPub,
+) {
+  const shared = await sharedSecretFromView(metaViewPriv, ephPub);
+  return stealthPubFromTweak(metaSpendPub, stealthTweak(shared));
+}
+
+/**
+ * Signer able to spend from the stealth owner.
+ * @param metaSpendPriv receiver's 32-byte meta-spend seed (hex / bytes)
+ * @param metaViewPub   receiver's meta-view pubkey
+ * @param ephPriv32     32-byte ephemeral seed (decrypted from the memo)
+ * @returns {Promise<StealthSigner>}
+ */
+export async function deriveStealthKeypair(
+  metaSpendPriv,
+  metaViewPub,
+  ephPriv32,
+) {
+  const shared = await sharedSecretFromEph(ephPriv32, metaViewPub);
+  return stealthSignerFromTweak(metaSpendPriv, stealthTweak(shared));
+}
+
+export function stealthSignerFromTweak(metaSpendPriv, tweak) {
+  const a = scalarFromSeed(to32u8(metaSpendPriv));
+  const s = mod(a + tweak, L);
+  return new StealthSigner(bnTo32BytesLE(s));
+}
@@ -0,0 +1,293 @@
+import bs58 from "bs58";
+import { PublicKey, Transaction, PACKET_DATA_SIZE } from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  getAssociatedTokenAddressSync,
+  unpackAccount,
+} from "@solana/spl-token";
+import {
+  sharedSecretFromView,
+  stealthTweak,
+  stealthSignerFromTweak,
+} from "./stealth.js";
+import {
+  withdrawInstruction,
+  isNativeMint,
+  unwrapSolInstruction,
+} from "./instructions.js";
+import { fetchMintInfos, transferFee } from "./mint.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+import { MULTIPLE_ACCOUNTS_LIMIT, packTransactions } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Sweep planning                                                  */
+/*──────────────────────────────────────────────────────────────────*/
+// A sweep empties many stealth ATAs into the receiver's own ATAs. Each
+// stealth owner must sign its `withdraw`, so a transaction is bounded by
+// both its serialized size and its signature count. Items are packed
+// greedily, in input order; every transaction also carries idempotent
+// creates for the destination ATAs it touches, so it can land on its own.
+export const DEFAULT_MAX_SIGNATURES = 12;
+
+function sweepInstructions(feePayer, items, unwrapSol) {
+  const instructions = [];
+  const seen = new Set();
+  for (const { destinationAta, destination, mint, tokenProgram } of items) {
+    if (seen.has(destinationAta.toBase58())) continue;
+    seen.add(destinationAta.toBase58());
+    instructions.push(
+      createAssociatedTokenAccountIdempotentInstruction(
+        feePayer,
+        destinationAta,
+        destination,
+        mint,
+        tokenProgram,
+      ),
+    );
+  }
+  for (const item of items) instructions.push(item.instruction);
+  if (unwrapSol && items.some((it) => isNativeMint(it.mint)))
+    instructions.push(unwrapSolInstruction(items[0].destination));
+  return instructions;
+}
+
+async function fetchBalances(connection, items) {
+  const balances = [];
+  for (let i = 0; i < items.length; i += MULTIPLE_ACCOUNTS_LIMIT) {
+    const chunk = items.slice(i, i + MULTIPLE_ACCOUNTS_LIMIT);
+    const infos = await connection.getMultipleAccountsInfo(
+      chunk.map((it) => it.stealthAta),
+    );
+    infos.forEach((info, j) =>
+      balances.push(
+        info
+          ? unpackAccount(chunk[j].stealthAta, info, info.owner).amount
+          : null,
+      ),
+    );
+  }
+  return balances;
+}
+
+/**
+ * Plans a sweep of discovered payments into `destination`'s ATAs. Signers
+ * are re-derived from the view key and `ephPubkey`, so payments without a
+ * readable memo are swept too. Nothing is signed or sent.
+ * @param payments       records from `scanPayments` (or any objects with
+ *                       `stealthOwner`, `ephPubkey` and `mint`)
+ * @param metaSpendPriv  receiver's 32-byte meta-spend seed
+ * @param metaViewPriv   receiver's 32-byte meta-view seed
+ * @param destination    wallet that receives the funds
+ * @param feePayer       pays fees and destination-ATA rent
+ * @param connection     optional; when given, each mint's token program is
+ *                       read from chain, empty or closed stealth ATAs are
+ *                       skipped and `balance` / `fee` / `received` are
+ *                       filled in. Without it, `payment.tokenProgram`
+ *                       (default: legacy Token) is used
+ * @param unwrapSol      close the destination's WSOL ATA after WSOL
+ *                       withdrawals, paying out SOL; needs the destination
+ *                       to be the fee payer (it must sign)
+ * @param maxSignatures  per transaction, fee payer included
+ * @param maxSize        serialized transaction bytes
+ * @returns {Promise<{ feePayer, destination, transactions, skipped }>}
+ *          `transactions[i] = { items, signers, instructions, size,
+ *          signatures }`; each item is `{ payment, stealthOwner,
+ *          stealthAta, mint, tokenProgram, destinationAta, balance, fee,
+ *          received }` (`fee` is the Token-2022 transfer fee on the way
+ *          out);
+ *          `skipped[i] = { payment, reason }`
+ */
+export async function planSweep({
+  payments,
+  metaSpendPriv,
+  metaViewPriv,
+  destination,
+  feePayer = destination,
+  connection = null,
+  programId = PIVY_PROGRAM_ID,
+  maxSignatures = DEFAULT_MAX_SIGNATURES,
+  maxSize = PACKET_DATA_SIZE,
+  unwrapSol = false,
+}) {
+  destination = new PublicKey(destination);
+  feePayer = new PublicKey(feePayer);
+  if (unwrapSol && !feePayer.equals(destination))
+    throw new Error("unwrapSol needs the destination as fee payer");
+  const skipped = [];
+  const candidates = [];
+  const seen = new Set();
+
+  const mintInfos = new Map();
+  if (connection) {
+    const mints = [
+      ...new Set(payments.map((p) => new PublicKey(p.mint).toBase58())),
+    ];
+    (await fetchMintInfos(connection, mints)).forEach((info, i) =>
+      mintInfos.set(mints[i], info),
+    );
+  }
+
+  for (const payment of payments) {
+    const stealthOwner = new PublicKey(payment.stealthOwner);
+    const mint = new PublicKey(payment.mint);
+    const mintInfo = mintInfos.get(mint.toBase58());
+    if (connection && !mintInfo) {
+      skipped.push({ payment, reason: "mint not found" });
+      continue;
+    }
+    const tokenProgram = new PublicKey(
+      mintInfo?.tokenProgram ?? payment.tokenProgram ?? TOKEN_PROGRAM_ID,
+    );
+    const shared = await sharedSecretFromView(metaViewPriv, payment.ephPubkey);
+    const signer = stealthSignerFromTweak(metaSpendPriv, stealthTweak(shared));
+    if (!signer.publicKey.equals(stealthOwner)) {
+      skipped.push({ payment, reason: "not owned by these keys" });
+      continue;
+    }
+    const stealthAta = getAssociatedTokenAddressSync(
+      mint,
+      stealthOwner,
+      false,
+      tokenProgram,
+    );
+    if (seen.has(stealthAta.toBase58())) {
+      skipped.push({ payment, reason: "duplicate stealth ATA" });
+      continue;
+    }
+    seen.add(stealthAta.toBase58());
+    const destinationAta = getAssociatedTokenAddressSync(
+      mint,
+      destination,
+      false,
+      tokenProgram,
+    );
+    candidates.push({
+      payment,
+      signer,
+      stealthOwner,
+      stealthAta,
+      mint,
+      tokenProgram,
+      mintInfo,
+      destination,
+      destinationAta,
+      balance: null,
+      fee: null,
+      received: null,
+      instruction: withdrawInstruction({
+        stealthOwner,
+        mint,
+        stealthAta,
+        destinationAta,
+        tokenProgram,
+        programId,
+      }),
+    });
+  }
+
+  let items = candidates;
+  if (connection) {
+    const balances = await fetchBalances(connection, candidates);
+    items = [];
+    candidates.forEach((item, i) => {
+      if (balances[i] === null)
+        skipped.push({ payment: item.payment, reason: "stealth ATA closed" });
+      else if (balances[i] === 0n)
+        skipped.push({ payment: item.payment, reason: "stealth ATA empty" });
+      else {
+        const fee = transferFee(item.mintInfo, balances[i]);
+        items.push({
+          ...item,
+          balance: balances[i],
+          fee,
+          received: balances[i] - fee,
+        });
+      }
+    });
+  }
+
+  const transactions = packTransactions(items, {
+    feePayer,
+    instructions: (group) => sweepInstructions(feePayer, group, unwrapSol),
+    fits: ({ signatures, size }) =>
+      signatures <= maxSignatures && size <= maxSize,
+    tooLarge: (item) =>
+      new Error(
+        `Withdrawal from ${item.stealthOwner.toBase58()} does not fit in a transaction`,
+      ),
+  }).map(({ items: group, instructions, signatures, size }) => ({
+    items: group.map(
+      ({ signer, instruction, destination, mintInfo, ...item }) => item,
+    ),
+    signers: group.map((it) => it.signer),
+    instructions,
+    signatures,
+    size,
+  }));
+
+  return { feePayer, destination, transactions, skipped };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Sweep execution                                                 */
+/*──────────────────────────────────────────────────────────────────*/
+/**
+ * Signs and sends a plan from `planSweep`, one transaction at a time.
+ * A failed transaction does not stop the others unless `stopOnError`.
+ * @param feePayer  `Keypair` or wallet (`signTransaction`) for
+ *                  `plan.feePayer`
+ * @returns {Promise<Array<{ index, status, signature, error, items }>>}
+ *          status is "confirmed", "failed" or "skipped"
+ */
+export async function executeSweep(
+  plan,
+  { connection, feePayer, commitment = "confirmed", stopOnError = false },
+) {
+  const results = [];
+  let halted = false;
+
+  for (const [index, planned] of plan.transactions.entries()) {
+    const result = {
+      index,
+      status: "skipped",
+      signature: null,
+      error: null,
+      items: planned.items,
+    };
+    results.push(result);
+    if (halted) continue;
+
+    try {
+      const { blockhash, lastValidBlockHeight } =
+        await connection.getLatestBlockhash(commitment);
+      let tx = new Transaction({
+        feePayer: plan.feePayer,
+        blockhash,
+        lastValidBlockHeight,
+      }).add(...planned.instructions);
+
+      if (feePayer.secretKey) tx.partialSign(feePayer);
+      else tx = await feePayer.signTransaction(tx);
+      for (const signer of planned.signers)
+        tx = await signer.signTransaction(tx);
+
+      result.signature = bs58.encode(tx.signature);
+      await connection.sendRawTransaction(tx.serialize(), {
+        preflightCommitment: commitment,
+      });
+      const { value } = await connection.confirmTransaction(
+        { signature: result.signature, blockhash, lastValidBlockHeight },
+        commitment,
+      );
+      if (value.err)
+        throw new Error(`Transaction failed: ${JSON.stringify(value.err)}`);
+      result.status = "confirmed";
+    } catch (e) {
+      result.status = "failed";
+      result.error = e;
+      halted = stopOnError;
+    }
+  }
+  return results;
+}
@@ -0,0 +1,153 @@
+import { PublicKey } from "@solana/web3.js";
+import { buildPayTransaction } from "./payment.js";
+import { fetchMintInfo } from "./mint.js";
+import { parsePaymentLink, PIVY_LINK_BASE } from "./link.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+import { parseUiAmount, formatUiAmount } from "./utils.js";
+import { CORS, reply, RequestError } from "./http.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Solana Pay transaction requests                                 */
+/*──────────────────────────────────────────────────────────────────*/
+// Serves the `solana:` links from ./link.js:
+//   GET  <base>/api/pay/<alias> | <base>/api/pay?to=…   → { label, icon }
+//   POST same URL, body { account }                     → { transaction,
+//                                                           message }
+// Every POST gets a fresh ephemeral key, so every payer pays a new
+// stealth owner. The transaction (`pay` + encrypted memo) has the payer
+// as fee payer and is returned unsigned. The link amount is what the
+// receiver gets: Token-2022 transfer fees are added on top and named in
+// the message.
+
+/**
+ * Framework-agnostic handler: `(request) → Promise<response>`, with
+ * `request = { method, url, body }` (`url` absolute or relative to
+ * `base`, `body` parsed JSON) and `response = { status, headers, body }`.
+ * @param connection     needs `getAccountInfo` (mint decimals),
+ *                       `getLatestBlockhash` and, for transfer-fee mints,
+ *                       `getEpochInfo`
+ * @param resolveAlias   `async (alias) → { metaAddress, mint?, amount?,
+ *                       label? } | null`; without it alias links 404
+ * @param label, icon    what the wallet shows for the GET request
+ * @param defaultMint    used when the link names no mint
+ * @param encryptLabel   seal labels for the receiver (see ./label.js)
+ */
+export function createTransactionRequestHandler({
+  connection,
+  resolveAlias = async () => null,
+  label = "PIVY",
+  icon,
+  base = PIVY_LINK_BASE,
+  defaultMint = null,
+  encryptLabel = false,
+  programId = PIVY_PROGRAM_ID,
+  commitment = "confirmed",
+  now = () => Date.now(),
+}) {
+  if (!icon) throw new Error("Solana Pay requires an icon URL");
+
+  async function resolvePayment(url) {
+    let link;
+    try {
+      link = parsePaymentLink(`solana:${encodeURIComponent(url)}`, {
+        base,
+        now: now(),
+      });
+    } catch (e) {
+      throw new RequestError(400, e.message);
+    }
+    if (link.kind === "direct") return { ...link, alias: null };
+
+    const resolved = await resolveAlias(link.alias);
+    if (!resolved) throw new RequestError(404, `Unknown alias "${link.alias}"`);
+    return {
+      alias: link.alias,
+      metaAddress: resolved.metaAddress,
+      mint: resolved.mint ? new PublicKey(resolved.mint) : null,
+      amount: resolved.amount ?? null,
+      label: resolved.label ?? null,
+    };
+  }
+
+  async function buildTransaction(payment, account) {
+    const mint = payment.mint ?? (defaultMint && new PublicKey(defaultMint));
+    if (!mint) throw new RequestError(400, "Payment link has no mint");
+    if (payment.amount === null)
+      throw new RequestError(400, "Payment link has no amount");
+
+    let mintInfo;
+    try {
+      mintInfo = await fetchMintInfo(connection, mint, commitment);
+    } catch (e) {
+      throw new RequestError(400, e.message);
+    }
+    let amount;
+    try {
+      amount = parseUiAmount(payment.amount, mintInfo.decimals);
+    } catch (e) {
+      throw new RequestError(400, e.message);
+    }
+
+    let built;
+    try {
+      built = await buildPayTransaction({
+        metaAddress: payment.metaAddress,
+        mint,
+        amount,
+        label: payment.label,
+        payer: account,
+        encryptLabel: encryptLabel && payment.label !== null,
+        mintInfo,
+        addTransferFee: true,
+        programId,
+      });
+    } catch (e) {
+      throw new RequestError(400, e.message);
+    }
+    const { blockhash, lastValidBlockHeight } =
+      await connection.getLatestBlockhash(commitment);
+    const tx = built.transaction;
+    tx.recentBlockhash = blockhash;
+    tx.lastValidBlockHeight = lastValidBlockHeight;
+    return {
+      transaction: tx.serialize({
+        requireAllSignatures: false,
+        verifySignatures: false,
+      }),
+      fee:
+        built.amounts.fee &&
+        formatUiAmount(built.amounts.fee, mintInfo.decimals),
+    };
+  }
+
+  return async function handle({ method, url, body }) {
+    try {
+      url = new URL(url, base).toString();
+      if (method === "OPTIONS") return { status: 204, headers: CORS };
+      if (method === "GET") {
+        await resolvePayment(url);
+        return reply(200, { label, icon });
+      }
+      if (method !== "POST") throw new RequestError(405, "Method not allowed");
+
+      let account;
+      try {
+        account = new PublicKey(body?.account);
+      } catch {
+        throw new RequestError(400, "Invalid account");
+      }
+      const payment = await resolvePayment(url);
+      const { transaction, fee } = await buildTransaction(payment, account);
+      return reply(200, {
+        transaction: transaction.toString("base64"),
+        message:
+          `Private payment${payment.alias ? ` to ${payment.alias}` : ""}` +
+          (fee ? ` (incl. ${fee} transfer fee)` : ""),
+      });
+    } catch (e) {
+      if (e instanceof RequestError)
+        return reply(e.status, { error: e.message });
+      return reply(500, { error: "Internal error" });
+    }
+  };
+}
@@ -0,0 +1,170 @@
+import { sha512 } from "@noble/hashes/sha512";
+import bs58 from "bs58";
+import { PublicKey, Transaction } from "@solana/web3.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Curve constants                                                 */
+/*──────────────────────────────────────────────────────────────────*/
+// Order of the ed25519 prime-order subgroup.
+export const L = BigInt(
+  "0x1000000000000000000000000000000014def9dea2f79cd65812631a5cf5d3ed",
+);
+
+export const mod = (x, n) => ((x % n) + n) % n;
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Byte helpers                                                    */
+/*──────────────────────────────────────────────────────────────────*/
+// Accepts Uint8Array / Buffer, 64-char hex, base58, or a JSON-ified Buffer.
+export const to32u8 = (raw) =>
+  raw instanceof Uint8Array
+    ? raw
+    : typeof raw === "string" && /^[0-9a-f]{64}$/i.test(raw)
+      ? Buffer.from(raw, "hex")
+      : typeof raw === "string"
+        ? bs58.decode(raw)
+        : typeof raw?.toBytes === "function"
+          ? raw.toBytes()
+          : raw?.type === "Buffer"
+            ? Uint8Array.from(raw.data)
+            : (() => {
+                throw new Error("unsupported key");
+              })();
+
+export const bytesToNumberLE = (u8) =>
+  u8.reduceRight((p, c) => (p << 8n) + BigInt(c), 0n);
+
+export const bytesToNumberBE = (u8) =>
+  u8.reduce((p, c) => (p << 8n) + BigInt(c), 0n);
+
+export function bnTo32BytesLE(bn) {
+  const bytes = new Uint8Array(32);
+  let temp = bn;
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = Number(temp & 0xffn);
+    temp >>= 8n;
+  }
+  return bytes;
+}
+
+export function concatBytes(...arrays) {
+  const total = arrays.reduce((n, a) => n + a.length, 0);
+  const out = new Uint8Array(total);
+  let off = 0;
+  for (const a of arrays) {
+    out.set(a, off);
+    off += a.length;
+  }
+  return out;
+}
+
+export const bytesEqual = (a, b) =>
+  a.length === b.length && a.every((x, i) => x === b[i]);
+
+export const toHex = (u8) => Buffer.from(u8).toString("hex");
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Scalar helpers                                                  */
+/*──────────────────────────────────────────────────────────────────*/
+export function clamp(sk) {
+  const clamped = new Uint8Array(sk);
+  clamped[0] &= 248;
+  clamped[31] &= 127;
+  clamped[31] |= 64;
+  return clamped;
+}
+
+export function scalarFromSeed(seed32) {
+  // Ed25519 secret scalar derivation (RFC 8032 §5.1.5)
+  const h = sha512(seed32);
+  return bytesToNumberLE(clamp(h.slice(0, 32)));
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Token amounts                                                   */
+/*──────────────────────────────────────────────────────────────────*/
+/** "12.5" with 6 decimals → 12500000n; rejects excess precision. */
+export function parseUiAmount(amount, decimals) {
+  const m = /^(\d+)(?:\.(\d+))?$/.exec(String(amount));
+  if (!m) throw new Error(`Invalid amount "${amount}"`);
+  const frac = m[2] ?? "";
+  if (frac.length > decimals)
+    throw new Error(`Amount ${amount} has more than ${decimals} decimals`);
+  return BigInt(m[1] + frac.padEnd(decimals, "0"));
+}
+
+/** Inverse of `parseUiAmount`: base units → decimal string, no trailing 0s. */
+export function formatUiAmount(amount, decimals) {
+  const digits = BigInt(amount.toString())
+    .toString()
+    .padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const frac = digits.slice(digits.length - decimals).replace(/0+$/, "");
+  return frac ? `${whole}.${frac}` : whole;
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Transaction sizing                                              */
+/*──────────────────────────────────────────────────────────────────*/
+// Most keys one `getMultipleAccountsInfo` call takes.
+export const MULTIPLE_ACCOUNTS_LIMIT = 100;
+
+// Any valid blockhash works for measuring the message size.
+export const SIZING_BLOCKHASH = PublicKey.default.toBase58();
+
+const shortVecLen = (n) => (n < 0x80 ? 1 : n < 0x4000 ? 2 : 3);
+
+/** Signature count and serialized size of a legacy transaction. */
+export function transactionSize(tx) {
+  const message = tx.compileMessage();
+  const signatures = message.header.numRequiredSignatures;
+  return {
+    signatures,
+    size:
+      shortVecLen(signatures) + 64 * signatures + message.serialize().length,
+  };
+}
+
+/**
+ * Packs `items` greedily, in order, into as few legacy transactions as
+ * `fits` allows.
+ * @param instructions  `(group) → TransactionInstruction[]` for one
+ *                      transaction's items
+ * @param fits          `({ signatures, size }) → boolean`
+ * @param tooLarge      `(item) → Error` for an item that fits on its own
+ *                      in no transaction
+ * @returns {Array<{ items, instructions, signatures, size }>}
+ */
+export function packTransactions(
+  items,
+  { feePayer, instructions, fits, tooLarge },
+) {
+  const build = (group) =>
+    new Transaction({ feePayer, recentBlockhash: SIZING_BLOCKHASH }).add(
+      ...instructions(group),
+    );
+  const packed = [];
+  let group = [];
+  const close = () => {
+    if (!group.length) return;
+    const tx = build(group);
+    packed.push({
+      items: group,
+      instructions: tx.instructions,
+      ...transactionSize(tx),
+    });
+    group = [];
+  };
+
+  for (const item of items) {
+    if (fits(transactionSize(build([...group, item])))) {
+      group.push(item);
+      continue;
+    }
+    close();
+    if (!fits(transactionSize(build([item])))) throw tooLarge(item);
+    group.push(item);
+  }
+  close();
+  return packed;
+}
@@ -0,0 +1,15 @@
+import { sha256 } from "@noble/hashes/sha256";
+import { concatBytes } from "./utils.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  View tags                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+// One byte of a domain-separated hash of the ECDH secret, published with
+// the memo. A receiver checks it right after ECDH and skips the point
+// addition for ~255/256 of foreign announcements. Separating it from the
+// tweak hash keeps it from revealing any bits of `t`.
+const VIEW_TAG_DOMAIN = new TextEncoder().encode("pivy-view-tag");
+
+/** @returns {number} 0–255 */
+export const computeViewTag = (shared) =>
+  sha256(concatBytes(VIEW_TAG_DOMAIN, shared))[0];
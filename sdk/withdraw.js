@@ -0,0 +1,96 @@
+import { PublicKey, Transaction } from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  getAssociatedTokenAddressSync,
+} from "@solana/spl-token";
+import {
+  WITHDRAW_ALL,
+  withdrawInstruction,
+  isNativeMint,
+  unwrapSolInstruction,
+} from "./instructions.js";
+import { fetchMintInfo } from "./mint.js";
+import { PIVY_PROGRAM_ID } from "./constants.js";
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Withdraw transaction                                            */
+/*──────────────────────────────────────────────────────────────────*/
+/**
+ * Moves funds from a stealth ATA to `destination`'s ATA (created if
+ * needed). With `unwrapSol` (WSOL only) the destination's WSOL ATA is
+ * closed in the same transaction, so the funds land as SOL — along with
+ * any WSOL it already held.
+ * @param stealthOwner  stealth owner pubkey; signs (StealthSigner)
+ * @param destination   receiving wallet; also signs when `unwrapSol`
+ * @param amount        base units, default `WITHDRAW_ALL` (sweep + close)
+ * @param feePayer      pays fees and ATA rent (default: destination)
+ * @param connection    reads the mint when `mintInfo` is not given
+ * @param mintInfo      from `fetchMintInfo`; without either, the mint is
+ *                      assumed to be a legacy Token mint
+ * @returns {Promise<{ transaction: Transaction, instructions, stealthAta,
+ *          destinationAta, tokenProgram }>} `transaction` has no
+ *          blockhash yet
+ */
+export async function buildWithdrawTransaction({
+  stealthOwner,
+  mint,
+  destination,
+  amount = WITHDRAW_ALL,
+  unwrapSol = false,
+  feePayer = destination,
+  connection = null,
+  mintInfo = null,
+  programId = PIVY_PROGRAM_ID,
+}) {
+  stealthOwner = new PublicKey(stealthOwner);
+  mint = new PublicKey(mint);
+  destination = new PublicKey(destination);
+  feePayer = new PublicKey(feePayer);
+  if (unwrapSol && !isNativeMint(mint))
+    throw new Error("unwrapSol needs the native (WSOL) mint");
+
+  if (!mintInfo && connection) mintInfo = await fetchMintInfo(connection, mint);
+  if (mintInfo && !mintInfo.address.equals(mint))
+    throw new Error("mintInfo is for a different mint");
+  const tokenProgram = mintInfo?.tokenProgram ?? TOKEN_PROGRAM_ID;
+  const stealthAta = getAssociatedTokenAddressSync(
+    mint,
+    stealthOwner,
+    false,
+    tokenProgram,
+  );
+  const destinationAta = getAssociatedTokenAddressSync(
+    mint,
+    destination,
+    false,
+    tokenProgram,
+  );
+  const instructions = [
+    createAssociatedTokenAccountIdempotentInstruction(
+      feePayer,
+      destinationAta,
+      destination,
+      mint,
+      tokenProgram,
+    ),
+    withdrawInstruction({
+      stealthOwner,
+      mint,
+      stealthAta,
+      destinationAta,
+      amount,
+      tokenProgram,
+      programId,
+    }),
+    ...(unwrapSol ? [unwrapSolInstruction(destination)] : []),
+  ];
+
+  return {
+    transaction: new Transaction({ feePayer }).add(...instructions),
+    instructions,
+    stealthAta,
+    destinationAta,
+    tokenProgram,
+  };
+}
@@ -0,0 +1,330 @@
+// audit.test.js
+// ================================================================
+// View-only auditing: viewing-key encoding, incoming-payment reports
+// from recorded transactions, and report verification against a stub
+// RPC serving the same transactions.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import bs58 from "bs58";
+import BN from "bn.js";
+import { Keypair } from "@solana/web3.js";
+import {
+  deriveStealthPub,
+  encodeViewingKey,
+  parseViewingKey,
+  isViewingKey,
+  encodeMetaAddress,
+  decodeTransactionEvents,
+  sharedSecretFromView,
+  encryptLabel,
+  buildAuditReport,
+  verifyAuditReport,
+} from "../sdk/index.js";
+
+const read = (name) =>
+  JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+const { receiver, owned, events: expected } = read("payment-events.json");
+const { transactions } = read("transactions.json");
+
+const events = transactions.flatMap((tx) => decodeTransactionEvents(tx));
+const bySignature = new Map(
+  transactions.map((tx) => [tx.transaction.signatures[0], tx]),
+);
+const connection = {
+  getTransaction: async (signature) => bySignature.get(signature) ?? null,
+};
+const copy = (report) => JSON.parse(JSON.stringify(report));
+
+(async () => {
+  console.log("\n🕵️  View-only auditor reports");
+
+  /* 1 — viewing key: view seed + spend pubkey only */
+  const viewingKey = encodeViewingKey(
+    receiver.metaViewPriv,
+    receiver.metaSpendPub,
+  );
+  assert.ok(isViewingKey(viewingKey) && viewingKey.startsWith("sv:sol:"));
+  const parsed = parseViewingKey(viewingKey);
+  assert.strictEqual(
+    Buffer.from(parsed.metaViewPriv).toString("hex"),
+    receiver.metaViewPriv,
+  );
+  assert.strictEqual(parsed.metaSpendPub.toBase58(), receiver.metaSpendPub);
+  assert.strictEqual(parsed.metaViewPub.toBase58(), receiver.metaViewPub);
+  assert.strictEqual(
+    parsed.metaAddress,
+    encodeMetaAddress(receiver.metaSpendPub, receiver.metaViewPub),
+  );
+  const body = bs58.decode(viewingKey.slice(7));
+  assert.ok(
+    !Buffer.from(body).toString("hex").includes(receiver.metaSpendPriv),
+  );
+  const typo = viewingKey.slice(0, -1) + (viewingKey.endsWith("1") ? "2" : "1");
+  assert.throws(() => parseViewingKey(typo), /Invalid viewing key/);
+  assert.throws(
+    () => parseViewingKey(parsed.metaAddress),
+    /expected "sv:sol:"/,
+  );
+  assert.throws(
+    () => encodeViewingKey(receiver.metaViewPriv, new Uint8Array(32)),
+    /Invalid viewing key: spend key/,
+  );
+  console.log("   ✓ viewing key round-trips and carries no spend secret");
+
+  /* 2 — report lists exactly the receiver's payments */
+  const report = await buildAuditReport({
+    viewingKey,
+    events,
+    now: () => Date.UTC(2025, 0, 31),
+  });
+  assert.strictEqual(report.version, 1);
+  assert.strictEqual(report.metaAddress, parsed.metaAddress);
+  assert.strictEqual(report.generatedAt, "2025-01-31T00:00:00.000Z");
+  assert.deepStrictEqual(
+    report.payments.map((p) => p.stealthOwner),
+    owned.map((i) => expected[i].stealthOwner),
+  );
+  for (const p of report.payments) {
+    const want = expected.find((e) => e.stealthOwner === p.stealthOwner);
+    assert.strictEqual(p.amount, want.amount);
+    assert.strictEqual(p.mint, want.mint);
+    assert.strictEqual(p.signature, want.signature);
+    assert.strictEqual(p.blockTime, want.blockTime);
+    assert.ok(p.label === null || typeof p.label.type === "string");
+  }
+  const sums = new Map();
+  for (const i of owned.filter((i) => !expected[i].announce))
+    sums.set(
+      expected[i].mint,
+      (sums.get(expected[i].mint) ?? 0n) + BigInt(expected[i].amount),
+    );
+  assert.deepStrictEqual(
+    Object.fromEntries(report.totals.map((t) => [t.mint, t.amount])),
+    Object.fromEntries([...sums].map(([m, a]) => [m, a.toString()])),
+  );
+  const text = JSON.stringify(report);
+  for (const secret of [
+    receiver.metaViewPriv,
+    receiver.metaSpendPriv,
+    viewingKey,
+  ])
+    assert.ok(!text.includes(secret), "report leaks key material");
+  assert.ok(!text.includes("ephPriv"));
+  console.log(
+    `   ✓ ${report.payments.length} payments reported, totals per mint, no secrets`,
+  );
+
+  /* 3 — time range */
+  const times = report.payments.map((p) => p.blockTime);
+  const ranged = await buildAuditReport({
+    viewingKey,
+    events,
+    from: times[1],
+    to: times.at(-2),
+  });
+  assert.deepStrictEqual(ranged.range, { from: times[1], to: times.at(-2) });
+  assert.deepStrictEqual(
+    ranged.payments.map((p) => p.blockTime),
+    times.slice(1, -1),
+  );
+  console.log("   ✓ from / to bound the report");
+
+  /* 4 — verification against chain data */
+  assert.deepStrictEqual(await verifyAuditReport(report, { connection }), {
+    valid: true,
+    problems: [],
+  });
+  assert.ok(
+    (await verifyAuditReport(report, { connection, viewingKey })).valid,
+  );
+  console.log(
+    "   ✓ report verifies against the transactions, with and without the key",
+  );
+
+  /* 5 — tampering is caught */
+  const inflated = copy(report);
+  inflated.payments[0].amount = "1" + inflated.payments[0].amount;
+  const inflatedResult = await verifyAuditReport(inflated, { connection });
+  assert.strictEqual(inflatedResult.valid, false);
+  assert.deepStrictEqual(
+    inflatedResult.problems.map((p) => p.reason),
+    ["Totals do not match the payments", "No matching PaymentEvent"],
+  );
+
+  const moved = copy(report);
+  moved.payments[1].blockTime += 60;
+  assert.deepStrictEqual(
+    (await verifyAuditReport(moved, { connection })).problems,
+    [
+      {
+        index: 1,
+        signature: moved.payments[1].signature,
+        reason: "Slot or block time differs",
+      },
+    ],
+  );
+
+  const missing = copy(report);
+  missing.payments[0].signature = bs58.encode(new Uint8Array(64).fill(7));
+  assert.strictEqual(
+    (await verifyAuditReport(missing, { connection })).problems[0].reason,
+    "Transaction not found",
+  );
+
+  // a stranger's payment passes the chain check, not the ownership check
+  const foreignIndex = expected.findIndex((_, i) => !owned.includes(i));
+  const foreign = copy(report);
+  const stranger = events.find(
+    (e) =>
+      e.name === "PaymentEvent" &&
+      e.stealthOwner.toBase58() === expected[foreignIndex].stealthOwner,
+  );
+  foreign.payments.push({
+    signature: stranger.signature,
+    slot: stranger.slot,
+    blockTime: stranger.blockTime,
+    stealthOwner: stranger.stealthOwner.toBase58(),
+    mint: stranger.mint.toBase58(),
+    amount: stranger.amount.toString(),
+    label: { type: stranger.labelData.type, value: stranger.labelData.value },
+    payer: stranger.payer.toBase58(),
+    ephPubkey: stranger.ephPubkey.toBase58(),
+    announce: stranger.announce,
+  });
+  foreign.totals = (await buildAuditReport({ viewingKey, events })).totals;
+  const withoutKey = await verifyAuditReport(foreign, { connection });
+  assert.deepStrictEqual(
+    withoutKey.problems.map((p) => p.reason),
+    ["Totals do not match the payments"],
+  );
+  const withKey = await verifyAuditReport(foreign, { connection, viewingKey });
+  assert.ok(
+    withKey.problems.some(
+      (p) =>
+        p.index === foreign.payments.length - 1 &&
+        p.reason === "Stealth owner not derived from the meta-address",
+    ),
+  );
+
+  const otherKey = encodeViewingKey(
+    Keypair.generate().secretKey.slice(0, 32),
+    receiver.metaSpendPub,
+  );
+  assert.strictEqual(
+    (await verifyAuditReport(report, { connection, viewingKey: otherKey }))
+      .problems[0].reason,
+    "Viewing key is for a different meta-address",
+  );
+  await assert.rejects(
+    verifyAuditReport({ ...report, version: 2 }, { connection }),
+    /Unsupported audit report version 2/,
+  );
+  console.log(
+    "   ✓ inflated amounts, moved times, missing txs and foreign payments flagged",
+  );
+
+  /* 6 — spoofed announce: listed, never counted */
+  // Anyone with the meta-address can aim an `announce` at the receiver.
+  const eph = Keypair.generate();
+  const spoof = {
+    name: "PaymentEvent",
+    signature: bs58.encode(new Uint8Array(64).fill(9)),
+    slot: report.payments.at(-1).slot + 1,
+    blockTime: report.payments.at(-1).blockTime + 1,
+    stealthOwner: await deriveStealthPub(
+      receiver.metaSpendPub,
+      receiver.metaViewPub,
+      eph.secretKey.slice(0, 32),
+    ),
+    payer: Keypair.generate().publicKey,
+    mint: report.payments[0].mint,
+    amount: new BN("1000000000000"),
+    label: new Array(32).fill(0),
+    ephPubkey: eph.publicKey,
+    announce: true,
+  };
+  const padded = await buildAuditReport({
+    viewingKey,
+    events: [...events, spoof],
+  });
+  assert.strictEqual(padded.payments.length, report.payments.length + 1);
+  assert.strictEqual(padded.payments.at(-1).announce, true);
+  assert.deepStrictEqual(padded.totals, report.totals);
+  // flipping the flag to count it fails verification
+  const flipped = copy(report);
+  const announced = flipped.payments.findIndex((p) => p.announce);
+  flipped.payments[announced].announce = false;
+  assert.ok(
+    (await verifyAuditReport(flipped, { connection })).problems.some(
+      (p) => p.index === announced && p.reason === "No matching PaymentEvent",
+    ),
+  );
+  console.log("   ✓ announce-only events stay out of the totals");
+
+  /* 7 — encrypted labels are checked with the view key */
+  const plain = report.payments.find((p) => p.label && !p.announce);
+  const sealedTx = JSON.parse(JSON.stringify(bySignature.get(plain.signature)));
+  const payment = expected.find((e) => e.signature === plain.signature);
+  const sealed = encryptLabel(
+    plain.label.value,
+    await sharedSecretFromView(receiver.metaViewPriv, payment.ephPubkey),
+  );
+  sealedTx.meta.logMessages = sealedTx.meta.logMessages.map((log) => {
+    if (!log.startsWith("Program data: ")) return log;
+    const data = Buffer.from(log.slice(14), "base64");
+    data.set(sealed, data.indexOf(Buffer.from(payment.label)));
+    return `Program data: ${data.toString("base64")}`;
+  });
+  const sealedConnection = {
+    getTransaction: async (signature) =>
+      signature === plain.signature
+        ? sealedTx
+        : connection.getTransaction(signature),
+  };
+  const sealedReport = await buildAuditReport({
+    viewingKey,
+    events: transactions.flatMap((tx) =>
+      decodeTransactionEvents(
+        tx === bySignature.get(plain.signature) ? sealedTx : tx,
+      ),
+    ),
+  });
+  const at = sealedReport.payments.findIndex(
+    (p) => p.signature === plain.signature,
+  );
+  assert.deepStrictEqual(sealedReport.payments[at].label, {
+    type: "text",
+    value: plain.label.value,
+  });
+  assert.ok(
+    (
+      await verifyAuditReport(sealedReport, {
+        connection: sealedConnection,
+        viewingKey,
+      })
+    ).valid,
+  );
+  const relabeled = copy(sealedReport);
+  relabeled.payments[at].label.value = "consulting";
+  assert.deepStrictEqual(
+    (
+      await verifyAuditReport(relabeled, {
+        connection: sealedConnection,
+        viewingKey,
+      })
+    ).problems,
+    [{ index: at, signature: plain.signature, reason: "Label differs" }],
+  );
+  // without the view key an encrypted label cannot be checked
+  assert.ok(
+    (await verifyAuditReport(relabeled, { connection: sealedConnection }))
+      .valid,
+  );
+  console.log("   ✓ tampered encrypted labels caught with the view key");
+
+  console.log("\n🎉  SUCCESS: auditor reports validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,235 @@
+// batch.test.js
+// ================================================================
+// Batch (payroll) payments against a stub RPC: packing, receipts,
+// receivers finding their payments, and resuming interrupted runs.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import bs58 from "bs58";
+import { BorshCoder } from "@coral-xyz/anchor";
+import {
+  Keypair,
+  PublicKey,
+  SystemInstruction,
+  SystemProgram,
+  PACKET_DATA_SIZE,
+} from "@solana/web3.js";
+import { NATIVE_MINT } from "@solana/spl-token";
+import {
+  planBatchPayment,
+  executeBatchPayment,
+  serializeBatch,
+  deserializeBatch,
+  scanPayments,
+  PIVY_STEALTH_IDL,
+  PIVY_PROGRAM_ID,
+  MEMO_PROGRAM_ID,
+} from "../sdk/index.js";
+import { StubConnection } from "./helpers/stubs.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+const USDC = Keypair.generate().publicKey;
+
+// PaymentEvents as the program would emit them for a sent transaction.
+function paymentEvents(tx) {
+  const events = [];
+  tx.instructions.forEach((ix, i) => {
+    if (!ix.programId.equals(PIVY_PROGRAM_ID)) return;
+    const { data } = coder.instruction.decode(ix.data);
+    const memo = tx.instructions[i + 1];
+    assert.ok(memo.programId.equals(MEMO_PROGRAM_ID), "memo follows pay");
+    events.push({
+      stealthOwner: ix.keys[0].pubkey,
+      payer: ix.keys[2].pubkey,
+      mint: ix.keys[4].pubkey,
+      amount: data.args.amount,
+      ephPubkey: data.args.ephPubkey,
+      announce: false,
+      memo: memo.data.toString("utf8"),
+    });
+  });
+  return events;
+}
+
+(async () => {
+  console.log("\n🧪 Batch payments");
+
+  const payer = Keypair.generate();
+  const entries = Array.from({ length: 10 }, (_, i) => ({
+    metaAddress: vectors[i % 3].metaAddress,
+    mint: i % 4 === 3 ? NATIVE_MINT : USDC,
+    amount: 1_000_000 + i,
+    label: { type: "invoice", value: `INV-${i}` },
+  }));
+
+  /* 1 — plan: packing and receipts -------------------------------*/
+  const plan = await planBatchPayment({
+    entries,
+    payer: payer.publicKey,
+    encryptLabels: true,
+  });
+  assert.ok(plan.transactions.length > 1 && plan.transactions.length < 10);
+  assert.ok(plan.transactions.every((t) => t.size <= PACKET_DATA_SIZE));
+  assert.deepStrictEqual(
+    plan.transactions.flatMap((t) => t.receipts.map((r) => r.index)),
+    entries.map((_, i) => i),
+  );
+  assert.strictEqual(
+    new Set(plan.receipts.map((r) => r.stealthOwner.toBase58())).size,
+    entries.length,
+    "fresh stealth owner per entry",
+  );
+  for (const [i, r] of plan.receipts.entries()) {
+    assert.strictEqual(r.amounts.sent, BigInt(entries[i].amount));
+    assert.ok(r.mint.equals(entries[i].mint));
+    assert.ok(r.ephPubkey instanceof PublicKey);
+  }
+  for (const t of plan.transactions) {
+    const wsol = t.receipts
+      .filter((r) => r.mint.equals(NATIVE_MINT))
+      .reduce((sum, r) => sum + r.amounts.sent, 0n);
+    const transfers = t.instructions.filter((ix) =>
+      ix.programId.equals(SystemProgram.programId),
+    );
+    assert.strictEqual(transfers.length, wsol > 0n ? 1 : 0);
+    if (wsol > 0n)
+      assert.strictEqual(
+        SystemInstruction.decodeTransfer(transfers[0]).lamports,
+        wsol,
+      );
+  }
+  console.log(
+    `   ✓ ${entries.length} payments in ${plan.transactions.length} txs ` +
+      `(${plan.transactions.map((t) => t.size).join(", ")} bytes)`,
+  );
+
+  /* 2 — execute: one transaction fails ---------------------------*/
+  const connection = new StubConnection();
+  connection.failing.add(1);
+  const snapshots = [];
+  const first = await executeBatchPayment(plan, {
+    connection,
+    payer,
+    onProgress: (results) => snapshots.push(structuredClone(results)),
+  });
+  assert.deepStrictEqual(
+    first.map((r) => r.status),
+    plan.transactions.map((_, i) => (i === 1 ? "failed" : "confirmed")),
+  );
+  assert.ok(
+    snapshots.some(
+      (s) => s[1].status === "skipped" && s[1].signature === first[1].signature,
+    ),
+    "signature persisted before sending",
+  );
+
+  // Every receiver finds exactly its own payments.
+  const events = connection.sent
+    .filter((_, i) => i !== 1)
+    .flatMap(paymentEvents);
+  for (const [k, v] of vectors.slice(0, 3).entries()) {
+    const found = await scanPayments({
+      metaViewPriv: v.metaViewPriv,
+      metaSpendPub: v.metaSpendPub,
+      events,
+    });
+    const expected = plan.transactions
+      .filter((_, i) => i !== 1)
+      .flatMap((t) => t.receipts)
+      .filter((r) => r.index % 3 === k);
+    assert.deepStrictEqual(
+      found.map((p) => p.stealthOwner.toBase58()).sort(),
+      expected.map((r) => r.stealthOwner.toBase58()).sort(),
+    );
+  }
+  console.log("   ✓ failures reported; receivers find their payments");
+
+  /* 3 — resume from disk: only the failed tx is re-sent -----------*/
+  const saved = serializeBatch(plan, first);
+  const restored = deserializeBatch(saved);
+  assert.deepStrictEqual(
+    restored.plan.receipts.map((r) => r.stealthOwner.toBase58()),
+    plan.receipts.map((r) => r.stealthOwner.toBase58()),
+  );
+  assert.strictEqual(restored.plan.receipts[0].amounts.sent, 1_000_000n);
+  assert.strictEqual(restored.results[1].error, first[1].error.message);
+
+  const sentBefore = connection.sent.length;
+  const second = await executeBatchPayment(restored.plan, {
+    connection,
+    payer,
+    previous: restored.results,
+  });
+  assert.ok(second.every((r) => r.status === "confirmed"));
+  assert.strictEqual(connection.sent.length, sentBefore + 1);
+  assert.deepStrictEqual(
+    paymentEvents(connection.sent.at(-1)).map((e) => e.stealthOwner.toBase58()),
+    plan.transactions[1].receipts.map((r) => r.stealthOwner.toBase58()),
+    "same stealth owners on retry",
+  );
+  console.log("   ✓ resumed from JSON; confirmed transactions not re-sent");
+
+  /* 4 — a send that landed without confirmation is not repeated ---*/
+  const crashy = new StubConnection();
+  crashy.lost.add(0);
+  const lost = await executeBatchPayment(plan, {
+    connection: crashy,
+    payer,
+    stopOnError: true,
+  });
+  assert.deepStrictEqual(
+    lost.map((r) => r.status),
+    ["failed", ...plan.transactions.slice(1).map(() => "skipped")],
+  );
+  const resumed = await executeBatchPayment(plan, {
+    connection: crashy,
+    payer,
+    previous: lost,
+  });
+  assert.ok(resumed.every((r) => r.status === "confirmed"));
+  assert.strictEqual(resumed[0].signature, lost[0].signature);
+  assert.strictEqual(crashy.sent.length, plan.transactions.length);
+
+  // Unknown signature: wait while its blockhash is valid, then re-send.
+  const unknown = [{ ...lost[0], signature: bs58.encode(Buffer.alloc(64, 7)) }];
+  unknown[0].lastValidBlockHeight = crashy.height + 10;
+  const onePlan = { ...plan, transactions: plan.transactions.slice(0, 1) };
+  const waiting = await executeBatchPayment(onePlan, {
+    connection: crashy,
+    payer,
+    previous: unknown,
+  });
+  assert.strictEqual(waiting[0].status, "pending");
+  assert.strictEqual(crashy.sent.length, plan.transactions.length);
+  crashy.height += 11;
+  const retried = await executeBatchPayment(onePlan, {
+    connection: crashy,
+    payer,
+    previous: unknown,
+  });
+  assert.strictEqual(retried[0].status, "confirmed");
+  assert.notStrictEqual(retried[0].signature, unknown[0].signature);
+  console.log("   ✓ landed sends kept, unknown ones wait for expiry");
+
+  /* 5 — input errors name the entry ------------------------------*/
+  await assert.rejects(
+    planBatchPayment({ entries: [], payer: payer.publicKey }),
+    /no entries/,
+  );
+  await assert.rejects(
+    planBatchPayment({
+      entries: [entries[0], { ...entries[1], amount: "1.5" }],
+      payer: payer.publicKey,
+    }),
+    /^Error: Entry 1: Invalid amount/,
+  );
+  console.log("   ✓ invalid entries rejected by index");
+
+  console.log("\n🎉  SUCCESS: batch payments validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
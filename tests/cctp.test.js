@@ -0,0 +1,322 @@
+// cctp.test.js
+// ================================================================
+// CCTP client: attestation polling against a stand-in IRIS server,
+// message decoding, receiveMessage accounts and the EVM burn with a
+// stub signer.
+// ================================================================
+import assert from "assert";
+import http from "http";
+import { Interface } from "ethers";
+import { sha256 } from "@noble/hashes/sha256";
+import { Keypair, PublicKey, SystemProgram } from "@solana/web3.js";
+import { TOKEN_PROGRAM_ID } from "@solana/spl-token";
+import {
+  CCTP_DOMAINS,
+  MESSAGE_TRANSMITTER_PROGRAM_ID,
+  TOKEN_MESSENGER_MINTER_PROGRAM_ID,
+  toBytes32,
+  depositForBurn,
+  fetchAttestation,
+  waitForAttestation,
+  decodeCctpMessage,
+  receiveMessagePdas,
+  receiveMessageInstruction,
+  toNodeListener,
+} from "../sdk/index.js";
+
+const USDC_BASE = "0x036CbD53842c5426634e7929541eC2318f3dCF7e";
+const TOKEN_MESSENGER = "0x9f3B8679c73C2Fef8b59B4f3444d4e156fb70AA5";
+const USDC_SOL = new PublicKey("4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU");
+const SENDER =
+  "0x00000000000000000000000000000000000000000000000000000000000000aa";
+
+// A v1 burn message from Base to `mintRecipient`.
+function burnMessage({ nonce, mintRecipient, amount, sourceDomain = 6 }) {
+  const m = Buffer.alloc(116 + 132);
+  m.writeUInt32BE(0, 0);
+  m.writeUInt32BE(sourceDomain, 4);
+  m.writeUInt32BE(CCTP_DOMAINS.solana, 8);
+  m.writeBigUInt64BE(BigInt(nonce), 12);
+  Buffer.from(SENDER.slice(2), "hex").copy(m, 20);
+  TOKEN_MESSENGER_MINTER_PROGRAM_ID.toBuffer().copy(m, 52);
+  const body = m.subarray(116);
+  Buffer.from(USDC_BASE.slice(2), "hex").copy(body, 4 + 12);
+  mintRecipient.toBuffer().copy(body, 36);
+  body.writeBigUInt64BE(BigInt(amount), 68 + 24);
+  Buffer.from(SENDER.slice(2), "hex").copy(body, 100);
+  return `0x${m.toString("hex")}`;
+}
+
+// Stand-in IRIS: answers each tx hash from its own script of replies.
+function irisServer(scripts) {
+  const requests = [];
+  const server = http.createServer(
+    toNodeListener(async ({ url }) => {
+      requests.push(url);
+      const hash = url.split("/").pop();
+      const [status, body, headers = {}] = scripts[hash].shift();
+      return { status, headers, body };
+    }),
+  );
+  return { server, requests };
+}
+
+(async () => {
+  console.log("\n🌉 CCTP client");
+  const recipientAta = Keypair.generate().publicKey;
+  const message = burnMessage({
+    nonce: 6401,
+    mintRecipient: recipientAta,
+    amount: 25_000_000,
+  });
+  const attestation = `0x${"ab".repeat(65)}`;
+  const complete = {
+    messages: [{ message, attestation, eventNonce: "6401" }],
+  };
+
+  const { server, requests } = irisServer({
+    "0xslow": [
+      [404, { error: "Message hash not found" }],
+      [429, { error: "Too many requests" }],
+      [200, { messages: [{ message: "0x", attestation: "PENDING" }] }],
+      [503, undefined],
+      [200, complete],
+    ],
+    "0xbad": [[400, { error: "Invalid transaction hash" }]],
+    "0xnever": Array.from({ length: 3 }, () => [404, {}]),
+    "0xabort": Array.from({ length: 3 }, () => [404, {}]),
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const irisUrl = `http://127.0.0.1:${server.address().port}/`;
+  let fetched = 0;
+  const fetch = (url, init) => {
+    fetched++;
+    return globalThis.fetch(url, init);
+  };
+
+  try {
+    /* 1 — polling with backoff -----------------------------------*/
+    const polls = [];
+    const got = await waitForAttestation({
+      sourceDomain: CCTP_DOMAINS.base,
+      txHash: "0xslow",
+      irisUrl,
+      fetch,
+      initialDelay: 5,
+      maxDelay: 25,
+      onPoll: (p) => polls.push(p),
+    });
+    assert.deepStrictEqual(got, { message, attestation, eventNonce: 6401n });
+    assert.deepStrictEqual(
+      polls.map((p) => [p.attempt, p.status, p.delay]),
+      [
+        [1, "not-found", 5],
+        [2, "error", 10],
+        [3, "pending", 20],
+        [4, "error", 25],
+      ],
+    );
+    assert.strictEqual(polls[1].error.status, 429);
+    assert.strictEqual(requests[0], "/v1/messages/6/0xslow");
+    assert.strictEqual(fetched, 5, "every request went through `fetch`");
+    console.log("   ✓ 404 / 429 / PENDING / 5xx retried with backoff");
+
+    /* 2 — give up ------------------------------------------------*/
+    await assert.rejects(
+      waitForAttestation({ sourceDomain: 6, txHash: "0xbad", irisUrl }),
+      (e) => e.status === 400 && /Invalid transaction hash/.test(e.message),
+    );
+    await assert.rejects(
+      waitForAttestation({
+        sourceDomain: 6,
+        txHash: "0xnever",
+        irisUrl,
+        initialDelay: 1,
+        maxAttempts: 3,
+      }),
+      /after 3 attempts/,
+    );
+    console.log("   ✓ client errors and exhausted attempts surface");
+
+    /* 3 — AbortSignal --------------------------------------------*/
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(
+      waitForAttestation({
+        sourceDomain: 6,
+        txHash: "0xabort",
+        irisUrl,
+        initialDelay: 60_000,
+        signal: controller.signal,
+      }),
+      { name: "AbortError" },
+    );
+    assert.ok(Date.now() - started < 5_000, "abort cut the backoff short");
+    await assert.rejects(
+      fetchAttestation(6, "0xabort", {
+        irisUrl,
+        signal: AbortSignal.abort(),
+      }),
+      { name: "AbortError" },
+    );
+    console.log("   ✓ aborting stops polling mid-wait");
+  } finally {
+    server.close();
+  }
+
+  /* 4 — messages -------------------------------------------------*/
+  const decoded = decodeCctpMessage(message);
+  assert.strictEqual(decoded.sourceDomain, CCTP_DOMAINS.base);
+  assert.strictEqual(decoded.destinationDomain, CCTP_DOMAINS.solana);
+  assert.strictEqual(decoded.nonce, 6401n);
+  assert.strictEqual(decoded.sender, SENDER);
+  assert.strictEqual(
+    decoded.recipient,
+    toBytes32(TOKEN_MESSENGER_MINTER_PROGRAM_ID),
+  );
+  assert.strictEqual(
+    decoded.burn.burnToken,
+    `0x${"00".repeat(12)}${USDC_BASE.slice(2).toLowerCase()}`,
+  );
+  assert.ok(decoded.burn.mintRecipient.equals(recipientAta));
+  assert.strictEqual(decoded.burn.amount, 25_000_000n);
+  assert.throws(() => decodeCctpMessage("0x00"), /too short/);
+  console.log("   ✓ v1 message and burn body decoded");
+
+  /* 5 — receiveMessage -------------------------------------------*/
+  const seeds = (program, ...s) =>
+    PublicKey.findProgramAddressSync(
+      s.map((x) => Buffer.from(x)),
+      program,
+    )[0];
+  const pdasFor = (nonce, sourceDomain = 6) =>
+    receiveMessagePdas({
+      sourceDomain,
+      nonce,
+      remoteToken: USDC_BASE,
+      localMint: USDC_SOL,
+    });
+  const pdas = pdasFor(6401);
+  assert.ok(
+    pdas.usedNonces.equals(
+      seeds(MESSAGE_TRANSMITTER_PROGRAM_ID, "used_nonces", "6", "6401"),
+    ),
+  );
+  assert.ok(pdasFor(12800).usedNonces.equals(pdas.usedNonces));
+  assert.ok(!pdasFor(6400).usedNonces.equals(pdas.usedNonces));
+  assert.ok(
+    pdasFor(1, 11).usedNonces.equals(
+      seeds(MESSAGE_TRANSMITTER_PROGRAM_ID, "used_nonces", "11", "-", "1"),
+    ),
+  );
+  assert.ok(
+    pdas.tokenPair.equals(
+      PublicKey.findProgramAddressSync(
+        [
+          Buffer.from("token_pair"),
+          Buffer.from("6"),
+          Buffer.from(decoded.burn.burnToken.slice(2), "hex"),
+        ],
+        TOKEN_MESSENGER_MINTER_PROGRAM_ID,
+      )[0],
+    ),
+  );
+
+  const payer = Keypair.generate().publicKey;
+  const ix = receiveMessageInstruction({
+    payer,
+    message,
+    attestation,
+    localMint: USDC_SOL,
+  });
+  assert.ok(ix.programId.equals(MESSAGE_TRANSMITTER_PROGRAM_ID));
+  assert.strictEqual(ix.keys.length, 19);
+  assert.ok(ix.keys[0].pubkey.equals(payer) && ix.keys[0].isSigner);
+  assert.ok(ix.keys[1].pubkey.equals(payer) && ix.keys[1].isSigner);
+  assert.ok(ix.keys[4].pubkey.equals(pdas.usedNonces) && ix.keys[4].isWritable);
+  assert.ok(ix.keys[5].pubkey.equals(TOKEN_MESSENGER_MINTER_PROGRAM_ID));
+  assert.ok(ix.keys[6].pubkey.equals(SystemProgram.programId));
+  assert.ok(ix.keys[14].pubkey.equals(recipientAta) && ix.keys[14].isWritable);
+  assert.ok(ix.keys[16].pubkey.equals(TOKEN_PROGRAM_ID));
+  const data = ix.data;
+  assert.deepStrictEqual(
+    [...data.subarray(0, 8)],
+    [...sha256("global:receive_message").slice(0, 8)],
+  );
+  const msgLen = data.readUInt32LE(8);
+  assert.strictEqual(msgLen, 248);
+  assert.strictEqual(`0x${data.toString("hex", 12, 12 + msgLen)}`, message);
+  assert.strictEqual(data.readUInt32LE(12 + msgLen), 65);
+  assert.strictEqual(data.length, 12 + msgLen + 4 + 65);
+  console.log("   ✓ receiveMessage accounts and data from the message alone");
+
+  /* 6 — burn on the source chain ----------------------------------*/
+  const erc20 = new Interface([
+    "function allowance(address,address) view returns (uint256)",
+    "function approve(address,uint256) returns (bool)",
+  ]);
+  const messenger = new Interface([
+    "function depositForBurn(uint256,uint32,bytes32,address) returns (uint64)",
+  ]);
+  const stubSigner = (allowance) => {
+    const sent = [];
+    return {
+      sent,
+      provider: {
+        getBlockNumber: async () => 1,
+        getTransactionReceipt: async (hash) => ({
+          hash,
+          status: 1,
+          blockNumber: 1,
+          logs: [],
+          confirmations: async () => 1,
+        }),
+      },
+      getAddress: async () => "0x000000000000000000000000000000000000dEaD",
+      call: async () => erc20.encodeFunctionResult("allowance", [allowance]),
+      sendTransaction: async (tx) => {
+        sent.push(tx);
+        return { hash: `0x${String(sent.length).padStart(64, "0")}` };
+      },
+    };
+  };
+  const burn = (signer) =>
+    depositForBurn({
+      signer,
+      tokenMessenger: TOKEN_MESSENGER,
+      usdc: USDC_BASE,
+      amount: 25_000_000n,
+      mintRecipient: recipientAta,
+    });
+
+  const fresh = stubSigner(0n);
+  const burned = await burn(fresh);
+  assert.strictEqual(fresh.sent.length, 2);
+  assert.deepStrictEqual(
+    [...erc20.decodeFunctionData("approve", fresh.sent[0].data)],
+    [TOKEN_MESSENGER, 25_000_000n],
+  );
+  assert.strictEqual(burned.approveTxHash, `0x${"1".padStart(64, "0")}`);
+  assert.strictEqual(burned.txHash, `0x${"2".padStart(64, "0")}`);
+  const args = messenger.decodeFunctionData(
+    "depositForBurn",
+    fresh.sent[1].data,
+  );
+  assert.strictEqual(fresh.sent[1].to, TOKEN_MESSENGER);
+  assert.strictEqual(args[0], 25_000_000n);
+  assert.strictEqual(args[1], 5n);
+  assert.strictEqual(args[2], toBytes32(recipientAta));
+  assert.strictEqual(args[3], USDC_BASE);
+
+  const approved = stubSigner(10n ** 12n);
+  const again = await burn(approved);
+  assert.strictEqual(approved.sent.length, 1, "no approval when allowed");
+  assert.strictEqual(again.approveTxHash, null);
+  console.log("   ✓ depositForBurn approves only when needed");
+
+  console.log("\n🎉  SUCCESS: CCTP client validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
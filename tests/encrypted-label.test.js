@@ -0,0 +1,130 @@
+// encrypted-label.test.js
+// ================================================================
+// Labels sealed under the payer–receiver shared secret: payer-side
+// preparePayment, receiver-side scanPayments, plaintext labels intact.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import {
+  preparePayment,
+  scanPayments,
+  encryptLabel,
+  decryptLabel,
+  decodeLabel,
+  labelFields,
+  sharedSecretFromEph,
+  sharedSecretFromView,
+  deriveStealthPub,
+} from "../sdk/index.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+
+// What decodeTransactionEvents would yield for the prepared payment.
+const eventFor = (prepared, mint) => ({
+  name: "PaymentEvent",
+  stealthOwner: prepared.stealthOwner,
+  payer: mint,
+  mint,
+  amount: "1",
+  ephPubkey: prepared.ephPubkey,
+  announce: false,
+  memo: prepared.memo,
+  ...labelFields(prepared.label),
+});
+
+(async () => {
+  console.log("\n🧪 Encrypted labels");
+
+  const [v, other] = vectors;
+
+  /* 1 — codec: shared secret from either side -------------------*/
+  const payerShared = await sharedSecretFromEph(v.ephPriv, v.metaViewPub);
+  const viewShared = await sharedSecretFromView(v.metaViewPriv, v.ephPub);
+  const label = { type: "invoice", value: "INV-2025/0042" };
+  const sealed = encryptLabel(label, payerShared);
+  assert.strictEqual(sealed.length, 32);
+  assert.strictEqual(decodeLabel(sealed).type, "encrypted");
+  assert.ok(!Buffer.from(sealed).includes(Buffer.from("INV")));
+  assert.deepStrictEqual(decryptLabel(sealed, viewShared), label);
+  const wrong = await sharedSecretFromView(other.metaViewPriv, v.ephPub);
+  assert.throws(() => decryptLabel(sealed, wrong), /decryption failed/);
+  console.log("   ✓ sealed by the payer, opened by the view key only");
+
+  /* 2 — limits ---------------------------------------------------*/
+  assert.throws(() => encryptLabel("z".repeat(30), payerShared), /at most 29/);
+  assert.throws(
+    () =>
+      encryptLabel({ type: "hash", value: new Uint8Array(31) }, payerShared),
+    /Only text, alias and invoice/,
+  );
+  assert.throws(() => encryptLabel(null, payerShared), /Only text/);
+  assert.throws(
+    () => decryptLabel(label.value, viewShared),
+    /Not an encrypted/,
+  );
+  console.log("   ✓ over-long, hash and empty labels refused");
+
+  /* 3 — preparePayment → scanPayments ---------------------------*/
+  const mint = "So11111111111111111111111111111111111111112";
+  const secret = await preparePayment({
+    metaAddress: v.metaAddress,
+    label: { type: "text", value: "freelance" },
+    encryptLabel: true,
+  });
+  const plain = await preparePayment({
+    metaSpendPub: v.metaSpendPub,
+    metaViewPub: v.metaViewPub,
+    label: "public note",
+  });
+  for (const p of [secret, plain])
+    assert.ok(
+      p.stealthOwner.equals(
+        await deriveStealthPub(v.metaSpendPub, v.metaViewPub, p.ephPriv32),
+      ),
+    );
+  assert.strictEqual(labelFields(secret.label).labelData.type, "encrypted");
+  assert.strictEqual(labelFields(secret.label).labelText, "");
+
+  const found = await scanPayments({
+    metaViewPriv: v.metaViewPriv,
+    metaSpendPub: v.metaSpendPub,
+    events: [eventFor(secret, mint), eventFor(plain, mint)],
+  });
+  assert.strictEqual(found.length, 2);
+  assert.deepStrictEqual(found[0].labelData, {
+    type: "text",
+    value: "freelance",
+  });
+  assert.strictEqual(found[0].labelText, "freelance");
+  assert.deepStrictEqual(found[1].labelData, {
+    type: "text",
+    value: "public note",
+  });
+  assert.deepStrictEqual(found[0].label, secret.label, "raw label kept");
+  console.log(
+    "   ✓ scanner decrypts sealed labels, plaintext ones pass through",
+  );
+
+  /* 4 — deterministic with a fixed ephemeral seed ---------------*/
+  const fixed = await preparePayment({
+    metaAddress: v.metaAddress,
+    label: "x",
+    encryptLabel: true,
+    ephPriv32: v.ephPriv,
+  });
+  assert.strictEqual(fixed.stealthOwner.toBase58(), v.stealthPub);
+  assert.strictEqual(fixed.ephPubkey.toBase58(), v.ephPub);
+  assert.deepStrictEqual(fixed.label, encryptLabel("x", payerShared));
+  await assert.rejects(
+    preparePayment({ metaAddress: "nope", label: "x" }),
+    /Not a meta-address/,
+  );
+  console.log("   ✓ fixed ephemeral seed reproduces the vector");
+
+  console.log("\n🎉  SUCCESS: encrypted labels validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
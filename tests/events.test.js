@@ -0,0 +1,122 @@
+// events.test.js
+// ================================================================
+// PaymentEvent / WithdrawEvent decoding from recorded transaction
+// logs, feeding straight into scanPayments — no RPC.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import BN from "bn.js";
+import { PublicKey } from "@solana/web3.js";
+import {
+  decodeEvents,
+  decodeTransactionEvents,
+  extractMemos,
+  scanPayments,
+} from "../sdk/index.js";
+
+const read = (name) =>
+  JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+const { receiver, owned, events: expected } = read("payment-events.json");
+const { destination, transactions } = read("transactions.json");
+
+(async () => {
+  console.log("\n🧪 Event decoding from transaction logs");
+
+  const decoded = transactions.flatMap((tx) => decodeTransactionEvents(tx));
+  const payments = decoded.filter((e) => e.name === "PaymentEvent");
+  const withdrawals = decoded.filter((e) => e.name === "WithdrawEvent");
+
+  /* 1 — one event per successful PIVY transaction ----------------*/
+  assert.strictEqual(payments.length, expected.length);
+  assert.strictEqual(withdrawals.length, 1);
+  console.log(
+    `   ✓ ${payments.length} PaymentEvents + ${withdrawals.length} WithdrawEvent; failed and foreign txs ignored`,
+  );
+
+  /* 2 — typed fields ---------------------------------------------*/
+  for (const [i, e] of payments.entries()) {
+    const want = expected[i];
+    assert.ok(e.stealthOwner instanceof PublicKey);
+    assert.ok(e.amount instanceof BN);
+    assert.ok(e.label instanceof Uint8Array && e.label.length === 32);
+    assert.strictEqual(e.stealthOwner.toBase58(), want.stealthOwner);
+    assert.strictEqual(e.payer.toBase58(), want.payer);
+    assert.strictEqual(e.mint.toBase58(), want.mint);
+    assert.strictEqual(e.ephPubkey.toBase58(), want.ephPubkey);
+    assert.strictEqual(e.amount.toString(), want.amount);
+    assert.deepStrictEqual([...e.label], want.label);
+    assert.strictEqual(e.announce, want.announce);
+    assert.strictEqual(e.memo, want.memo);
+    assert.strictEqual(e.signature, want.signature);
+    assert.strictEqual(e.slot, want.slot);
+    assert.strictEqual(e.blockTime, want.blockTime);
+  }
+  assert.strictEqual(payments[0].labelText, "freelance");
+  assert.strictEqual(payments[4].labelText, "dummy.pivy.me");
+  assert.strictEqual(payments[5].labelText, "");
+  assert.deepStrictEqual(payments[0].labelData, {
+    type: "legacy",
+    value: "freelance",
+  });
+  assert.deepStrictEqual(payments[5].labelData, { type: "none", value: null });
+  console.log("   ✓ PublicKeys, BN amounts, labels and memos decoded");
+
+  const [w] = withdrawals;
+  assert.strictEqual(w.stealthOwner.toBase58(), expected[0].stealthOwner);
+  assert.strictEqual(w.destination.toBase58(), destination);
+  assert.strictEqual(w.amount.toString(), expected[0].amount);
+  assert.strictEqual(w.feePayer, null, "trimmed fixture has no message");
+  const payer = new PublicKey(destination);
+  const withMessage = (message) => {
+    const tx = transactions.find((t) =>
+      decodeTransactionEvents(t).some((e) => e.name === "WithdrawEvent"),
+    );
+    return decodeTransactionEvents({
+      ...tx,
+      transaction: { ...tx.transaction, message },
+    })[0].feePayer;
+  };
+  assert.ok(withMessage({ accountKeys: [payer] }).equals(payer));
+  assert.ok(
+    withMessage({
+      accountKeys: [{ pubkey: destination, signer: true }],
+    }).equals(payer),
+  );
+  assert.ok(withMessage({ staticAccountKeys: [payer] }).equals(payer));
+  assert.strictEqual(w.txFee, null, "trimmed fixture has no fee");
+  const withFee = {
+    ...transactions[0],
+    meta: { ...transactions[0].meta, fee: 5000 },
+  };
+  assert.strictEqual(decodeTransactionEvents(withFee)[0].txFee, 5000);
+  console.log(
+    "   ✓ WithdrawEvent decoded, with fee payer and fee when present",
+  );
+
+  /* 3 — bare log arrays ------------------------------------------*/
+  const logs = transactions[0].meta.logMessages;
+  const [bare] = decodeEvents(logs);
+  assert.strictEqual(bare.name, "PaymentEvent");
+  assert.strictEqual(bare.signature, undefined);
+  assert.deepStrictEqual(extractMemos(logs), [expected[0].memo]);
+  assert.deepStrictEqual(decodeEvents(logs, PublicKey.default), []);
+  assert.deepStrictEqual(decodeEvents([]), []);
+  console.log("   ✓ decodeEvents works on raw logs and honours programId");
+
+  /* 4 — decoded stream feeds the scanner -------------------------*/
+  const mine = await scanPayments({
+    metaViewPriv: receiver.metaViewPriv,
+    metaSpendPub: receiver.metaSpendPub,
+    events: decoded,
+  });
+  assert.deepStrictEqual(
+    mine.map((p) => p.signature),
+    owned.map((i) => expected[i].signature),
+  );
+  console.log("   ✓ scanPayments finds the receiver's payments in the stream");
+
+  console.log("\n🎉  SUCCESS: event decoder validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+// stubs.js
+// ================================================================
+// Shared stand-ins for chain state in the offline tests: mint and
+// token-account encoders, and a `Connection` stub serving them and
+// recording what gets sent. Tests extend `StubConnection` for the
+// RPC calls only they need.
+// ================================================================
+import assert from "assert";
+import bs58 from "bs58";
+import {
+  Keypair,
+  PublicKey,
+  Transaction,
+  PACKET_DATA_SIZE,
+} from "@solana/web3.js";
+import {
+  ACCOUNT_SIZE,
+  AccountLayout,
+  MINT_SIZE,
+  MintLayout,
+  TOKEN_PROGRAM_ID,
+} from "@solana/spl-token";
+
+/** `MintLayout` fields of an initialized mint without authorities. */
+export const mintFields = (decimals) => ({
+  mintAuthorityOption: 0,
+  mintAuthority: PublicKey.default,
+  supply: 0n,
+  decimals,
+  isInitialized: true,
+  freezeAuthorityOption: 0,
+  freezeAuthority: PublicKey.default,
+});
+
+/** AccountInfo of a mint without extensions. */
+export function mintAccount({
+  decimals = 6,
+  programId = TOKEN_PROGRAM_ID,
+} = {}) {
+  const data = Buffer.alloc(MINT_SIZE);
+  MintLayout.encode(mintFields(decimals), data);
+  return { data, owner: programId, lamports: 1, executable: false };
+}
+
+/** AccountInfo of an initialized token account holding `amount`. */
+export function tokenAccount(
+  mint,
+  owner,
+  amount,
+  { programId = TOKEN_PROGRAM_ID } = {},
+) {
+  const data = Buffer.alloc(ACCOUNT_SIZE);
+  AccountLayout.encode(
+    {
+      mint,
+      owner,
+      amount,
+      delegateOption: 0,
+      delegate: PublicKey.default,
+      state: 1,
+      isNativeOption: 0,
+      isNative: 0n,
+      delegatedAmount: 0n,
+      closeAuthorityOption: 0,
+      closeAuthority: PublicKey.default,
+    },
+    data,
+  );
+  return { data, owner: programId, lamports: 2039280, executable: false };
+}
+
+/**
+ * Minimal `Connection`: accounts from a `base58 → AccountInfo` map, a
+ * fixed (or per-call fresh) blockhash, and sends that are checked,
+ * recorded in `sent` and confirmed from per-signature `statuses`.
+ * Send indexes in `failing` fail on chain; those in `lost` land but
+ * the send call throws, as on a dropped connection.
+ */
+export class StubConnection {
+  constructor({ accounts = new Map(), blockhash = null, height = 100 } = {}) {
+    this.accounts = accounts;
+    this.blockhash = blockhash;
+    this.height = height;
+    this.sent = [];
+    this.failing = new Set();
+    this.lost = new Set();
+    this.statuses = new Map();
+  }
+
+  async getAccountInfo(key) {
+    return this.accounts.get(key.toBase58()) ?? null;
+  }
+
+  async getMultipleAccountsInfo(keys) {
+    assert.ok(keys.length <= 100);
+    return keys.map((k) => this.accounts.get(k.toBase58()) ?? null);
+  }
+
+  async getLatestBlockhash() {
+    return {
+      blockhash: this.blockhash ?? Keypair.generate().publicKey.toBase58(),
+      lastValidBlockHeight: this.height + 150,
+    };
+  }
+
+  async getBlockHeight() {
+    return this.height;
+  }
+
+  async sendRawTransaction(raw) {
+    assert.ok(raw.length <= PACKET_DATA_SIZE, "oversized transaction");
+    const tx = Transaction.from(raw);
+    assert.ok(tx.verifySignatures(), "missing or bad signature");
+    const n = this.sent.push(tx) - 1;
+    const signature = bs58.encode(tx.signature);
+    this.statuses.set(signature, {
+      err: this.failing.has(n) ? { InstructionError: [0, "Custom"] } : null,
+      confirmationStatus: "confirmed",
+    });
+    if (this.lost.has(n)) throw new Error("connection reset");
+    return signature;
+  }
+
+  // Takes a bare signature (deprecated form, still used by Anchor) or
+  // a blockhash-based strategy.
+  async confirmTransaction(strategy) {
+    const signature = strategy.signature ?? strategy;
+    return { value: { err: this.statuses.get(signature).err } };
+  }
+
+  async getSignatureStatuses([signature]) {
+    return { value: [this.statuses.get(signature) ?? null] };
+  }
+}
@@ -0,0 +1,213 @@
+// indexer.test.js
+// ================================================================
+// Incremental indexer against a stub RPC built from recorded
+// transactions, persisting to a temporary JSON file.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import BN from "bn.js";
+import { PublicKey } from "@solana/web3.js";
+import {
+  PaymentIndexer,
+  JsonFileStore,
+  scanPayments,
+  decodeTransactionEvents,
+} from "../sdk/index.js";
+
+const read = (name) =>
+  JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+const { receiver, owned, events: expected } = read("payment-events.json");
+const { transactions } = read("transactions.json");
+
+// Minimal stand-in for `Connection`: newest-first signature pages with
+// `before` / `until` / `limit`, and `getTransaction` by signature.
+class StubConnection {
+  constructor(txs) {
+    this.txs = [];
+    this.calls = { getSignaturesForAddress: 0, getTransaction: 0 };
+    this.withheld = new Set();
+    this.add(txs);
+  }
+
+  add(txs) {
+    this.txs.push(...txs);
+    this.txs.sort((a, b) => a.slot - b.slot);
+  }
+
+  async getSignaturesForAddress(_address, { before, until, limit }) {
+    this.calls.getSignaturesForAddress++;
+    const newest = [...this.txs].reverse().map((tx) => ({
+      signature: tx.transaction.signatures[0],
+      slot: tx.slot,
+      err: tx.meta.err,
+      blockTime: tx.blockTime,
+    }));
+    let start = 0;
+    if (before) start = newest.findIndex((s) => s.signature === before) + 1;
+    let end = newest.length;
+    if (until) end = newest.findIndex((s) => s.signature === until);
+    return newest.slice(start, end).slice(0, limit);
+  }
+
+  async getTransaction(signature) {
+    this.calls.getTransaction++;
+    if (this.withheld.has(signature)) return null;
+    return this.txs.find((tx) => tx.transaction.signatures[0] === signature);
+  }
+}
+
+(async () => {
+  console.log("\n🧪 Payment indexer with a stub RPC");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pivy-indexer-"));
+  const file = path.join(dir, "index.json");
+  const history = [...transactions].sort((a, b) => a.slot - b.slot);
+  const [first, later] = [history.slice(0, 6), history.slice(6)];
+  const connection = new StubConnection(first);
+  const indexer = new PaymentIndexer({
+    connection,
+    store: new JsonFileStore(file),
+    pageSize: 2,
+  });
+
+  /* 1 — initial sync pages through everything ---------------------*/
+  const r1 = await indexer.sync();
+  assert.strictEqual(r1.transactions, 6);
+  assert.strictEqual(
+    r1.events,
+    first.flatMap((tx) => decodeTransactionEvents(tx)).length,
+  );
+  assert.strictEqual(connection.calls.getSignaturesForAddress, 4);
+  // the failed tx is skipped without a getTransaction round-trip
+  assert.ok(first.some((tx) => tx.meta.err));
+  assert.strictEqual(
+    connection.calls.getTransaction,
+    first.filter((tx) => !tx.meta.err).length,
+  );
+  console.log("   ✓ initial sync:", r1);
+
+  /* 2 — nothing new → nothing fetched -----------------------------*/
+  connection.calls.getTransaction = 0;
+  const r2 = await indexer.sync();
+  assert.deepStrictEqual(r2, { transactions: 0, events: 0, skipped: [] });
+  assert.strictEqual(connection.calls.getTransaction, 0);
+  console.log("   ✓ idle sync fetches no transactions");
+
+  /* 3 — a withheld tx halts the sync without skipping it ----------*/
+  connection.add(later);
+  connection.withheld.add(later[1].transaction.signatures[0]);
+  const r3 = await indexer.sync();
+  assert.strictEqual(r3.transactions, 1);
+  connection.withheld.clear();
+  connection.calls.getTransaction = 0;
+  const r4 = await indexer.sync();
+  assert.strictEqual(r4.transactions, later.length - 1);
+  assert.strictEqual(connection.calls.getTransaction, r4.transactions);
+  console.log("   ✓ incremental sync resumes after an unavailable tx");
+
+  /* 4 — persisted store reloads typed events ----------------------*/
+  const reloaded = new JsonFileStore(file);
+  await reloaded.load();
+  const stored = reloaded.events();
+  const payments = reloaded.events({ name: "PaymentEvent" });
+  assert.strictEqual(stored.length, expected.length + 1);
+  assert.strictEqual(payments.length, expected.length);
+  assert.ok(payments[0].stealthOwner instanceof PublicKey);
+  assert.ok(payments[0].amount instanceof BN);
+  assert.strictEqual(payments[0].labelText, "freelance");
+  assert.strictEqual(
+    reloaded.events({ name: "WithdrawEvent" })[0].amount.toString(),
+    expected[0].amount,
+  );
+  assert.strictEqual(
+    reloaded.getCursor(),
+    connection.txs.at(-1).transaction.signatures[0],
+  );
+  console.log(`   ✓ ${stored.length} events persisted to ${file}`);
+
+  /* 5 — re-indexing from scratch is idempotent --------------------*/
+  reloaded.setCursor(null);
+  await new PaymentIndexer({ connection, store: reloaded }).sync();
+  assert.strictEqual(reloaded.events().length, stored.length);
+  console.log("   ✓ full re-index upserts without duplicates");
+
+  /* 6 — indexed events feed the scanner ---------------------------*/
+  const mine = await scanPayments({
+    metaViewPriv: receiver.metaViewPriv,
+    metaSpendPub: receiver.metaSpendPub,
+    events: reloaded.events(),
+  });
+  assert.deepStrictEqual(
+    mine.map((p) => p.signature),
+    owned.map((i) => expected[i].signature),
+  );
+  console.log("   ✓ scanPayments over the index finds the receiver's payments");
+
+  /* 7 — undecodable logs are skipped, kept and retried -----------*/
+  const paying = history.findIndex(
+    (tx) => decodeTransactionEvents(tx).length > 0,
+  );
+  const truncated = history.map((tx, i) =>
+    i !== paying
+      ? tx
+      : {
+          ...tx,
+          meta: {
+            ...tx.meta,
+            logMessages: tx.meta.logMessages.map((l) =>
+              l.startsWith("Program data: ") ? l.slice(0, 40) : l,
+            ),
+          },
+        },
+  );
+  assert.throws(() => decodeTransactionEvents(truncated[paying]));
+  const skipFile = path.join(dir, "skipped.json");
+  const store = new JsonFileStore(skipFile);
+  const stuck = new PaymentIndexer({
+    connection: new StubConnection(truncated),
+    store,
+  });
+  const r7 = await stuck.sync();
+  const badSignature = history[paying].transaction.signatures[0];
+  assert.strictEqual(r7.transactions, history.length);
+  assert.deepStrictEqual(
+    r7.skipped.map((s) => s.signature),
+    [badSignature],
+  );
+  assert.strictEqual(typeof r7.skipped[0].error, "string");
+  assert.strictEqual(
+    store.getCursor(),
+    history.at(-1).transaction.signatures[0],
+  );
+  assert.ok(store.events().every((e) => e.signature !== badSignature));
+  const r8 = await stuck.sync();
+  assert.strictEqual(r8.transactions, 0);
+  assert.deepStrictEqual(r8.skipped, r7.skipped);
+  console.log("   ✓ a tx with truncated logs is skipped without stalling");
+
+  // A later process, once the RPC serves the full logs, picks it up.
+  const restarted = new PaymentIndexer({
+    connection: new StubConnection(history),
+    store: new JsonFileStore(skipFile),
+  });
+  const r9 = await restarted.sync();
+  const recovered = decodeTransactionEvents(history[paying]).length;
+  assert.deepStrictEqual(r9, {
+    transactions: 0,
+    events: recovered,
+    skipped: [],
+  });
+  assert.strictEqual(
+    restarted.store.events().filter((e) => e.signature === badSignature).length,
+    recovered,
+  );
+  console.log("   ✓ skipped txs persist and are indexed on a later sync");
+
+  fs.rmSync(dir, { recursive: true });
+  console.log("\n🎉  SUCCESS: indexer validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
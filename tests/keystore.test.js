@@ -0,0 +1,225 @@
+// keystore.test.js
+// ================================================================
+// Encrypted keystore: round-trips, wrong passwords and tampering,
+// secret formats, files and migration from a plaintext keypair.json.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import {
+  KEYSTORE_VERSION,
+  encryptKeystore,
+  decryptKeystore,
+  keypairFromSecret,
+  isKeystore,
+  writeKeystore,
+  readKeystore,
+  loadKeypair,
+  migrateKeypairFile,
+} from "../sdk/index.js";
+
+// Cheap KDF cost so the suite stays fast; defaults are checked once.
+const FAST = { scrypt: { N: 2 ** 10 } };
+const PASSWORD = "correct horse battery staple";
+
+(async () => {
+  console.log("\n🔐 Encrypted keystore");
+  const metaSpend = Keypair.generate();
+  const metaView = Keypair.generate();
+  const feePayer = Keypair.generate();
+
+  /* 1 — round trip, public listing */
+  const store = await encryptKeystore(
+    {
+      metaSpend: metaSpend.secretKey.slice(0, 32),
+      metaView: Buffer.from(metaView.secretKey.slice(0, 32)).toString("hex"),
+      feePayer: bs58.encode(feePayer.secretKey),
+    },
+    PASSWORD,
+    FAST,
+  );
+  assert.strictEqual(store.version, KEYSTORE_VERSION);
+  assert.deepStrictEqual(store.keys, {
+    metaSpend: metaSpend.publicKey.toBase58(),
+    metaView: metaView.publicKey.toBase58(),
+    feePayer: feePayer.publicKey.toBase58(),
+  });
+  const json = JSON.stringify(store);
+  for (const kp of [metaSpend, metaView, feePayer]) {
+    assert.ok(
+      !json.includes(Buffer.from(kp.secretKey.slice(0, 32)).toString("hex")),
+    );
+    assert.ok(!json.includes(bs58.encode(kp.secretKey)));
+  }
+  const opened = await decryptKeystore(json, PASSWORD);
+  assert.deepStrictEqual(Object.keys(opened), [
+    "metaSpend",
+    "metaView",
+    "feePayer",
+  ]);
+  assert.deepStrictEqual(opened.metaSpend.secretKey, metaSpend.secretKey);
+  assert.deepStrictEqual(opened.metaView.secretKey, metaView.secretKey);
+  assert.deepStrictEqual(opened.feePayer.secretKey, feePayer.secretKey);
+  console.log("   ✓ keys round-trip; only pubkeys are readable");
+
+  /* 2 — fresh salt and nonce every time, default cost */
+  const again = await encryptKeystore({ feePayer }, PASSWORD);
+  const twice = await encryptKeystore({ feePayer }, PASSWORD, FAST);
+  assert.deepStrictEqual(
+    { N: again.kdf.N, r: again.kdf.r, p: again.kdf.p },
+    { N: 2 ** 17, r: 8, p: 1 },
+  );
+  assert.notStrictEqual(again.kdf.salt, twice.kdf.salt);
+  assert.notStrictEqual(again.cipher.nonce, twice.cipher.nonce);
+  assert.ok(
+    (await decryptKeystore(again, PASSWORD)).feePayer.publicKey.equals(
+      feePayer.publicKey,
+    ),
+  );
+  console.log("   ✓ random salt / nonce, scrypt N = 2^17 by default");
+
+  /* 3 — wrong password and tampering */
+  await assert.rejects(
+    decryptKeystore(store, "hunter2"),
+    /Wrong password or corrupted keystore/,
+  );
+  const swapped = {
+    ...store,
+    keys: {
+      metaView: store.keys.metaView,
+      metaSpend: store.keys.metaSpend,
+      feePayer: store.keys.feePayer,
+    },
+  };
+  await assert.rejects(decryptKeystore(swapped, PASSWORD), /Wrong password/);
+  const cheaper = { ...store, kdf: { ...store.kdf, N: 2 ** 9 } };
+  await assert.rejects(decryptKeystore(cheaper, PASSWORD), /Wrong password/);
+  const flipped = Buffer.from(store.ciphertext, "base64");
+  flipped[0] ^= 1;
+  await assert.rejects(
+    decryptKeystore(
+      { ...store, ciphertext: flipped.toString("base64") },
+      PASSWORD,
+    ),
+    /corrupted/,
+  );
+  await assert.rejects(
+    decryptKeystore({ ...store, version: 2 }, PASSWORD),
+    /Unsupported keystore version 2/,
+  );
+  await assert.rejects(
+    decryptKeystore(
+      { ...store, kdf: { ...store.kdf, name: "pbkdf2" } },
+      PASSWORD,
+    ),
+    /Unsupported KDF pbkdf2/,
+  );
+  console.log(
+    "   ✓ wrong password, reordered keys, KDF and ciphertext tampering rejected",
+  );
+
+  /* 4 — secret formats and key names */
+  for (const raw of [
+    feePayer,
+    feePayer.secretKey,
+    Array.from(feePayer.secretKey),
+    bs58.encode(feePayer.secretKey),
+    feePayer.secretKey.slice(0, 32),
+    Buffer.from(feePayer.secretKey.slice(0, 32)).toString("hex"),
+  ])
+    assert.ok(keypairFromSecret(raw).publicKey.equals(feePayer.publicKey));
+  const mismatched = Uint8Array.from(feePayer.secretKey);
+  mismatched.set(metaView.publicKey.toBytes(), 32);
+  assert.throws(
+    () => keypairFromSecret(mismatched),
+    /public half does not match/,
+  );
+  assert.throws(
+    () => keypairFromSecret(new Uint8Array(16)),
+    /Invalid secret key/,
+  );
+  await assert.rejects(encryptKeystore({}, PASSWORD, FAST), /at least one key/);
+  await assert.rejects(
+    encryptKeystore({ 0: feePayer }, PASSWORD, FAST),
+    /Invalid key name "0"/,
+  );
+  console.log("   ✓ Keypair, byte, JSON, base58 and hex secrets accepted");
+
+  /* 5 — files and migration from keypair.json */
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pivy-keystore-"));
+  try {
+    const legacy = path.join(dir, "keypair.json");
+    const file = path.join(dir, "keystore.json");
+    fs.writeFileSync(legacy, JSON.stringify(Array.from(feePayer.secretKey)));
+    assert.ok((await loadKeypair(legacy)).publicKey.equals(feePayer.publicKey));
+
+    fs.writeFileSync(file, "", { mode: 0o644 });
+    await writeKeystore(file, { metaSpend, metaView }, PASSWORD, FAST);
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+    assert.ok(!fs.existsSync(`${file}.tmp`), "written via a renamed tmp file");
+    assert.ok(isKeystore(JSON.parse(fs.readFileSync(file, "utf8"))));
+    assert.ok(!isKeystore(JSON.parse(fs.readFileSync(legacy, "utf8"))));
+
+    const migrated = await migrateKeypairFile(legacy, file, PASSWORD, FAST);
+    assert.ok(migrated.publicKey.equals(feePayer.publicKey));
+    const keys = await readKeystore(file, PASSWORD);
+    assert.deepStrictEqual(Object.keys(keys), [
+      "metaSpend",
+      "metaView",
+      "feePayer",
+    ]);
+    assert.ok(keys.metaSpend.publicKey.equals(metaSpend.publicKey));
+    assert.ok(fs.existsSync(legacy), "legacy file is left in place");
+
+    const loaded = await loadKeypair(file, { password: PASSWORD });
+    assert.ok(loaded.publicKey.equals(feePayer.publicKey));
+    assert.ok(
+      (
+        await loadKeypair(file, { password: PASSWORD, name: "metaView" })
+      ).publicKey.equals(metaView.publicKey),
+    );
+    await assert.rejects(loadKeypair(file), /is encrypted/);
+    await assert.rejects(
+      loadKeypair(file, { password: PASSWORD, name: "relayer" }),
+      /no key "relayer"/,
+    );
+
+    fs.writeFileSync(
+      legacy,
+      JSON.stringify(Array.from(Keypair.generate().secretKey)),
+    );
+    await assert.rejects(
+      migrateKeypairFile(legacy, file, PASSWORD, FAST),
+      /different "feePayer"/,
+    );
+    await assert.rejects(
+      migrateKeypairFile(legacy, file, "hunter2", FAST),
+      /Wrong password/,
+    );
+    await assert.rejects(
+      migrateKeypairFile(file, file, PASSWORD, FAST),
+      /already a keystore/,
+    );
+    const fresh = path.join(dir, "fresh.json");
+    await migrateKeypairFile(legacy, fresh, PASSWORD, {
+      ...FAST,
+      name: "relayer",
+    });
+    assert.deepStrictEqual(Object.keys(await readKeystore(fresh, PASSWORD)), [
+      "relayer",
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log(
+    "   ✓ keystore files written 0600; keypair.json migrated and merged",
+  );
+
+  console.log("\n🎉  SUCCESS: keystore validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
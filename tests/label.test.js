@@ -0,0 +1,105 @@
+// label.test.js
+// ================================================================
+// Typed 32-byte labels: round trips, up-front validation, legacy
+// labels and the fields attached to decoded events.
+// ================================================================
+import assert from "assert";
+import { sha256 } from "@noble/hashes/sha256";
+import {
+  encodeLabel,
+  decodeLabel,
+  readLabel,
+  labelFields,
+  LABEL_TYPE_TEXT,
+} from "../sdk/index.js";
+
+const padded = (text) => {
+  const buf = Buffer.alloc(32);
+  buf.write(text);
+  return buf;
+};
+
+(async () => {
+  console.log("\n🧪 Label codec");
+
+  /* 1 — round trips ---------------------------------------------*/
+  const labels = [
+    { type: "text", value: "freelance" },
+    { type: "text", value: "café ☕ — März" },
+    { type: "text", value: "x".repeat(30) },
+    { type: "alias", value: "john" },
+    { type: "alias", value: "dummy.pivy.me" },
+    { type: "invoice", value: "INV-2025/0042" },
+    { type: "hash", value: sha256("order #7").slice(0, 31) },
+  ];
+  for (const label of labels) {
+    const bytes = encodeLabel(label);
+    assert.ok(bytes instanceof Uint8Array && bytes.length === 32);
+    assert.deepStrictEqual(decodeLabel(bytes), label);
+  }
+  assert.deepStrictEqual(decodeLabel(encodeLabel("freelance")), labels[0]);
+  assert.deepStrictEqual(decodeLabel(encodeLabel(null)), {
+    type: "none",
+    value: null,
+  });
+  assert.strictEqual(encodeLabel(labels[0])[0], LABEL_TYPE_TEXT);
+  assert.strictEqual(encodeLabel(labels[0])[1], 9);
+  console.log(`   ✓ ${labels.length} typed labels round-trip`);
+
+  /* 2 — validation happens before anything is truncated ---------*/
+  const rejects = [
+    [{ type: "text", value: "y".repeat(31) }, /at most 30/],
+    [{ type: "text", value: "é".repeat(16) }, /32 bytes; at most 30/],
+    [{ type: "text", value: "" }, /non-empty/],
+    [{ type: "alias", value: "John" }, /Invalid characters/],
+    [{ type: "alias", value: "a b" }, /Invalid characters/],
+    [{ type: "invoice", value: "INV\n1" }, /Invalid characters/],
+    [{ type: "hash", value: sha256("x") }, /31 bytes/],
+    [{ type: "emoji", value: "🙂" }, /Unknown label type/],
+  ];
+  for (const [label, err] of rejects)
+    assert.throws(() => encodeLabel(label), err);
+  console.log(`   ✓ ${rejects.length} invalid labels rejected`);
+
+  /* 3 — legacy NUL-padded labels still decode -------------------*/
+  assert.deepStrictEqual(decodeLabel(padded("freelance")), {
+    type: "legacy",
+    value: "freelance",
+  });
+  assert.deepStrictEqual(decodeLabel(padded("a".repeat(32))).value.length, 32);
+  console.log("   ✓ legacy labels decode as { type: 'legacy' }");
+
+  /* 4 — malformed / unknown typed labels ------------------------*/
+  const tooLong = encodeLabel("abc");
+  tooLong[1] = 31;
+  const dirty = encodeLabel("abc");
+  dirty[31] = 1;
+  const badUtf8 = encodeLabel("abc");
+  badUtf8[2] = 0xff;
+  const badAlias = encodeLabel({ type: "alias", value: "abc" });
+  badAlias[2] = "A".charCodeAt(0);
+  for (const bytes of [tooLong, dirty, badUtf8, badAlias]) {
+    assert.throws(() => decodeLabel(bytes), /Malformed/);
+    assert.strictEqual(readLabel(bytes).type, "unknown");
+  }
+  const future = new Uint8Array(32);
+  future[0] = 0x1f;
+  assert.strictEqual(decodeLabel(future).type, "unknown");
+  assert.throws(() => decodeLabel(new Uint8Array(31)), /32 bytes/);
+  console.log("   ✓ malformed labels throw; readLabel never does");
+
+  /* 5 — event fields --------------------------------------------*/
+  const fields = labelFields([
+    ...encodeLabel({ type: "alias", value: "john" }),
+  ]);
+  assert.ok(fields.label instanceof Uint8Array);
+  assert.deepStrictEqual(fields.labelData, { type: "alias", value: "john" });
+  assert.strictEqual(fields.labelText, "john");
+  assert.strictEqual(labelFields(encodeLabel(labels[6])).labelText, "");
+  console.log("   ✓ labelData / labelText attached to events");
+
+  console.log("\n🎉  SUCCESS: label codec validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
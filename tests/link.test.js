@@ -0,0 +1,161 @@
+// link.test.js
+// ================================================================
+// Payment link codec: alias, self-contained and solana: forms,
+// round trips and strict rejection of malformed links.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import { encodePaymentLink, parsePaymentLink } from "../sdk/index.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+const { metaAddress } = vectors[0];
+const USDC = "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU";
+const NOW = Date.UTC(2025, 0, 1);
+const LATER = NOW / 1000 + 3600;
+
+const roundTrip = (link, opts) =>
+  parsePaymentLink(encodePaymentLink(link, opts), { now: NOW });
+
+(async () => {
+  console.log("\n🧪 Payment links");
+
+  /* 1 — alias links ---------------------------------------------*/
+  assert.strictEqual(
+    encodePaymentLink({ alias: "john" }),
+    "https://pivy.me/john",
+  );
+  assert.deepStrictEqual(parsePaymentLink("https://pivy.me/john"), {
+    kind: "alias",
+    alias: "john",
+    solanaPay: false,
+  });
+  assert.deepStrictEqual(
+    roundTrip({ alias: "dummy.pivy.me" }).alias,
+    "dummy.pivy.me",
+  );
+  console.log("   ✓ alias links");
+
+  /* 2 — self-contained links ------------------------------------*/
+  const full = {
+    metaAddress,
+    mint: USDC,
+    amount: "12.5",
+    label: "freelance — März",
+    expiresAt: LATER,
+  };
+  const uri = encodePaymentLink(full);
+  assert.ok(uri.startsWith("https://pivy.me/pay?to=st%3Asol%3A"));
+  const parsed = parsePaymentLink(uri, { now: NOW });
+  assert.strictEqual(parsed.kind, "direct");
+  assert.strictEqual(parsed.metaAddress, metaAddress);
+  assert.strictEqual(parsed.mint.toBase58(), USDC);
+  assert.strictEqual(parsed.amount, "12.5");
+  assert.strictEqual(parsed.label, full.label);
+  assert.strictEqual(parsed.expiresAt, LATER);
+  assert.strictEqual(parsed.solanaPay, false);
+  assert.deepStrictEqual(roundTrip({ metaAddress }), {
+    kind: "direct",
+    metaAddress,
+    mint: null,
+    amount: null,
+    label: null,
+    expiresAt: null,
+    solanaPay: false,
+  });
+  console.log("   ✓ self-contained links round-trip");
+
+  /* 3 — solana: transaction-request form ------------------------*/
+  const sp = encodePaymentLink({ alias: "john" }, { solanaPay: true });
+  assert.strictEqual(sp, "solana:https%3A%2F%2Fpivy.me%2Fapi%2Fpay%2Fjohn");
+  assert.deepStrictEqual(parsePaymentLink(sp), {
+    kind: "alias",
+    alias: "john",
+    solanaPay: true,
+  });
+  const spFull = encodePaymentLink(full, { solanaPay: true });
+  assert.ok(spFull.startsWith("solana:https%3A%2F%2Fpivy.me%2Fapi%2Fpay%3F"));
+  assert.ok(!/[?&=]/.test(spFull.slice(7)), "link must be URL-encoded");
+  assert.deepStrictEqual(
+    { ...parsePaymentLink(spFull, { now: NOW }), solanaPay: false },
+    parsed,
+  );
+  const local = encodePaymentLink(
+    { alias: "john" },
+    { base: "http://localhost:8080" },
+  );
+  assert.strictEqual(local, "http://localhost:8080/john");
+  assert.strictEqual(
+    parsePaymentLink(local, { base: "http://localhost:8080" }).alias,
+    "john",
+  );
+  console.log("   ✓ solana: links wrap the API endpoint");
+
+  /* 4 — encoder validates up front ------------------------------*/
+  const badLinks = [
+    [{ alias: "John" }, /Invalid alias/],
+    [{ alias: "pay" }, /reserved/],
+    [{ alias: "john", amount: "1" }, /alias only/],
+    [{ metaAddress: "st:sol:123" }, /meta-address/i],
+    [{ metaAddress, amount: "1,5" }, /Invalid amount/],
+    [{ metaAddress, amount: "0" }, /Invalid amount/],
+    [{ metaAddress, amount: "01" }, /Invalid amount/],
+    [{ metaAddress, mint: "not-a-key" }, /Invalid mint/],
+    [{ metaAddress, label: "l".repeat(31) }, /Invalid label/],
+    [{ metaAddress, expiresAt: 1.5 }, /Invalid expiry/],
+  ];
+  for (const [link, err] of badLinks)
+    assert.throws(() => encodePaymentLink(link), err);
+  // a label that fits in clear but not encrypted: never payable when the
+  // link is served with `encryptLabel`
+  const label30 = "l".repeat(30);
+  assert.ok(encodePaymentLink({ metaAddress, label: label30 }));
+  assert.throws(
+    () =>
+      encodePaymentLink(
+        { metaAddress, label: label30 },
+        { encryptLabel: true },
+      ),
+    /Invalid label: .*at most 29 bytes/,
+  );
+  assert.ok(
+    encodePaymentLink(
+      { metaAddress, label: label30.slice(1) },
+      { encryptLabel: true },
+    ),
+  );
+  console.log(`   ✓ ${badLinks.length} invalid links refused by the encoder`);
+
+  /* 5 — parser is strict ----------------------------------------*/
+  const to = `to=${encodeURIComponent(metaAddress)}`;
+  const badUris = [
+    ["https://evil.me/john", /Not a PIVY link/],
+    ["http://pivy.me/john", /Not a PIVY link/],
+    ["https://pivy.me/john/extra", /Invalid alias/],
+    ["https://pivy.me/john?amount=1", /Unrecognised/],
+    ["https://pivy.me/john#x", /Malformed/],
+    ["https://pivy.me/pay", /no recipient/],
+    [`https://pivy.me/pay?${to}&foo=1`, /Unknown payment link parameter/],
+    [`https://pivy.me/pay?${to}&${to}`, /Repeated/],
+    [`https://pivy.me/pay?${to}&amount=-1`, /Invalid amount/],
+    [`https://pivy.me/pay?${to}&exp=soon`, /Invalid expiry/],
+    [`https://pivy.me/pay?${to}&exp=${NOW / 1000 - 1}`, /expired/],
+    ["solana:https%3A%2F%2Fpivy.me%2Fjohn", /Unrecognised/],
+    ["solana:%E0%A4%A", /Malformed/],
+    ["not a link", /Malformed/],
+  ];
+  for (const [uri, err] of badUris)
+    assert.throws(() => parsePaymentLink(uri, { now: NOW }), err, uri);
+  const expired = `https://pivy.me/pay?${to}&exp=${NOW / 1000 - 1}`;
+  assert.strictEqual(
+    parsePaymentLink(expired, { now: NOW, allowExpired: true }).expiresAt,
+    NOW / 1000 - 1,
+  );
+  console.log(`   ✓ ${badUris.length} malformed links rejected by the parser`);
+
+  console.log("\n🎉  SUCCESS: payment links validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,195 @@
+// linkability.test.js
+// ================================================================
+// Linkability analyzer on a synthetic receiver history: each risk
+// (shared destination, timing, unique amount, shared fee payer) on
+// its own, relayers ignored, and the combined score.
+// ================================================================
+import assert from "assert";
+import BN from "bn.js";
+import { sha256 } from "@noble/hashes/sha256";
+import { Keypair } from "@solana/web3.js";
+import { analyzeLinkability } from "../sdk/index.js";
+
+const key = (label) =>
+  Keypair.fromSeed(sha256(new TextEncoder().encode(`pivy-link:${label}`)))
+    .publicKey;
+
+const MINT = key("mint");
+const OWNERS = [0, 1, 2, 3].map((i) => key(`owner:${i}`));
+const DAY = 86_400;
+
+const payment = (owner, amount) => ({
+  name: "PaymentEvent",
+  stealthOwner: owner,
+  mint: MINT,
+  amount: new BN(amount),
+});
+const withdrawal = (owner, amount, { at, to, payer, sig } = {}) => ({
+  name: "WithdrawEvent",
+  stealthOwner: owner,
+  mint: MINT,
+  amount: new BN(amount),
+  destination: to ?? key(`dest:${owner.toBase58()}`),
+  blockTime: at ?? null,
+  signature: sig ?? `sig:${owner.toBase58()}:${at}`,
+  feePayer: payer ?? owner,
+});
+
+// Every owner was paid 100; amounts are common across the population.
+const payments = OWNERS.map((o) => payment(o, 100));
+const analyze = (withdrawals, opts = {}) =>
+  analyzeLinkability({ payments, withdrawals, ...opts });
+const kinds = (report) => report.findings.map((f) => f.kind);
+
+(async () => {
+  console.log("🔍  Linkability analyzer");
+
+  /* 1 — separate destinations, days apart, partial amounts: clean */
+  const clean = analyze(
+    OWNERS.map((o, i) => withdrawal(o, 40, { at: i * DAY })),
+  );
+  assert.deepStrictEqual(clean.findings, []);
+  assert.strictEqual(clean.score, 0);
+  assert.strictEqual(clean.level, "low");
+  assert.deepStrictEqual(clean.mitigations, []);
+  assert.deepStrictEqual(clean.stats, {
+    payments: 4,
+    withdrawals: 4,
+    stealthOwners: 4,
+    destinations: 4,
+  });
+  console.log("   ✓ unlinkable history scores 0");
+
+  /* 2 — shared destination */
+  const wallet = key("wallet");
+  const shared = analyze([
+    withdrawal(OWNERS[0], 40, { at: 0, to: wallet }),
+    withdrawal(OWNERS[1], 40, { at: DAY, to: wallet }),
+  ]);
+  assert.deepStrictEqual(kinds(shared), ["shared-destination"]);
+  assert.strictEqual(shared.findings[0].severity, "medium");
+  assert.deepStrictEqual(shared.findings[0].stealthOwners, [
+    OWNERS[0].toBase58(),
+    OWNERS[1].toBase58(),
+  ]);
+  const sharedByThree = analyze(
+    OWNERS.slice(0, 3).map((o, i) =>
+      withdrawal(o, 40, { at: i * DAY, to: wallet }),
+    ),
+  );
+  assert.strictEqual(sharedByThree.findings[0].severity, "high");
+  console.log("   ✓ shared destinations flagged, worse with more owners");
+
+  /* 3 — timing clusters */
+  const close = analyze([
+    withdrawal(OWNERS[0], 40, { at: 1000 }),
+    withdrawal(OWNERS[1], 40, { at: 1600 }),
+    withdrawal(OWNERS[2], 40, { at: 1000 + DAY }),
+  ]);
+  assert.deepStrictEqual(kinds(close), ["timing-cluster"]);
+  assert.strictEqual(close.findings[0].severity, "medium");
+  assert.strictEqual(close.findings[0].stealthOwners.length, 2);
+  assert.match(close.findings[0].detail, /within 600s/);
+  assert.deepStrictEqual(
+    kinds(
+      analyze(
+        [
+          withdrawal(OWNERS[0], 40, { at: 1000 }),
+          withdrawal(OWNERS[1], 40, { at: 1600 }),
+        ],
+        { clusterWindow: 300 },
+      ),
+    ),
+    [],
+  );
+  const sameTx = analyze([
+    withdrawal(OWNERS[0], 40, { at: 1000, sig: "sweep" }),
+    withdrawal(OWNERS[1], 40, { at: 1000, sig: "sweep" }),
+  ]);
+  assert.strictEqual(sameTx.findings[0].severity, "high");
+  assert.deepStrictEqual(sameTx.findings[0].signatures, ["sweep"]);
+  assert.match(sameTx.findings[0].detail, /same transaction/);
+  assert.deepStrictEqual(
+    kinds(analyze(OWNERS.map((o) => withdrawal(o, 40)))),
+    [],
+    "withdrawals without blockTime are not clustered",
+  );
+  console.log("   ✓ close and same-transaction withdrawals clustered");
+
+  /* 4 — unique amounts */
+  const odd = [...payments.slice(1), payment(OWNERS[0], 123_457)];
+  const unique = analyzeLinkability({
+    payments: odd,
+    withdrawals: [withdrawal(OWNERS[0], 123_457, { at: 0 })],
+  });
+  assert.deepStrictEqual(kinds(unique), ["unique-amount"]);
+  assert.strictEqual(unique.findings[0].severity, "medium");
+  // the same amount paid elsewhere in the population hides it
+  assert.deepStrictEqual(
+    kinds(
+      analyzeLinkability({
+        payments: odd,
+        withdrawals: [withdrawal(OWNERS[0], 123_457, { at: 0 })],
+        population: [...odd, payment(key("someone"), 123_457)],
+      }),
+    ),
+    [],
+  );
+  // common full-balance withdrawals are fine
+  assert.deepStrictEqual(
+    kinds(analyze([withdrawal(OWNERS[0], 100, { at: 0 })])),
+    [],
+  );
+  console.log("   ✓ one-off full-balance amounts flagged");
+
+  /* 5 — shared fee payer; relayers ignored */
+  const funder = key("funder");
+  const funded = analyze([
+    withdrawal(OWNERS[0], 40, { at: 0, payer: funder }),
+    withdrawal(OWNERS[1], 40, { at: DAY, payer: funder }),
+  ]);
+  assert.deepStrictEqual(kinds(funded), ["shared-fee-payer"]);
+  assert.strictEqual(funded.findings[0].severity, "high");
+  const relayer = key("relayer");
+  const relayed = analyze(
+    [
+      withdrawal(OWNERS[0], 40, { at: 0, payer: relayer }),
+      withdrawal(OWNERS[1], 40, { at: DAY, payer: relayer }),
+    ],
+    { relayers: [relayer] },
+  );
+  assert.deepStrictEqual(relayed.findings, []);
+  console.log("   ✓ shared fee payers flagged, relayers ignored");
+
+  /* 6 — combined report */
+  const worst = analyze(
+    OWNERS.map((o) =>
+      withdrawal(o, 40, { at: 1000, to: wallet, payer: funder, sig: "sweep" }),
+    ),
+  );
+  assert.deepStrictEqual(kinds(worst), [
+    "shared-destination",
+    "timing-cluster",
+    "shared-fee-payer",
+  ]);
+  assert.strictEqual(worst.score, 90);
+  assert.strictEqual(worst.level, "high");
+  assert.strictEqual(worst.mitigations.length, 3);
+  assert.strictEqual(shared.level, "low");
+  assert.strictEqual(sharedByThree.level, "medium");
+  console.log("   ✓ findings scored and mitigations collected");
+
+  /* 7 — other receivers' withdrawals are ignored */
+  const foreign = analyze([
+    withdrawal(key("stranger:0"), 40, { at: 0, to: wallet }),
+    withdrawal(key("stranger:1"), 40, { at: 0, to: wallet }),
+  ]);
+  assert.deepStrictEqual(foreign.findings, []);
+  assert.strictEqual(foreign.stats.withdrawals, 0);
+  console.log("   ✓ withdrawals of other stealth owners ignored");
+
+  console.log("\n🎉  SUCCESS: linkability analyzer validated");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+// memo.test.js
+// ================================================================
+// Ephemeral-key memo: AEAD v1 round-trip, tamper evidence and
+// backwards compatibility with the legacy XOR layout.
+// ================================================================
+import assert from "assert";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import {
+  encryptEphemeralPrivKey,
+  decryptEphemeralPrivKey,
+  memoVersion,
+  MEMO_VERSION_AEAD,
+  MEMO_VERSION_VIEW_TAG,
+  MEMO_VERSION_LEGACY,
+} from "../sdk/index.js";
+
+const hex = (u8) => Buffer.from(u8).toString("hex");
+
+(async () => {
+  console.log("\n🧪 Ephemeral-key memo formats");
+
+  const metaView = Keypair.generate();
+  const metaViewPriv = metaView.secretKey.subarray(0, 32);
+  const eph = Keypair.generate();
+  const ephPriv = eph.secretKey.subarray(0, 32);
+
+  /* 1 — v2 / v1 round-trip -------------------------------------*/
+  const memo = await encryptEphemeralPrivKey(ephPriv, metaView.publicKey);
+  assert.strictEqual(memoVersion(memo), MEMO_VERSION_VIEW_TAG);
+  assert.strictEqual(bs58.decode(memo)[0], MEMO_VERSION_VIEW_TAG);
+  const out = await decryptEphemeralPrivKey(memo, metaViewPriv, eph.publicKey);
+  assert.strictEqual(hex(out), hex(ephPriv));
+
+  const memoV1 = await encryptEphemeralPrivKey(ephPriv, metaView.publicKey, {
+    version: MEMO_VERSION_AEAD,
+  });
+  assert.strictEqual(memoVersion(memoV1), MEMO_VERSION_AEAD);
+  const outV1 = await decryptEphemeralPrivKey(
+    memoV1,
+    metaViewPriv,
+    eph.publicKey,
+  );
+  assert.strictEqual(hex(outV1), hex(ephPriv));
+  console.log("   ✓ v2 and v1 memos round-trip");
+
+  /* 2 — nonce is fresh per memo --------------------------------*/
+  const again = await encryptEphemeralPrivKey(ephPriv, metaView.publicKey);
+  assert.notStrictEqual(again, memo);
+  console.log("   ✓ memo uses a fresh nonce");
+
+  /* 3 — any flipped byte is rejected ---------------------------*/
+  const raw = bs58.decode(memo);
+  for (let i = 1; i < raw.length; i++) {
+    const tampered = Uint8Array.from(raw);
+    tampered[i] ^= 0x01;
+    await assert.rejects(
+      decryptEphemeralPrivKey(
+        bs58.encode(tampered),
+        metaViewPriv,
+        eph.publicKey,
+      ),
+      /authentication failed/,
+    );
+  }
+  console.log("   ✓ tampered view tag / nonce / ciphertext / tag rejected");
+
+  /* 4 — wrong receiver or wrong ephPub is rejected -------------*/
+  const stranger = Keypair.generate().secretKey.subarray(0, 32);
+  await assert.rejects(
+    decryptEphemeralPrivKey(memo, stranger, eph.publicKey),
+    /authentication failed/,
+  );
+  await assert.rejects(
+    decryptEphemeralPrivKey(memo, metaViewPriv, Keypair.generate().publicKey),
+    /authentication failed/,
+  );
+  console.log("   ✓ wrong view key / ephPub rejected");
+
+  /* 5 — legacy payloads still decrypt --------------------------*/
+  const legacy = await encryptEphemeralPrivKey(ephPriv, metaView.publicKey, {
+    version: MEMO_VERSION_LEGACY,
+  });
+  assert.strictEqual(memoVersion(legacy), MEMO_VERSION_LEGACY);
+  const legacyOut = await decryptEphemeralPrivKey(
+    legacy,
+    metaViewPriv,
+    eph.publicKey,
+  );
+  assert.strictEqual(hex(legacyOut), hex(ephPriv));
+  console.log("   ✓ legacy memo still decrypts");
+
+  /* 6 — unknown layouts are refused ----------------------------*/
+  const unknown = Uint8Array.from(raw);
+  unknown[0] = 0x7f;
+  assert.throws(() => memoVersion(bs58.encode(unknown)), /Unsupported memo/);
+  await assert.rejects(
+    encryptEphemeralPrivKey(ephPriv, metaView.publicKey, { version: 9 }),
+    /Unsupported memo version/,
+  );
+  console.log("   ✓ unknown versions refused");
+
+  console.log("\n🎉  SUCCESS: memo formats validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
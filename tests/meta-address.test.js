@@ -0,0 +1,112 @@
+// meta-address.test.js
+// ================================================================
+// "st:sol:" meta-address encoding, validation and use with
+// deriveStealthPub — no RPC required.
+// ================================================================
+import assert from "assert";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import {
+  encodeMetaAddress,
+  parseMetaAddress,
+  isMetaAddress,
+  deriveStealthPub,
+  META_ADDRESS_PREFIX,
+} from "../sdk/index.js";
+
+const body = (metaAddress) =>
+  bs58.decode(metaAddress.slice(META_ADDRESS_PREFIX.length));
+const withBody = (bytes) => META_ADDRESS_PREFIX + bs58.encode(bytes);
+
+(async () => {
+  console.log("\n🧪 Stealth meta-address");
+
+  const metaSpend = Keypair.generate();
+  const metaView = Keypair.generate();
+
+  /* 1 — round-trip ---------------------------------------------*/
+  const metaAddress = encodeMetaAddress(
+    metaSpend.publicKey,
+    metaView.publicKey,
+  );
+  assert.ok(metaAddress.startsWith("st:sol:"));
+  assert.ok(isMetaAddress(metaAddress));
+  const parsed = parseMetaAddress(metaAddress);
+  assert.strictEqual(parsed.scheme, 1);
+  assert.ok(parsed.metaSpendPub.equals(metaSpend.publicKey));
+  assert.ok(parsed.metaViewPub.equals(metaView.publicKey));
+  assert.strictEqual(
+    encodeMetaAddress(
+      metaSpend.publicKey.toBase58(),
+      metaView.publicKey.toBytes(),
+    ),
+    metaAddress,
+  );
+  console.log("   ✓ encode → parse round-trips:", metaAddress);
+
+  /* 2 — swapped keys produce a different address ---------------*/
+  assert.notStrictEqual(
+    encodeMetaAddress(metaView.publicKey, metaSpend.publicKey),
+    metaAddress,
+  );
+  console.log("   ✓ key order is significant");
+
+  /* 3 — checksum catches typos ---------------------------------*/
+  const raw = body(metaAddress);
+  for (const i of [0, 5, 40, raw.length - 1]) {
+    const typo = Uint8Array.from(raw);
+    typo[i] ^= 0x01;
+    assert.throws(
+      () => parseMetaAddress(withBody(typo)),
+      /Invalid meta-address|Unsupported/,
+    );
+  }
+  const swappedChar =
+    metaAddress.slice(0, -1) + (metaAddress.endsWith("1") ? "2" : "1");
+  assert.throws(() => parseMetaAddress(swappedChar), /Invalid meta-address/);
+  console.log("   ✓ checksum rejects corrupted addresses");
+
+  /* 4 — malformed input ----------------------------------------*/
+  assert.throws(
+    () => parseMetaAddress(metaSpend.publicKey.toBase58()),
+    /expected "st:sol:"/,
+  );
+  assert.throws(() => parseMetaAddress("st:sol:0OIl"), /not base58/);
+  assert.throws(() => parseMetaAddress(withBody(raw.slice(0, 60))), /bytes/);
+  assert.throws(
+    () => encodeMetaAddress(metaSpend.publicKey, metaView.publicKey, 2),
+    /Unsupported stealth scheme/,
+  );
+  console.log("   ✓ wrong prefix / alphabet / length / scheme rejected");
+
+  /* 5 — invalid points -----------------------------------------*/
+  const offCurve = new Uint8Array(32).fill(0xff);
+  offCurve[31] = 0x7f;
+  assert.throws(
+    () => encodeMetaAddress(offCurve, metaView.publicKey),
+    /spend key is not a curve point/,
+  );
+  const identity = new Uint8Array(32);
+  identity[0] = 1;
+  assert.throws(
+    () => encodeMetaAddress(metaSpend.publicKey, identity),
+    /view key has small order/,
+  );
+  console.log("   ✓ off-curve and small-order keys rejected");
+
+  /* 6 — deriveStealthPub accepts the single identifier ---------*/
+  const ephPriv = Keypair.generate().secretKey.subarray(0, 32);
+  const viaPair = await deriveStealthPub(
+    metaSpend.publicKey,
+    metaView.publicKey,
+    ephPriv,
+  );
+  const viaMeta = await deriveStealthPub(metaAddress, ephPriv);
+  assert.ok(viaMeta.equals(viaPair));
+  console.log("   ✓ deriveStealthPub(metaAddress, ephPriv) matches key pair");
+
+  console.log("\n🎉  SUCCESS: meta-address validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,205 @@
+// meta-keys.test.js
+// ================================================================
+// Wallet-derived and mnemonic meta keys against the published v1
+// vectors in tests/vectors/meta-keys-v1.json, plus wallet adapters,
+// signature checks, versioning and SLIP-0010.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import bs58 from "bs58";
+import { ed25519 } from "@noble/curves/ed25519";
+import { Keypair } from "@solana/web3.js";
+import {
+  META_KEYS_VERSION,
+  metaKeysMessage,
+  deriveMetaKeys,
+  deriveMetaKeysFromWallet,
+  parseMetaAddress,
+  deriveStealthPub,
+  deriveStealthKeypair,
+  metaKeyPaths,
+  deriveSlip10Ed25519,
+  generateMnemonic,
+  validateMnemonic,
+  deriveMetaKeysFromMnemonic,
+} from "../sdk/index.js";
+
+const { version, message, vectors, mnemonic } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/meta-keys-v1.json", import.meta.url)),
+);
+const hex = (u8) => Buffer.from(u8).toString("hex");
+const unhex = (h) => Buffer.from(h, "hex");
+
+(async () => {
+  console.log("\n🔑 Meta keys from a wallet signature or recovery phrase");
+
+  /* 1 — published vectors */
+  assert.strictEqual(version, META_KEYS_VERSION);
+  assert.strictEqual(metaKeysMessage(), message);
+  for (const [i, v] of vectors.entries()) {
+    const wallet = Keypair.fromSeed(unhex(v.walletSeed));
+    assert.strictEqual(wallet.publicKey.toBase58(), v.wallet);
+
+    const keys = await deriveMetaKeysFromWallet(wallet);
+    assert.strictEqual(keys.version, 1);
+    assert.strictEqual(hex(keys.metaSpendPriv), v.metaSpendPriv, `#${i} spend`);
+    assert.strictEqual(hex(keys.metaViewPriv), v.metaViewPriv, `#${i} view`);
+    assert.strictEqual(keys.metaSpend.publicKey.toBase58(), v.metaSpendPub);
+    assert.strictEqual(keys.metaView.publicKey.toBase58(), v.metaViewPub);
+    assert.strictEqual(keys.metaAddress, v.metaAddress, `#${i} meta-address`);
+
+    const fromSig = deriveMetaKeys(v.signature, { publicKey: v.wallet });
+    assert.strictEqual(fromSig.metaAddress, v.metaAddress);
+    console.log(`   ✓ vector #${i} → ${v.metaAddress.slice(0, 20)}…`);
+  }
+
+  /* 2 — wallet-adapter and provider style wallets */
+  const v = vectors[0];
+  const secret = unhex(v.walletSeed);
+  const signMessage = (msg) => ed25519.sign(msg, secret);
+  const adapter = {
+    publicKey: v.wallet,
+    signMessage: async (m) => signMessage(m),
+  };
+  const provider = {
+    publicKey: v.wallet,
+    signMessage: async (m) => ({
+      signature: signMessage(m),
+      publicKey: v.wallet,
+    }),
+  };
+  for (const wallet of [adapter, provider])
+    assert.strictEqual(
+      (await deriveMetaKeysFromWallet(wallet)).metaAddress,
+      v.metaAddress,
+    );
+  assert.strictEqual(
+    deriveMetaKeys(bs58.encode(unhex(v.signature))).metaAddress,
+    v.metaAddress,
+    "base58 signature",
+  );
+  await assert.rejects(
+    deriveMetaKeysFromWallet({ publicKey: v.wallet }),
+    /does not support signMessage/,
+  );
+  console.log("   ✓ wallet adapters, providers and Keypairs agree");
+
+  /* 3 — signatures over anything else are rejected */
+  const wrong = {
+    publicKey: v.wallet,
+    signMessage: async () => ed25519.sign(Buffer.from("hello"), secret),
+  };
+  await assert.rejects(
+    deriveMetaKeysFromWallet(wrong),
+    /does not match the meta-key message/,
+  );
+  assert.throws(
+    () => deriveMetaKeys(v.signature, { publicKey: vectors[1].wallet }),
+    /does not match/,
+  );
+  assert.throws(
+    () => deriveMetaKeys(unhex(v.signature).subarray(1)),
+    /64 bytes/,
+  );
+  console.log("   ✓ wrong message, wrong wallet and bad lengths rejected");
+
+  /* 4 — versioning */
+  assert.throws(
+    () => metaKeysMessage(2),
+    /Unsupported meta-key derivation version 2/,
+  );
+  assert.throws(
+    () => deriveMetaKeys(v.signature, { version: 2 }),
+    /Unsupported/,
+  );
+  console.log("   ✓ unknown versions rejected");
+
+  /* 5 — recovered keys receive and spend stealth payments */
+  const recovered = await deriveMetaKeysFromWallet(Keypair.fromSeed(secret));
+  const ephPriv = Keypair.generate().secretKey.slice(0, 32);
+  const stealthPub = await deriveStealthPub(recovered.metaAddress, ephPriv);
+  const { metaViewPub } = parseMetaAddress(v.metaAddress);
+  const signer = await deriveStealthKeypair(
+    recovered.metaSpendPriv,
+    metaViewPub,
+    ephPriv,
+  );
+  assert.ok(signer.publicKey.equals(stealthPub));
+  console.log("   ✓ recovered keys control payments to the meta-address");
+
+  /* 6 — SLIP-0010 ed25519 (spec test vector 1) */
+  const slipSeed = unhex("000102030405060708090a0b0c0d0e0f");
+  for (const [p, key] of [
+    ["m", "2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7"],
+    [
+      "m/0'",
+      "68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3",
+    ],
+    [
+      "m/0'/1'/2'/2'/1000000000'",
+      "8f94d394a8e8fd6b1bc2f3f49f5c47e385281d5c17e65324b0f62483e37e8793",
+    ],
+  ])
+    assert.strictEqual(hex(deriveSlip10Ed25519(slipSeed, p)), key, p);
+  assert.throws(() => deriveSlip10Ed25519(slipSeed, "m/0"), /hardened/);
+  assert.throws(() => deriveSlip10Ed25519(slipSeed, "0'/1'"), /Invalid path/);
+  console.log("   ✓ SLIP-0010 ed25519 matches the spec vectors");
+
+  /* 7 — mnemonic vectors; the wallet key matches Solana wallets */
+  for (const [i, m] of mnemonic.vectors.entries()) {
+    const keys = deriveMetaKeysFromMnemonic(mnemonic.phrase, {
+      account: m.account,
+      passphrase: m.passphrase,
+    });
+    assert.strictEqual(keys.paths.spend, m.spendPath);
+    assert.strictEqual(keys.paths.view, m.viewPath);
+    assert.strictEqual(
+      keys.wallet.publicKey.toBase58(),
+      m.wallet,
+      `#${i} wallet`,
+    );
+    assert.strictEqual(hex(keys.metaSpendPriv), m.metaSpendPriv, `#${i} spend`);
+    assert.strictEqual(hex(keys.metaViewPriv), m.metaViewPriv, `#${i} view`);
+    assert.strictEqual(keys.metaAddress, m.metaAddress, `#${i} meta-address`);
+  }
+  // m/44'/501'/0'/0' of the all-"abandon" phrase, as Phantom shows it
+  assert.strictEqual(
+    mnemonic.vectors[0].wallet,
+    "HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk",
+  );
+  const accounts = mnemonic.vectors.filter((m) => m.passphrase === "");
+  assert.notStrictEqual(accounts[0].metaAddress, accounts[1].metaAddress);
+  assert.deepStrictEqual(metaKeyPaths(3), {
+    wallet: "m/44'/501'/3'/0'",
+    spend: "m/44'/501'/3'/1346983513'/0'",
+    view: "m/44'/501'/3'/1346983513'/1'",
+  });
+  console.log("   ✓ mnemonic vectors, per-account identities, wallet path");
+
+  /* 8 — phrase generation and validation */
+  for (const words of [12, 24]) {
+    const phrase = generateMnemonic(words);
+    assert.strictEqual(phrase.split(" ").length, words);
+    assert.ok(validateMnemonic(phrase));
+  }
+  assert.strictEqual(generateMnemonic().split(" ").length, 24);
+  assert.throws(() => generateMnemonic(13), /12, 15, 18, 21 or 24/);
+  const badChecksum = mnemonic.phrase.replace(/about$/, "abandon");
+  assert.ok(!validateMnemonic(badChecksum));
+  assert.throws(
+    () => deriveMetaKeysFromMnemonic(badChecksum),
+    /Invalid mnemonic/,
+  );
+  assert.throws(
+    () => deriveMetaKeysFromMnemonic(mnemonic.phrase, { account: -1 }),
+    /Invalid account index -1/,
+  );
+  console.log("   ✓ phrases generated and checksums enforced");
+
+  console.log(
+    "\n🎉  SUCCESS: meta keys derive deterministically from wallet and phrase\n",
+  );
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
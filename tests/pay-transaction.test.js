@@ -0,0 +1,119 @@
+// pay-transaction.test.js
+// ================================================================
+// buildPayTransaction: instructions, receipt fields and the memo the
+// receiver needs — checked against the v1 vectors, no RPC.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import BN from "bn.js";
+import { BorshCoder } from "@coral-xyz/anchor";
+import { Keypair } from "@solana/web3.js";
+import { getAssociatedTokenAddressSync } from "@solana/spl-token";
+import {
+  buildPayTransaction,
+  decryptEphemeralPrivKey,
+  decodeLabel,
+  PIVY_STEALTH_IDL,
+  PIVY_PROGRAM_ID,
+  MEMO_PROGRAM_ID,
+} from "../sdk/index.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+
+(async () => {
+  console.log("\n🧪 buildPayTransaction");
+
+  const v = vectors[1];
+  const mint = Keypair.generate().publicKey;
+  const payer = Keypair.generate().publicKey;
+
+  /* 1 — receipt + instruction set --------------------------------*/
+  const built = await buildPayTransaction({
+    metaAddress: v.metaAddress,
+    mint,
+    amount: 25_000_000,
+    label: { type: "invoice", value: "INV-7" },
+    payer,
+    ephPriv32: v.ephPriv,
+  });
+  assert.strictEqual(built.stealthOwner.toBase58(), v.stealthPub);
+  assert.strictEqual(built.ephPubkey.toBase58(), v.ephPub);
+  assert.ok(
+    built.stealthAta.equals(
+      getAssociatedTokenAddressSync(mint, built.stealthOwner),
+    ),
+  );
+  assert.ok(built.transaction.feePayer.equals(payer));
+  assert.deepStrictEqual(built.transaction.instructions, built.instructions);
+
+  const [pay, memo] = built.instructions;
+  assert.ok(pay.programId.equals(PIVY_PROGRAM_ID));
+  const { name, data } = coder.instruction.decode(pay.data);
+  assert.strictEqual(name, "pay");
+  assert.strictEqual(data.args.amount.toString(), "25000000");
+  assert.ok(data.args.ephPubkey.equals(built.ephPubkey));
+  assert.deepStrictEqual(decodeLabel(data.args.label), {
+    type: "invoice",
+    value: "INV-7",
+  });
+  const keys = pay.keys.map((k) => k.pubkey.toBase58());
+  assert.deepStrictEqual(keys.slice(0, 5), [
+    v.stealthPub,
+    built.stealthAta.toBase58(),
+    payer.toBase58(),
+    getAssociatedTokenAddressSync(mint, payer).toBase58(),
+    mint.toBase58(),
+  ]);
+  assert.ok(pay.keys[2].isSigner);
+  console.log("   ✓ pay instruction + receipt match the vector");
+
+  /* 2 — memo goes to the receiver --------------------------------*/
+  assert.ok(memo.programId.equals(MEMO_PROGRAM_ID));
+  assert.strictEqual(memo.data.toString("utf8"), built.memo);
+  const ephPriv = await decryptEphemeralPrivKey(
+    built.memo,
+    v.metaViewPriv,
+    built.ephPubkey,
+  );
+  assert.strictEqual(Buffer.from(ephPriv).toString("hex"), v.ephPriv);
+  console.log("   ✓ memo decrypts to the ephemeral seed");
+
+  /* 3 — options and validation -----------------------------------*/
+  const fresh = await buildPayTransaction({
+    metaAddress: v.metaAddress,
+    mint,
+    amount: new BN(1),
+    payer,
+    label: "rent",
+    encryptLabel: true,
+  });
+  assert.ok(!fresh.stealthOwner.equals(built.stealthOwner));
+  assert.strictEqual(decodeLabel(fresh.label).type, "encrypted");
+  const unlabeled = await buildPayTransaction({
+    metaAddress: v.metaAddress,
+    mint,
+    amount: 5n,
+    payer,
+  });
+  assert.strictEqual(decodeLabel(unlabeled.label).type, "none");
+
+  for (const amount of [0, "0", "1.5", -1, "abc"])
+    await assert.rejects(
+      buildPayTransaction({ metaAddress: v.metaAddress, mint, amount, payer }),
+      /amount/i,
+      String(amount),
+    );
+  await assert.rejects(
+    buildPayTransaction({ metaAddress: "st:sol:xyz", mint, amount: 1, payer }),
+    /meta-address/i,
+  );
+  console.log("   ✓ random ephemeral keys, label options, amount checks");
+
+  console.log("\n🎉  SUCCESS: buildPayTransaction validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
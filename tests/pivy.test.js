@@ -7,12 +7,9 @@ import assert from 'assert';
 import BN from 'bn.js';
 import bs58 from 'bs58';
 import * as anchor from '@coral-xyz/anchor';
-import {
-  Connection, Keypair, SystemProgram, Transaction, PublicKey,
-} from '@solana/web3.js';
+import { Connection, Keypair, Transaction, PublicKey } from "@solana/web3.js";
 import {
   TOKEN_PROGRAM_ID,
-  ASSOCIATED_TOKEN_PROGRAM_ID,
   getAssociatedTokenAddressSync,
   createAssociatedTokenAccountIdempotentInstruction,
   createMint,
@@ -21,9 +18,14 @@ import {
   createAccount,
   createTransferCheckedInstruction,
 } from '@solana/spl-token';
-import * as ed from '@noble/ed25519';
-import { sha256 } from '@noble/hashes/sha256';
-import { PIVY_STEALTH_IDL } from '../target/idl/IDL.js';
+import {
+  PIVY_STEALTH_IDL,
+  buildPayTransaction,
+  decryptEphemeralPrivKey,
+  deriveStealthKeypair,
+  encodeMetaAddress,
+  encodeLabel,
+} from "../sdk/index.js";
 
 /*──────────────────────────────────────────────────────────────────*/
 /*  ENV & provider                                                  */
@@ -59,48 +61,27 @@ const PROGRAM_ID = new PublicKey(PIVY_PROGRAM_ADDRESS);
 const program = new anchor.Program(PIVY_STEALTH_IDL, PROGRAM_ID, provider);
 
 /*──────────────────────────────────────────────────────────────────*/
-/*  Helper: derive stealth keypair (UNCHANGED math)                 */
+/*  Helper: send with the stealth owner as co-signer                */
 /*──────────────────────────────────────────────────────────────────*/
-const L = BigInt(
-  '0x1000000000000000000000000000000014def9dea2f79cd65812631a5cf5d3ed',
-);
-const bytesToNumberLE = (u8) =>
-  u8.reduceRight((p, c) => (p << 8n) + BigInt(c), 0n);
-const mod = (x, n) => ((x % n) + n) % n;
-
-async function deriveStealthKeypair(metaSpend, metaViewPk, ephPriv) {
-  const shared = await ed.getSharedSecret(ephPriv, metaViewPk);
-  const tweak = mod(
-    BigInt('0x' + Buffer.from(sha256(shared)).toString('hex')),
-    L,
-  );
-  const a = bytesToNumberLE(metaSpend.secretKey.subarray(0, 32));
-  const s = mod(a + tweak, L);
-
-  const seed = Uint8Array.from(
-    s
-      .toString(16)
-      .padStart(64, '0')
-      .match(/.{2}/g)
-      .map((b) => parseInt(b, 16)),
-  );
-  const pk = await ed.getPublicKey(seed);
-  const sk = new Uint8Array(64);
-  sk.set(seed, 0);
-  sk.set(pk, 32);
-  return Keypair.fromSecretKey(sk);
+async function sendWithStealthSigner(tx, stealthSigner) {
+  // The stealth signer is the provider's wallet; payerKP co-signs as fee payer.
+  tx.feePayer = payerKP.publicKey;
+  const stealthProvider = new anchor.AnchorProvider(connection, stealthSigner, {
+    commitment: "confirmed",
+  });
+  return stealthProvider.sendAndConfirm(tx, [payerKP]);
 }
 
 /*──────────────────────────────────────────────────────────────────*/
 /*  Test flow                                                       */
 /*──────────────────────────────────────────────────────────────────*/
 (async () => {
-  console.log('\n🌐 RPC            :', RPC);
-  console.log('👛 Test wallet    :', payerKP.publicKey.toBase58());
-  console.log('📦 Program        :', PROGRAM_ID.toBase58(), '\n');
+  console.log("\n🌐 RPC            :", RPC);
+  console.log("👛 Test wallet    :", payerKP.publicKey.toBase58());
+  console.log("📦 Program        :", PROGRAM_ID.toBase58(), "\n");
 
   /* 1 — Mint test USDC & fund payer ------------------------------*/
-  console.log('🔧 1. Minting test USDC and funding wallet …');
+  console.log("🔧 1. Minting test USDC and funding wallet …");
   const mint = await createMint(
     connection,
     payerKP,
@@ -129,58 +110,53 @@ async function deriveStealthKeypair(metaSpend, metaViewPk, ephPriv) {
     1_000_000_000,
     6,
   );
-  console.log('   ✓ wallet funded with 1 000 USDC\n');
+  console.log("   ✓ wallet funded with 1 000 USDC\n");
 
-  /* 2 — Derive stealth keys -------------------------------------*/
-  console.log('🔐 2. Deriving stealth keypair …');
+  /* 2 — Receiver keys -------------------------------------------*/
+  console.log("🔐 2. Generating receiver meta keys …");
   const metaSpend = Keypair.generate();
   const metaView = Keypair.generate();
-  const eph = Keypair.generate();
-  const stealthKP = await deriveStealthKeypair(
-    metaSpend,
-    metaView.publicKey.toBytes(),
-    eph.secretKey.subarray(0, 32),
+  const metaAddress = encodeMetaAddress(
+    metaSpend.publicKey,
+    metaView.publicKey,
   );
-  console.log('stealthKP', {
-    address: stealthKP.publicKey.toBase58(),
-    secretKey: bs58.encode(stealthKP.secretKey),
-  });
-  const stealthAta = getAssociatedTokenAddressSync(mint, stealthKP.publicKey);
-  console.log('   Stealth owner  :', stealthKP.publicKey.toBase58());
-  console.log('   Stealth ATA    :', stealthAta.toBase58(), '\n');
+  console.log("   Meta-address   :", metaAddress, "\n");
 
   /* 3 — Pay 25 USDC ---------------------------------------------*/
-  console.log('💸 3. Paying 25 USDC into stealth ATA …');
-  const lblPay = Buffer.alloc(32);
-  lblPay.write('freelance');
-  const payTx = await provider.sendAndConfirm(
-    new Transaction().add(
-      await program.methods
-        .pay({
-          amount: new BN(25_000_000),
-          label: [...lblPay],
-          ephPubkey: eph.publicKey,
-        })
-        .accounts({
-          stealthOwner: stealthKP.publicKey,
-          stealthAta,
-          payer: payerKP.publicKey,
-          payerAta,
-          mint,
-          systemProgram: SystemProgram.programId,
-          tokenProgram: TOKEN_PROGRAM_ID,
-          associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
-          rent: anchor.web3.SYSVAR_RENT_PUBKEY,
-        })
-        .instruction(),
-    ),
-    [payerKP],
+  console.log("💸 3. Paying 25 USDC into stealth ATA …");
+  const payment = await buildPayTransaction({
+    metaAddress,
+    mint,
+    amount: 25_000_000,
+    label: { type: "text", value: "freelance" },
+    payer: payerKP.publicKey,
+    programId: PROGRAM_ID,
+  });
+  const payTx = await provider.sendAndConfirm(payment.transaction, [payerKP]);
+
+  // Receiver side: memo → ephemeral seed → stealth signer
+  const ephPriv = await decryptEphemeralPrivKey(
+    payment.memo,
+    metaView.secretKey.subarray(0, 32),
+    payment.ephPubkey,
+  );
+  const stealthKP = await deriveStealthKeypair(
+    metaSpend.secretKey.subarray(0, 32),
+    metaView.publicKey,
+    ephPriv,
+  );
+  assert.ok(
+    stealthKP.publicKey.equals(payment.stealthOwner),
+    "payer/receiver mismatch",
   );
-  console.log('   ✓ payment confirmed');
-  console.log('   📝 tx:', payTx, '\n');
+  const { stealthAta } = payment;
+  console.log("   Stealth owner  :", stealthKP.publicKey.toBase58());
+  console.log("   Stealth ATA    :", stealthAta.toBase58());
+  console.log("   ✓ payment confirmed");
+  console.log("   📝 tx:", payTx, "\n");
 
   /* 4 — Withdraw (5 then 20) ------------------------------------*/
-  console.log('🏦 4. Withdrawing via program …');
+  console.log("🏦 4. Withdrawing via program …");
   const collectorKp = Keypair.generate();
   const collectorAta = await createAccount(
     connection,
@@ -189,41 +165,45 @@ async function deriveStealthKeypair(metaSpend, metaViewPk, ephPriv) {
     stealthKP.publicKey,
     collectorKp,
   );
-  console.log('   Collector TA   :', collectorAta.toBase58());
+  console.log("   Collector TA   :", collectorAta.toBase58());
 
-  const withdraw1Tx = await program.methods
-    .withdraw({ amount: new BN(5_000_000) })
-    .accounts({
-      stealthOwner: stealthKP.publicKey,
-      stealthAta,
-      destinationAta: collectorAta,
-      mint,
-      tokenProgram: TOKEN_PROGRAM_ID,
-    })
-    .signers([stealthKP])
-    .rpc();
-  console.log('   ✓ withdrew 5 USDC');
-  console.log('   📝 tx:', withdraw1Tx);
+  const withdraw1Tx = await sendWithStealthSigner(
+    await program.methods
+      .withdraw({ amount: new BN(5_000_000) })
+      .accounts({
+        stealthOwner: stealthKP.publicKey,
+        stealthAta,
+        destinationAta: collectorAta,
+        mint,
+        tokenProgram: TOKEN_PROGRAM_ID,
+      })
+      .transaction(),
+    stealthKP,
+  );
+  console.log("   ✓ withdrew 5 USDC");
+  console.log("   📝 tx:", withdraw1Tx);
 
   const rest = Number((await getAccount(connection, stealthAta)).amount);
-  const withdraw2Tx = await program.methods
-    .withdraw({ amount: new BN(rest) })
-    .accounts({
-      stealthOwner: stealthKP.publicKey,
-      stealthAta,
-      destinationAta: collectorAta,
-      mint,
-      tokenProgram: TOKEN_PROGRAM_ID,
-    })
-    .signers([stealthKP])
-    .rpc();
-  console.log('   ✓ withdrew remaining 20 USDC & closed stealth ATA');
-  console.log('   📝 tx:', withdraw2Tx, '\n');
+  const withdraw2Tx = await sendWithStealthSigner(
+    await program.methods
+      .withdraw({ amount: new BN(rest) })
+      .accounts({
+        stealthOwner: stealthKP.publicKey,
+        stealthAta,
+        destinationAta: collectorAta,
+        mint,
+        tokenProgram: TOKEN_PROGRAM_ID,
+      })
+      .transaction(),
+    stealthKP,
+  );
+  console.log("   ✓ withdrew remaining 20 USDC & closed stealth ATA");
+  console.log("   📝 tx:", withdraw2Tx, "\n");
 
   /* 5 — Send to test wallet ATA ---------------------------------*/
-  console.log('➡️ 5. Moving 25 USDC into test wallet ATA …');
+  console.log("➡️ 5. Moving 25 USDC into test wallet ATA …");
   const finalAta = getAssociatedTokenAddressSync(mint, payerKP.publicKey);
-  const transferTx = await provider.sendAndConfirm(
+  const transferTx = await sendWithStealthSigner(
     new Transaction().add(
       createAssociatedTokenAccountIdempotentInstruction(
         payerKP.publicKey,
@@ -240,29 +220,24 @@ async function deriveStealthKeypair(metaSpend, metaViewPk, ephPriv) {
         6,
       ),
     ),
-    [payerKP, stealthKP],
+    stealthKP,
   );
 
   const end = Number((await getAccount(connection, finalAta)).amount);
-  assert.strictEqual(
-    end,
-    1_000_000_000,
-    'wallet balance should be 1 000 USDC',
-  );
-  console.log('   ✓ transfer complete — balance verified');
-  console.log('   📝 tx:', transferTx, '\n');
+  assert.strictEqual(end, 1_000_000_000, "wallet balance should be 1 000 USDC");
+  console.log("   ✓ transfer complete — balance verified");
+  console.log("   📝 tx:", transferTx, "\n");
 
   /* 6 — Announce 10 USDC (no transfer) ---------------------------*/
-  console.log('📣 6. Announcing 10 USDC (log-only, no transfer) …');
-  const lblAnn = Buffer.alloc(32);
-  lblAnn.write('announce');
+  console.log("📣 6. Announcing 10 USDC (log-only, no transfer) …");
+  const lblAnn = encodeLabel({ type: "text", value: "announce" });
   const announceTx = await provider.sendAndConfirm(
     new Transaction().add(
       await program.methods
         .announce({
           amount: new BN(10_000_000),
           label: [...lblAnn],
-          ephPubkey: eph.publicKey,
+          ephPubkey: payment.ephPubkey,
         })
         .accounts({
           stealthOwner: stealthKP.publicKey,
@@ -275,12 +250,12 @@ async function deriveStealthKeypair(metaSpend, metaViewPk, ephPriv) {
   );
 
   const stealthInfo = await connection.getAccountInfo(stealthAta);
-  assert.strictEqual(stealthInfo, null, 'stealth ATA should remain closed');
-  console.log('   ✓ announce succeeded; no token account recreated');
-  console.log('   📝 tx:', announceTx);
+  assert.strictEqual(stealthInfo, null, "stealth ATA should remain closed");
+  console.log("   ✓ announce succeeded; no token account recreated");
+  console.log("   📝 tx:", announceTx);
 
   console.log(
-    '\n🎉  SUCCESS: pay, withdraw, and announce flows fully validated\n',
+    "\n🎉  SUCCESS: pay, withdraw, and announce flows fully validated\n",
   );
 })().catch((e) => {
   console.error('❌ Test failed:', e);
@@ -0,0 +1,206 @@
+// relayer.test.js
+// ================================================================
+// Gasless withdrawals: reference relayer behind a local HTTP server
+// with a stub connection, driven by the SDK client.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import http from "http";
+import { BorshCoder } from "@coral-xyz/anchor";
+import bs58 from "bs58";
+import { Keypair, SystemProgram, Transaction } from "@solana/web3.js";
+import {
+  decodeTransferCheckedInstruction,
+  getAssociatedTokenAddressSync,
+} from "@solana/spl-token";
+import {
+  createRelayerHandler,
+  toNodeListener,
+  relayWithdraw,
+  requestRelayerQuote,
+  buildRelayedWithdrawTransaction,
+  submitToRelayer,
+  deriveStealthKeypair,
+  PIVY_STEALTH_IDL,
+} from "../sdk/index.js";
+import { StubConnection, mintAccount } from "./helpers/stubs.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+const MINT = Keypair.generate().publicKey;
+const BLOCKHASH = Keypair.generate().publicKey.toBase58();
+const FEE = 25_000n;
+
+// The relayer simulates before it sends.
+class RelayerConnection extends StubConnection {
+  simulationError = null;
+  async simulateTransaction(tx) {
+    assert.ok(tx.verifySignatures(), "relayer simulates the signed tx");
+    return { value: { err: this.simulationError, logs: [] } };
+  }
+}
+
+(async () => {
+  console.log("\n🧪 Relayed withdrawals");
+
+  const v = vectors[0];
+  const signer = await deriveStealthKeypair(
+    v.metaSpendPriv,
+    v.metaViewPub,
+    v.ephPriv,
+  );
+  const relayer = Keypair.generate();
+  const destination = Keypair.generate().publicKey;
+  const connection = new RelayerConnection({
+    accounts: new Map([[MINT.toBase58(), mintAccount()]]),
+    blockhash: BLOCKHASH,
+  });
+  const handler = createRelayerHandler({
+    connection,
+    feePayer: relayer,
+    fees: { [MINT.toBase58()]: FEE },
+  });
+  const server = http.createServer(toNodeListener(handler));
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  // Builds and signs a relayed withdrawal, optionally tampered with.
+  const signed = async (tamper = (ixs) => ixs) => {
+    const quote = await requestRelayerQuote(url, MINT);
+    const base = buildRelayedWithdrawTransaction({
+      stealthOwner: signer.publicKey,
+      mint: MINT,
+      destination,
+      quote,
+    });
+    const tx = new Transaction({
+      feePayer: base.feePayer,
+      recentBlockhash: base.recentBlockhash,
+    }).add(...tamper(base.instructions));
+    return signer.signTransaction(tx);
+  };
+  const rejects = async (tamper, pattern) =>
+    assert.rejects(submitToRelayer(url, await signed(tamper)), pattern);
+
+  try {
+    /* 1 — quote --------------------------------------------------*/
+    const quote = await requestRelayerQuote(url, MINT);
+    assert.ok(quote.feePayer.equals(relayer.publicKey));
+    assert.strictEqual(quote.fee, FEE);
+    assert.strictEqual(quote.decimals, 6);
+    assert.strictEqual(quote.blockhash, BLOCKHASH);
+    assert.ok(
+      quote.relayerAta.equals(
+        getAssociatedTokenAddressSync(MINT, relayer.publicKey),
+      ),
+    );
+    await assert.rejects(
+      requestRelayerQuote(url, Keypair.generate().publicKey),
+      /Relayer error 400: Mint .* not found/,
+    );
+    console.log("   ✓ quote names fee payer, fee and relayer ATA");
+
+    /* 2 — relay: stealth signs, relayer pays and co-signs ---------*/
+    const { signature } = await relayWithdraw({
+      url,
+      signer,
+      mint: MINT,
+      destination,
+      maxFee: 30_000,
+    });
+    const [tx] = connection.sent;
+    assert.strictEqual(signature, bs58.encode(tx.signature));
+    assert.ok(tx.verifySignatures());
+    assert.ok(tx.feePayer.equals(relayer.publicKey));
+    assert.deepStrictEqual(
+      tx.signatures.map((s) => s.publicKey.toBase58()).sort(),
+      [relayer.publicKey, signer.publicKey].map(String).sort(),
+    );
+    const [create, fee, withdraw] = tx.instructions;
+    assert.ok(
+      create.keys[1].pubkey.equals(
+        getAssociatedTokenAddressSync(MINT, destination),
+      ),
+    );
+    const transfer = decodeTransferCheckedInstruction(fee);
+    assert.strictEqual(transfer.data.amount, FEE);
+    assert.ok(transfer.keys.destination.pubkey.equals(quote.relayerAta));
+    assert.ok(transfer.keys.owner.pubkey.equals(signer.publicKey));
+    assert.strictEqual(
+      coder.instruction.decode(withdraw.data).name,
+      "withdraw",
+    );
+    assert.ok(
+      tx.instructions.every((ix) =>
+        ix.keys.every((k) => !k.isSigner || !k.pubkey.equals(destination)),
+      ),
+      "destination never signs",
+    );
+    console.log("   ✓ relayer co-signs and submits; fee goes to its ATA");
+
+    /* 3 — client refuses an expensive relayer --------------------*/
+    await assert.rejects(
+      relayWithdraw({ url, signer, mint: MINT, destination, maxFee: 1 }),
+      /exceeds maxFee/,
+    );
+
+    /* 4 — relayer refuses anything else --------------------------*/
+    await rejects(
+      ([create, , withdraw]) => [create, withdraw],
+      /Not a relayed withdrawal/,
+    );
+    await rejects(
+      (ixs) => [
+        ...ixs,
+        SystemProgram.transfer({
+          fromPubkey: relayer.publicKey,
+          toPubkey: signer.publicKey,
+          lamports: 1_000_000,
+        }),
+      ],
+      /Not a relayed withdrawal/,
+    );
+    await rejects(([create, fee, withdraw]) => {
+      const cheap = Buffer.from(fee.data);
+      cheap.writeBigUInt64LE(FEE - 1n, 1);
+      return [create, { ...fee, data: cheap }, withdraw];
+    }, /Fee too low/);
+    await rejects(([create, fee, withdraw]) => {
+      const keys = fee.keys.map((k, i) =>
+        i === 2 ? { ...k, pubkey: Keypair.generate().publicKey } : k,
+      );
+      return [create, { ...fee, keys }, withdraw];
+    }, /Not a relayed withdrawal/);
+
+    const unsigned = await signed();
+    unsigned.signatures.forEach((s) => (s.signature = null));
+    await assert.rejects(
+      submitToRelayer(url, unsigned),
+      /Stealth owner signature/,
+    );
+    const forged = await signed();
+    forged.signatures.find((s) => s.signature).signature = Buffer.alloc(64, 1);
+    await assert.rejects(
+      submitToRelayer(url, forged),
+      /Stealth owner signature/,
+    );
+
+    connection.simulationError = { InstructionError: [2, { Custom: 6001 }] };
+    await assert.rejects(
+      submitToRelayer(url, await signed()),
+      /Simulation failed/,
+    );
+    connection.simulationError = null;
+    assert.strictEqual(connection.sent.length, 1, "nothing else was sent");
+    console.log("   ✓ tampered, unsigned and failing transactions refused");
+  } finally {
+    server.close();
+  }
+
+  console.log("\n🎉  SUCCESS: relayer validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+// scanner.test.js
+// ================================================================
+// Receiver-side scan over recorded PaymentEvents — no RPC.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import { scanPayments, deriveStealthKeypair } from "../sdk/index.js";
+
+const { receiver, owned, events } = JSON.parse(
+  fs.readFileSync(new URL("./fixtures/payment-events.json", import.meta.url)),
+);
+
+(async () => {
+  console.log("\n🧪 scanPayments over recorded PaymentEvents");
+
+  const payments = await scanPayments({
+    metaViewPriv: receiver.metaViewPriv,
+    metaSpendPub: receiver.metaSpendPub,
+    events,
+  });
+
+  /* 1 — exactly the receiver's payments, in order ---------------*/
+  assert.deepStrictEqual(
+    payments.map((p) => p.signature),
+    owned.map((i) => events[i].signature),
+  );
+  console.log(`   ✓ ${payments.length}/${events.length} events matched`);
+
+  /* 2 — event fields are passed through untouched ---------------*/
+  const [first] = payments;
+  const { ephPriv, ...rest } = first;
+  assert.deepStrictEqual(rest, events[owned[0]]);
+  console.log("   ✓ event fields preserved");
+
+  /* 3 — memos decrypt to spendable ephemeral keys ---------------*/
+  const [v2, legacy, announced, tampered] = payments;
+  for (const p of [v2, legacy]) {
+    assert.ok(p.ephPriv instanceof Uint8Array && p.ephPriv.length === 32);
+    const signer = await deriveStealthKeypair(
+      receiver.metaSpendPriv,
+      receiver.metaViewPub,
+      p.ephPriv,
+    );
+    assert.strictEqual(signer.publicKey.toBase58(), p.stealthOwner);
+  }
+  console.log("   ✓ v2 and legacy memos yield the stealth signer");
+
+  /* 4 — owned without a readable memo still reported ------------*/
+  assert.strictEqual(announced.announce, true);
+  assert.strictEqual(announced.ephPriv, null);
+  assert.strictEqual(tampered.ephPriv, null);
+  console.log("   ✓ memo-less and tampered-memo payments kept, ephPriv null");
+
+  /* 5 — another receiver sees none of them ----------------------*/
+  const stranger = await scanPayments({
+    metaViewPriv: receiver.metaSpendPriv,
+    metaSpendPub: receiver.metaViewPub,
+    events,
+  });
+  assert.strictEqual(stranger.length, 0);
+  console.log("   ✓ unrelated keys match nothing");
+
+  console.log("\n🎉  SUCCESS: scanner validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+// signer.test.js
+// ================================================================
+// StealthSigner as an Anchor wallet: legacy + versioned transactions,
+// a separate fee payer, signAllTransactions and AnchorProvider.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import * as anchor from "@coral-xyz/anchor";
+import {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import { ed25519 } from "@noble/curves/ed25519";
+import { deriveStealthKeypair, withdrawInstruction } from "../sdk/index.js";
+import { StubConnection } from "./helpers/stubs.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+
+const BLOCKHASH = Keypair.generate().publicKey.toBase58();
+const MINT = Keypair.generate().publicKey;
+const DESTINATION_ATA = Keypair.generate().publicKey;
+
+const withdrawIx = (stealthOwner) =>
+  withdrawInstruction({
+    stealthOwner,
+    mint: MINT,
+    destinationAta: DESTINATION_ATA,
+  });
+
+const legacyTx = (feePayer, stealthOwner) =>
+  new Transaction({ feePayer, recentBlockhash: BLOCKHASH }).add(
+    withdrawIx(stealthOwner),
+  );
+
+const versionedTx = (feePayer, stealthOwner) =>
+  new VersionedTransaction(
+    new TransactionMessage({
+      payerKey: feePayer,
+      recentBlockhash: BLOCKHASH,
+      instructions: [withdrawIx(stealthOwner)],
+    }).compileToV0Message(),
+  );
+
+const verifyVersioned = (tx) =>
+  tx.message.staticAccountKeys
+    .slice(0, tx.message.header.numRequiredSignatures)
+    .every((k, i) =>
+      ed25519.verify(tx.signatures[i], tx.message.serialize(), k.toBytes()),
+    );
+
+(async () => {
+  console.log("\n🧪 StealthSigner wallet adapter");
+
+  const v = vectors[0];
+  const signer = await deriveStealthKeypair(
+    v.metaSpendPriv,
+    v.metaViewPub,
+    v.ephPriv,
+  );
+  assert.strictEqual(signer.publicKey.toBase58(), v.stealthPub);
+  const feePayer = Keypair.generate();
+
+  /* 1 — legacy tx, fee payer signs first or last -----------------*/
+  const a = legacyTx(feePayer.publicKey, signer.publicKey);
+  a.partialSign(feePayer);
+  await signer.signTransaction(a);
+  assert.ok(a.verifySignatures());
+
+  const b = legacyTx(feePayer.publicKey, signer.publicKey);
+  await signer.signTransaction(b);
+  assert.ok(!b.verifySignatures(), "fee payer signature still missing");
+  b.partialSign(feePayer);
+  assert.ok(b.verifySignatures());
+  assert.deepStrictEqual(a.serialize(), b.serialize());
+  console.log("   ✓ legacy: partial signing in either order");
+
+  /* 2 — versioned tx ---------------------------------------------*/
+  const c = versionedTx(feePayer.publicKey, signer.publicKey);
+  c.sign([feePayer]);
+  assert.strictEqual(await signer.signTransaction(c), c);
+  assert.ok(verifyVersioned(c));
+
+  const d = versionedTx(feePayer.publicKey, signer.publicKey);
+  await signer.signTransaction(d);
+  d.sign([feePayer]);
+  assert.ok(verifyVersioned(d));
+  assert.deepStrictEqual(c.serialize(), d.serialize());
+  console.log("   ✓ versioned: partial signing in either order");
+
+  /* 3 — not a signer → clear error -------------------------------*/
+  const stranger = Keypair.generate().publicKey;
+  await assert.rejects(
+    signer.signTransaction(versionedTx(feePayer.publicKey, stranger)),
+    /is not a signer/,
+  );
+  await assert.rejects(
+    signer.signTransaction(legacyTx(feePayer.publicKey, stranger)),
+    /unknown signer/,
+  );
+  console.log("   ✓ refuses transactions it is not a signer of");
+
+  /* 4 — signAllTransactions, mixed types -------------------------*/
+  const batch = [
+    legacyTx(signer.publicKey, signer.publicKey),
+    versionedTx(signer.publicKey, signer.publicKey),
+  ];
+  const signed = await signer.signAllTransactions(batch);
+  assert.strictEqual(signed.length, 2);
+  assert.ok(signed[0].verifySignatures());
+  assert.ok(verifyVersioned(signed[1]));
+  console.log("   ✓ signAllTransactions signs every transaction");
+
+  /* 5 — AnchorProvider with a separate fee payer -----------------*/
+  const connection = new StubConnection({ blockhash: BLOCKHASH });
+  const provider = new anchor.AnchorProvider(connection, signer, {
+    commitment: "confirmed",
+  });
+  const tx = new Transaction().add(withdrawIx(signer.publicKey));
+  tx.feePayer = feePayer.publicKey;
+  await provider.sendAndConfirm(tx, [feePayer]);
+  const [sent] = connection.sent;
+  assert.ok(sent.verifySignatures());
+  assert.ok(sent.feePayer.equals(feePayer.publicKey));
+
+  // Stealth owner paying its own fees, the default for a provider wallet.
+  await provider.sendAndConfirm(
+    new Transaction().add(
+      SystemProgram.transfer({
+        fromPubkey: signer.publicKey,
+        toPubkey: PublicKey.default,
+        lamports: 1,
+      }),
+    ),
+  );
+  assert.ok(connection.sent[1].feePayer.equals(signer.publicKey));
+  assert.ok(connection.sent[1].verifySignatures());
+  console.log("   ✓ AnchorProvider sends with the stealth signer as wallet");
+
+  console.log("\n🎉  SUCCESS: stealth signer wallet validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
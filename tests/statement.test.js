@@ -0,0 +1,340 @@
+// statement.test.js
+// ================================================================
+// Accounting export: statements from recorded payments and a
+// withdrawal, CSV / JSON / OFX output, fees, totals and byte-stable
+// ordering across runs.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import BN from "bn.js";
+import { sha256 } from "@noble/hashes/sha256";
+import { Keypair } from "@solana/web3.js";
+import { TOKEN_2022_PROGRAM_ID, getMintLen } from "@solana/spl-token";
+import {
+  STATEMENT_COLUMNS,
+  buildStatement,
+  statementToCSV,
+  statementToJSON,
+  statementToOFX,
+  decodeTransactionEvents,
+  scanPayments,
+  encodeLabel,
+  labelFields,
+} from "../sdk/index.js";
+
+const read = (name) =>
+  JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+const { receiver, owned, events: expected } = read("payment-events.json");
+const { destination, transactions } = read("transactions.json");
+
+const key = (label) =>
+  Keypair.fromSeed(sha256(new TextEncoder().encode(`pivy-statement:${label}`)))
+    .publicKey;
+const USDC = expected[0].mint;
+const FEE_MINT = key("fee-mint");
+
+// The withdrawal transaction paid 5000 lamports.
+const decoded = transactions.flatMap((tx) =>
+  decodeTransactionEvents(
+    decodeTransactionEvents(tx).some((e) => e.name === "WithdrawEvent")
+      ? { ...tx, meta: { ...tx.meta, fee: 5000 } }
+      : tx,
+  ),
+);
+const withdrawals = decoded.filter((e) => e.name === "WithdrawEvent");
+
+// A Token-2022 mint with a 1% fee (max 1 token), as `fetchMintInfos` returns it.
+const feeMint = {
+  decimals: 6,
+  symbol: "FEE",
+  epoch: 500n,
+  transferFee: {
+    transferFeeConfigAuthority: null,
+    withdrawWithheldAuthority: null,
+    withheldAmount: 0n,
+    olderTransferFee: {
+      epoch: 0n,
+      maximumFee: 1_000_000n,
+      transferFeeBasisPoints: 100,
+    },
+    newerTransferFee: {
+      epoch: 0n,
+      maximumFee: 1_000_000n,
+      transferFeeBasisPoints: 100,
+    },
+  },
+};
+const feeOwner = key("fee-owner");
+const feePayment = {
+  name: "PaymentEvent",
+  signature: "5feePay",
+  slot: 300000200,
+  blockTime: 1735700000,
+  stealthOwner: feeOwner,
+  payer: key("customer"),
+  mint: FEE_MINT,
+  amount: new BN(50_000_000),
+  ephPubkey: key("eph"),
+  announce: false,
+  ...labelFields(encodeLabel('Invoice "7", March')),
+};
+const feeWithdrawal = {
+  name: "WithdrawEvent",
+  signature: "5feeOut",
+  slot: 300000300,
+  blockTime: 1735800000,
+  stealthOwner: feeOwner,
+  mint: FEE_MINT,
+  amount: new BN(20_000_000),
+  destination: key("treasury"),
+  txFee: 5000,
+};
+const mints = { [USDC]: { decimals: 6, symbol: "USDC" }, [FEE_MINT]: feeMint };
+
+(async () => {
+  console.log("\n📒 Accounting statements");
+  const payments = await scanPayments({
+    metaViewPriv: receiver.metaViewPriv,
+    metaSpendPub: receiver.metaSpendPub,
+    events: decoded,
+  });
+  assert.strictEqual(payments.length, owned.length);
+
+  /* 1 — rows */
+  const statement = await buildStatement({
+    payments: [...payments, feePayment],
+    withdrawals: [...withdrawals, feeWithdrawal],
+    mints,
+  });
+  const { rows } = statement;
+  assert.strictEqual(rows.length, owned.length + 3);
+  assert.deepStrictEqual(Object.keys(rows[0]), STATEMENT_COLUMNS);
+  const first = rows[0];
+  assert.strictEqual(first.type, "payment");
+  assert.strictEqual(first.signature, expected[owned[0]].signature);
+  assert.strictEqual(
+    first.date,
+    new Date(expected[owned[0]].blockTime * 1000).toISOString(),
+  );
+  assert.strictEqual(first.symbol, "USDC");
+  assert.strictEqual(first.amount, "25");
+  assert.strictEqual(first.rawAmount, "25000000");
+  assert.strictEqual(first.counterparty, expected[owned[0]].payer);
+  const out = rows.find((r) => r.type === "withdrawal" && r.mint === USDC);
+  assert.strictEqual(out.counterparty, destination);
+  assert.strictEqual(out.networkFee, "5000");
+  assert.strictEqual(out.transferFee, "0");
+  const labelled = rows.find(
+    (r) => r.mint === FEE_MINT.toBase58() && r.type === "payment",
+  );
+  assert.strictEqual(labelled.label, 'Invoice "7", March');
+  assert.strictEqual(labelled.labelType, "text");
+  const slots = rows.map((r) => r.slot);
+  assert.deepStrictEqual(
+    slots,
+    [...slots].sort((a, b) => a - b),
+  );
+  console.log(
+    `   ✓ ${rows.length} rows: payments, withdrawals, labels, destinations`,
+  );
+
+  /* 2 — fees and totals */
+  const feeOut = rows.find((r) => r.signature === "5feeOut");
+  assert.strictEqual(feeOut.transferFee, "0.2"); // 1% of 20
+  const usdc = statement.totals.find((t) => t.mint === USDC);
+  const sum = (list) =>
+    list.reduce((s, i) => s + BigInt(expected[i].amount), 0n);
+  const paid = owned.filter((i) => !expected[i].announce);
+  const announced = owned.filter((i) => expected[i].announce);
+  const received = sum(paid);
+  assert.strictEqual(usdc.payments, paid.length);
+  assert.strictEqual(usdc.received, (Number(received) / 1e6).toString());
+  assert.strictEqual(usdc.announcements, announced.length);
+  assert.strictEqual(usdc.announced, (Number(sum(announced)) / 1e6).toString());
+  assert.strictEqual(usdc.withdrawals, 1);
+  assert.strictEqual(
+    usdc.balance,
+    (Number(received - BigInt(out.rawAmount)) / 1e6).toString(),
+  );
+  assert.deepStrictEqual(
+    statement.totals.find((t) => t.symbol === "FEE"),
+    {
+      mint: FEE_MINT.toBase58(),
+      symbol: "FEE",
+      payments: 1,
+      received: "50",
+      announcements: 0,
+      announced: "0",
+      withdrawals: 1,
+      withdrawn: "20",
+      transferFees: "0.2",
+      balance: "30",
+    },
+  );
+  assert.strictEqual(statement.networkFee, "10000");
+  console.log("   ✓ network and transfer fees, per-mint totals");
+
+  /* 3 — deterministic regardless of input order */
+  const shuffled = await buildStatement({
+    payments: [feePayment, ...payments].reverse(),
+    withdrawals: [feeWithdrawal, ...withdrawals],
+    mints: Object.fromEntries(Object.entries(mints).reverse()),
+  });
+  assert.strictEqual(statementToCSV(shuffled), statementToCSV(statement));
+  assert.strictEqual(statementToJSON(shuffled), statementToJSON(statement));
+  // a fee shared by two withdrawals in one tx is charged once
+  const swept = await buildStatement({
+    payments: [...payments, feePayment],
+    withdrawals: [
+      feeWithdrawal,
+      {
+        ...feeWithdrawal,
+        stealthOwner: payments[1].stealthOwner,
+        mint: key("x"),
+        amount: new BN(1),
+      },
+    ],
+    mints: { ...mints, [key("x").toBase58()]: { decimals: 0 } },
+  });
+  assert.strictEqual(swept.rows.filter((r) => r.networkFee).length, 1);
+  assert.strictEqual(swept.networkFee, "5000");
+  console.log(
+    "   ✓ byte-identical exports from shuffled input; fees counted once per tx",
+  );
+
+  /* 4 — formats */
+  const csv = statementToCSV(statement);
+  const lines = csv.trimEnd().split("\n");
+  assert.strictEqual(lines[0], STATEMENT_COLUMNS.join(","));
+  assert.strictEqual(lines.length, rows.length + 1);
+  assert.ok(csv.includes('"Invoice ""7"", March"'));
+  const json = JSON.parse(statementToJSON(statement));
+  assert.deepStrictEqual(json.rows, rows);
+  assert.deepStrictEqual(json.totals, statement.totals);
+
+  const ofx = statementToOFX(statement, {
+    mint: FEE_MINT,
+    account: "st:sol:demo",
+  });
+  assert.ok(ofx.startsWith('<?xml version="1.0"'));
+  assert.strictEqual(ofx.match(/<STMTTRN>/g).length, 2);
+  assert.ok(ofx.includes("<CURDEF>FEE</CURDEF>"));
+  assert.ok(ofx.includes("<TRNTYPE>CREDIT</TRNTYPE>"));
+  assert.ok(ofx.includes("<TRNAMT>-20</TRNAMT>"));
+  assert.ok(ofx.includes('<NAME>Invoice "7", March</NAME>'));
+  assert.ok(ofx.includes("<BALAMT>30</BALAMT>"));
+  assert.ok(ofx.includes("<DTSERVER>20250102064000</DTSERVER>"));
+  assert.ok(ofx.includes("<ACCTID>st:sol:demo</ACCTID>"));
+  assert.strictEqual(
+    statementToOFX(shuffled, { mint: FEE_MINT, account: "st:sol:demo" }),
+    ofx,
+  );
+  // FITIDs come from chain data, so an earlier row does not renumber them
+  const fitids = (text) => text.match(/<FITID>[^<]+<\/FITID>/g);
+  assert.ok(
+    fitids(ofx).includes(
+      `<FITID>5feeOut:withdrawal:${feeOwner.toBase58()}:${FEE_MINT.toBase58()}</FITID>`,
+    ),
+  );
+  const backfilled = await buildStatement({
+    payments: [
+      ...payments,
+      feePayment,
+      { ...feePayment, signature: "5older", slot: 300000100 },
+    ],
+    withdrawals: [...withdrawals, feeWithdrawal],
+    mints,
+  });
+  const later = fitids(statementToOFX(backfilled, { mint: FEE_MINT }));
+  assert.strictEqual(later.length, 3);
+  assert.deepStrictEqual(later.slice(1), fitids(ofx));
+  assert.throws(
+    () => statementToOFX(statement, { mint: key("none") }),
+    /no rows for mint/,
+  );
+  console.log("   ✓ CSV quoting, JSON and OFX output");
+
+  /* 5 — mint decimals from the chain */
+  const mintData = Buffer.alloc(getMintLen([]));
+  mintData[44] = 9; // decimals
+  mintData[45] = 1; // is_initialized
+  const connection = {
+    getMultipleAccountsInfo: async (keys) =>
+      keys.map((k) =>
+        k.toBase58() === USDC
+          ? {
+              owner: TOKEN_2022_PROGRAM_ID,
+              data: mintData,
+              lamports: 1,
+              executable: false,
+            }
+          : null,
+      ),
+  };
+  const fetched = await buildStatement({ payments, withdrawals, connection });
+  assert.strictEqual(fetched.rows[0].amount, "0.025");
+  await assert.rejects(
+    buildStatement({ payments: [feePayment], mints: {} }),
+    /Unknown decimals for mint/,
+  );
+  console.log("   ✓ decimals read through the connection when not given");
+
+  /* 6 — announce-only events are not income */
+  // Anyone with the meta-address can emit an `announce` of any amount.
+  const spoof = {
+    ...feePayment,
+    signature: "5spoof",
+    slot: 300000400,
+    blockTime: 1735900000,
+    amount: new BN("1000000000000"),
+    announce: true,
+  };
+  const padded = await buildStatement({
+    payments: [...payments, feePayment, spoof],
+    withdrawals: [...withdrawals, feeWithdrawal],
+    mints,
+  });
+  const spoofRow = padded.rows.find((r) => r.signature === "5spoof");
+  assert.strictEqual(spoofRow.type, "announce");
+  assert.strictEqual(spoofRow.amount, "1000000");
+  const feeTotals = padded.totals.find((t) => t.symbol === "FEE");
+  assert.strictEqual(feeTotals.received, "50");
+  assert.strictEqual(feeTotals.announcements, 1);
+  assert.strictEqual(feeTotals.announced, "1000000");
+  assert.strictEqual(feeTotals.balance, "30");
+  assert.ok(statementToCSV(padded).includes(",announce,"));
+  assert.strictEqual(
+    statementToOFX(padded, { mint: FEE_MINT, account: "st:sol:demo" }),
+    ofx,
+  );
+  // a CCTP receipt (announce) that is withdrawn nets out at zero
+  const bridged = await buildStatement({
+    payments: [
+      {
+        ...feePayment,
+        stealthOwner: key("cctp"),
+        amount: new BN(5_000_000),
+        announce: true,
+      },
+    ],
+    withdrawals: [
+      {
+        ...feeWithdrawal,
+        stealthOwner: key("cctp"),
+        amount: new BN(5_000_000),
+      },
+    ],
+    mints,
+  });
+  assert.strictEqual(bridged.totals[0].withdrawn, "5");
+  assert.strictEqual(bridged.totals[0].balance, "0");
+  assert.ok(
+    statementToOFX(bridged, { mint: FEE_MINT }).includes("<BALAMT>0</BALAMT>"),
+  );
+  console.log("   ✓ announce-only rows flagged, kept out of balances and OFX");
+
+  console.log("\n🎉  SUCCESS: accounting export validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
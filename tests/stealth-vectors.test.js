@@ -0,0 +1,124 @@
+// stealth-vectors.test.js
+// ================================================================
+// Checks every stealth entry point against the published v1 vectors
+// in tests/vectors/stealth-v1.json — no RPC required.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import * as ed from "@noble/ed25519";
+import {
+  STEALTH_SCHEME_VERSION,
+  deriveStealthPub,
+  deriveStealthPubFromView,
+  deriveStealthKeypair,
+  encryptEphemeralPrivKey,
+  decryptEphemeralPrivKey,
+  MEMO_VERSION_LEGACY,
+  MEMO_VERSION_AEAD,
+  memoViewTag,
+  computeViewTag,
+  encodeMetaAddress,
+} from "../sdk/index.js";
+import { sharedSecretFromView, stealthTweak } from "../sdk/stealth.js";
+import StealthAddressDeriver from "./test.js";
+
+const { scheme, vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+const hex = (u8) => Buffer.from(u8).toString("hex");
+const unhex = (h) => Buffer.from(h, "hex");
+
+(async () => {
+  console.log("\n🧪 PIVY stealth scheme v1 test vectors");
+  assert.strictEqual(scheme, STEALTH_SCHEME_VERSION);
+
+  for (const [i, v] of vectors.entries()) {
+    const ephPriv = unhex(v.ephPriv);
+
+    const shared = await sharedSecretFromView(v.metaViewPriv, v.ephPub);
+    assert.strictEqual(hex(shared), v.sharedSecret, `#${i} shared secret`);
+    assert.strictEqual(
+      stealthTweak(shared).toString(16).padStart(64, "0"),
+      v.tweak,
+      `#${i} tweak`,
+    );
+
+    const payerSide = await deriveStealthPub(
+      v.metaSpendPub,
+      v.metaViewPub,
+      ephPriv,
+    );
+    assert.strictEqual(payerSide.toBase58(), v.stealthPub, `#${i} payer S`);
+
+    assert.strictEqual(
+      encodeMetaAddress(v.metaSpendPub, v.metaViewPub),
+      v.metaAddress,
+      `#${i} meta-address`,
+    );
+    const viaMetaAddress = await deriveStealthPub(v.metaAddress, ephPriv);
+    assert.strictEqual(viaMetaAddress.toBase58(), v.stealthPub);
+
+    const receiverSide = await deriveStealthPubFromView(
+      v.metaSpendPub,
+      v.metaViewPriv,
+      v.ephPub,
+    );
+    assert.strictEqual(receiverSide.toBase58(), v.stealthPub, `#${i} view S`);
+
+    const signer = await deriveStealthKeypair(
+      v.metaSpendPriv,
+      v.metaViewPub,
+      ephPriv,
+    );
+    assert.strictEqual(signer.publicKey.toBase58(), v.stealthPub);
+    assert.strictEqual(hex(signer.scalarBytes), v.stealthScalar);
+
+    const sig = await signer.signMessage(v.message);
+    assert.strictEqual(hex(sig), v.signature, `#${i} signature`);
+    assert.ok(
+      await ed.verify(sig, Buffer.from(v.message), signer.publicKey.toBytes()),
+    );
+
+    const memo = await encryptEphemeralPrivKey(ephPriv, v.metaViewPub, {
+      nonce: unhex(v.memoNonce),
+    });
+    assert.strictEqual(memo, v.memo, `#${i} memo`);
+    assert.strictEqual(memoViewTag(v.memo), v.viewTag, `#${i} view tag`);
+    assert.strictEqual(computeViewTag(shared), v.viewTag);
+    const memoV1 = await encryptEphemeralPrivKey(ephPriv, v.metaViewPub, {
+      version: MEMO_VERSION_AEAD,
+      nonce: unhex(v.memoNonce),
+    });
+    assert.strictEqual(memoV1, v.memoV1, `#${i} v1 memo`);
+    const legacyMemo = await encryptEphemeralPrivKey(ephPriv, v.metaViewPub, {
+      version: MEMO_VERSION_LEGACY,
+      nonce: unhex(v.legacyMemoNonce),
+    });
+    assert.strictEqual(legacyMemo, v.legacyMemo, `#${i} legacy memo`);
+    for (const payload of [v.memo, v.memoV1, v.legacyMemo]) {
+      const decrypted = await decryptEphemeralPrivKey(
+        payload,
+        v.metaViewPriv,
+        v.ephPub,
+      );
+      assert.strictEqual(hex(decrypted), v.ephPriv, `#${i} memo round-trip`);
+    }
+
+    const legacy = await StealthAddressDeriver.deriveStealthAddress(
+      v.legacyMemo,
+      v.metaViewPriv,
+      v.metaSpendPriv,
+      v.ephPub,
+    );
+    assert.strictEqual(legacy.stealthPubkey, v.stealthPub, `#${i} deriver`);
+
+    console.log(`   ✓ vector #${i} → ${v.stealthPub}`);
+  }
+
+  console.log(
+    "\n🎉  SUCCESS: all stealth entry points agree with v1 vectors\n",
+  );
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
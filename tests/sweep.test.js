@@ -0,0 +1,196 @@
+// sweep.test.js
+// ================================================================
+// Sweep planner + executor against a stub RPC: packing limits,
+// skipped payments and per-transaction results.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import { sha256 } from "@noble/hashes/sha256";
+import { Keypair, PublicKey, PACKET_DATA_SIZE } from "@solana/web3.js";
+import { getAssociatedTokenAddressSync } from "@solana/spl-token";
+import * as ed from "@noble/ed25519";
+import {
+  planSweep,
+  executeSweep,
+  scanPayments,
+  deriveStealthPub,
+  PIVY_STEALTH_IDL,
+} from "../sdk/index.js";
+import { BorshCoder } from "@coral-xyz/anchor";
+import { StubConnection, mintAccount, tokenAccount } from "./helpers/stubs.js";
+
+const { receiver, events } = JSON.parse(
+  fs.readFileSync(new URL("./fixtures/payment-events.json", import.meta.url)),
+);
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+
+const seed = (label) => sha256(new TextEncoder().encode(`pivy-sweep:${label}`));
+const MINTS = [0, 1].map((i) => Keypair.fromSeed(seed(`mint:${i}`)).publicKey);
+
+// Payments to the fixture receiver with no memo at all.
+async function syntheticPayments(n) {
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const ephPriv = seed(`eph:${i}`);
+    out.push({
+      stealthOwner: (
+        await deriveStealthPub(
+          receiver.metaSpendPub,
+          receiver.metaViewPub,
+          ephPriv,
+        )
+      ).toBase58(),
+      ephPubkey: new PublicKey(await ed.getPublicKey(ephPriv)).toBase58(),
+      mint: MINTS[i % 2].toBase58(),
+    });
+  }
+  return out;
+}
+
+const withdrawOwners = (tx) =>
+  tx.instructions
+    .filter((ix) => {
+      try {
+        return coder.instruction.decode(ix.data)?.name === "withdraw";
+      } catch {
+        return false;
+      }
+    })
+    .map((ix) => ix.keys[0].pubkey.toBase58());
+
+(async () => {
+  console.log("\n🧪 Sweep planner");
+
+  const feePayer = Keypair.fromSeed(seed("fee-payer"));
+  const destination = Keypair.fromSeed(seed("destination")).publicKey;
+  const keys = {
+    metaSpendPriv: receiver.metaSpendPriv,
+    metaViewPriv: receiver.metaViewPriv,
+  };
+
+  const scanned = await scanPayments({
+    metaViewPriv: receiver.metaViewPriv,
+    metaSpendPub: receiver.metaSpendPub,
+    events,
+  });
+  const synthetic = await syntheticPayments(14);
+  const foreign = events.find(
+    (e) => !scanned.some((p) => p.signature === e.signature),
+  );
+  const payments = [...scanned, ...synthetic, synthetic[3], foreign];
+
+  /* 1 — offline plan: everything owned, packed within limits -------*/
+  const plan = await planSweep({
+    ...keys,
+    payments,
+    destination,
+    feePayer: feePayer.publicKey,
+  });
+  const planned = plan.transactions.flatMap((t) => t.items);
+  assert.strictEqual(planned.length, scanned.length + synthetic.length);
+  assert.deepStrictEqual(
+    plan.skipped.map((s) => s.reason),
+    ["duplicate stealth ATA", "not owned by these keys"],
+  );
+  assert.ok(plan.transactions.length > 1, "expected more than one tx");
+  for (const t of plan.transactions) {
+    assert.ok(t.size <= PACKET_DATA_SIZE);
+    assert.strictEqual(t.signatures, t.signers.length + 1);
+    assert.deepStrictEqual(
+      t.signers.map((s) => s.publicKey.toBase58()),
+      t.items.map((it) => it.stealthOwner.toBase58()),
+    );
+    for (const it of t.items)
+      assert.ok(
+        it.destinationAta.equals(
+          getAssociatedTokenAddressSync(it.mint, destination),
+        ),
+      );
+  }
+  console.log(
+    `   ✓ ${planned.length} withdrawals in ${plan.transactions.length} txs ` +
+      `(${plan.transactions.map((t) => t.size).join(", ")} bytes)`,
+  );
+
+  /* 2 — signature limit is honoured ------------------------------*/
+  const tight = await planSweep({
+    ...keys,
+    payments: synthetic,
+    destination,
+    maxSignatures: 3,
+  });
+  assert.ok(tight.transactions.every((t) => t.signatures <= 3));
+  assert.strictEqual(tight.transactions.length, synthetic.length / 2);
+  console.log("   ✓ maxSignatures = 3 → two withdrawals per tx");
+
+  /* 3 — on-chain balances: closed / empty ATAs are skipped --------*/
+  const accounts = new Map(
+    planned.map((it) => [it.mint.toBase58(), mintAccount()]),
+  );
+  for (const [i, it] of planned.entries()) {
+    if (i === 1) continue; // already swept → closed
+    accounts.set(
+      it.stealthAta.toBase58(),
+      tokenAccount(it.mint, it.stealthOwner, i === 2 ? 0n : BigInt(1000 + i)),
+    );
+  }
+  const connection = new StubConnection({ accounts });
+  const live = await planSweep({
+    ...keys,
+    payments,
+    destination,
+    feePayer: feePayer.publicKey,
+    connection,
+  });
+  const liveItems = live.transactions.flatMap((t) => t.items);
+  assert.strictEqual(liveItems.length, planned.length - 2);
+  assert.ok(liveItems.every((it) => it.balance > 0n));
+  assert.ok(
+    liveItems.every((it) => it.fee === 0n && it.received === it.balance),
+  );
+  assert.deepStrictEqual(live.skipped.map((s) => s.reason).sort(), [
+    "duplicate stealth ATA",
+    "not owned by these keys",
+    "stealth ATA closed",
+    "stealth ATA empty",
+  ]);
+  console.log("   ✓ closed and empty stealth ATAs skipped");
+
+  /* 4 — execution: signed, sent in order, failures reported -------*/
+  connection.failing.add(1);
+  const results = await executeSweep(live, { connection, feePayer });
+  assert.strictEqual(results.length, live.transactions.length);
+  assert.deepStrictEqual(
+    results.map((r) => r.status),
+    live.transactions.map((_, i) => (i === 1 ? "failed" : "confirmed")),
+  );
+  for (const [i, tx] of connection.sent.entries()) {
+    assert.ok(tx.feePayer.equals(feePayer.publicKey));
+    assert.deepStrictEqual(
+      withdrawOwners(tx),
+      live.transactions[i].items.map((it) => it.stealthOwner.toBase58()),
+    );
+  }
+  assert.ok(results[1].error instanceof Error);
+  console.log("   ✓ every tx verified; failure reported per transaction");
+
+  /* 5 — stopOnError leaves the rest unsent ------------------------*/
+  const halting = new StubConnection({ accounts });
+  halting.failing.add(0);
+  const stopped = await executeSweep(live, {
+    connection: halting,
+    feePayer,
+    stopOnError: true,
+  });
+  assert.strictEqual(halting.sent.length, 1);
+  assert.deepStrictEqual(
+    stopped.map((r) => r.status),
+    ["failed", ...live.transactions.slice(1).map(() => "skipped")],
+  );
+  console.log("   ✓ stopOnError halts after the first failure");
+
+  console.log("\n🎉  SUCCESS: sweep planner validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
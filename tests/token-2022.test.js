@@ -0,0 +1,391 @@
+// token-2022.test.js
+// ================================================================
+// Token-2022 mints: program detection, transfer-fee maths and the
+// pay / withdraw / sweep builders and transaction requests against a
+// stub RPC.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import { BorshCoder } from "@coral-xyz/anchor";
+import * as ed from "@noble/ed25519";
+import { Keypair, PublicKey, Transaction } from "@solana/web3.js";
+import {
+  ACCOUNT_SIZE,
+  AccountType,
+  ExtensionType,
+  MintLayout,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  TRANSFER_FEE_CONFIG_SIZE,
+  TransferFeeConfigLayout,
+  getAssociatedTokenAddressSync,
+  getMintLen,
+} from "@solana/spl-token";
+import {
+  fetchMintInfo,
+  fetchMintInfos,
+  transferFee,
+  grossUpForFee,
+  buildPayTransaction,
+  buildWithdrawTransaction,
+  planSweep,
+  deriveStealthPub,
+  createTransactionRequestHandler,
+  encodePaymentLink,
+  PIVY_STEALTH_IDL,
+} from "../sdk/index.js";
+import {
+  StubConnection,
+  mintAccount,
+  mintFields,
+  tokenAccount,
+} from "./helpers/stubs.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+
+// Token-2022 mint with a TransferFeeConfig extension; the newer fee takes
+// effect at epoch 10.
+function feeMint(decimals, older, newer) {
+  const data = Buffer.alloc(getMintLen([ExtensionType.TransferFeeConfig]));
+  MintLayout.encode(mintFields(decimals), data);
+  data[ACCOUNT_SIZE] = AccountType.Mint;
+  data.writeUInt16LE(ExtensionType.TransferFeeConfig, ACCOUNT_SIZE + 1);
+  data.writeUInt16LE(TRANSFER_FEE_CONFIG_SIZE, ACCOUNT_SIZE + 3);
+  TransferFeeConfigLayout.encode(
+    {
+      transferFeeConfigAuthority: PublicKey.default,
+      withdrawWithheldAuthority: PublicKey.default,
+      withheldAmount: 0n,
+      olderTransferFee: { epoch: 0n, ...older },
+      newerTransferFee: { epoch: 10n, ...newer },
+    },
+    data,
+    ACCOUNT_SIZE + 5,
+  );
+  return { data, owner: TOKEN_2022_PROGRAM_ID, lamports: 1, executable: false };
+}
+
+// The fee a Token-2022 transfer pays depends on the current epoch.
+class EpochConnection extends StubConnection {
+  constructor(accounts, epoch) {
+    super({ accounts, blockhash: PublicKey.default.toBase58() });
+    this.epoch = epoch;
+    this.epochCalls = 0;
+  }
+  async getEpochInfo() {
+    this.epochCalls++;
+    return { epoch: this.epoch };
+  }
+}
+
+(async () => {
+  console.log("\n🧪 Token-2022 mints");
+
+  const v = vectors[0];
+  const LEGACY = Keypair.generate().publicKey;
+  const FEE = Keypair.generate().publicKey; // 1% capped at 5 000, then 2.5%
+  const PLAIN_2022 = Keypair.generate().publicKey;
+  const accounts = new Map([
+    [LEGACY.toBase58(), mintAccount()],
+    [
+      FEE.toBase58(),
+      feeMint(
+        6,
+        { maximumFee: 5_000n, transferFeeBasisPoints: 100 },
+        { maximumFee: 1_000_000n, transferFeeBasisPoints: 250 },
+      ),
+    ],
+    [
+      PLAIN_2022.toBase58(),
+      mintAccount({ decimals: 9, programId: TOKEN_2022_PROGRAM_ID }),
+    ],
+  ]);
+  const connection = new EpochConnection(accounts, 3);
+
+  /* 1 — mint detection --------------------------------------------*/
+  const [legacy, fee, plain, missing] = await fetchMintInfos(connection, [
+    LEGACY,
+    FEE,
+    PLAIN_2022,
+    Keypair.generate().publicKey,
+  ]);
+  assert.ok(legacy.tokenProgram.equals(TOKEN_PROGRAM_ID));
+  assert.strictEqual(legacy.transferFee, null);
+  assert.ok(fee.tokenProgram.equals(TOKEN_2022_PROGRAM_ID));
+  assert.strictEqual(fee.decimals, 6);
+  assert.strictEqual(fee.epoch, 3n);
+  assert.ok(plain.tokenProgram.equals(TOKEN_2022_PROGRAM_ID));
+  assert.strictEqual(plain.decimals, 9);
+  assert.strictEqual(missing, null);
+  assert.strictEqual(connection.epochCalls, 1);
+
+  await fetchMintInfo(connection, LEGACY);
+  assert.strictEqual(connection.epochCalls, 1, "no epoch for fee-less mints");
+  await assert.rejects(
+    fetchMintInfo(connection, Keypair.generate().publicKey),
+    /not found/,
+  );
+  const notMint = Keypair.generate().publicKey;
+  accounts.set(
+    notMint.toBase58(),
+    mintAccount({ decimals: 0, programId: PublicKey.default }),
+  );
+  await assert.rejects(fetchMintInfo(connection, notMint), /not a token mint/);
+  console.log("   ✓ legacy / Token-2022 mints and fee configs detected");
+
+  /* 2 — transfer-fee maths ---------------------------------------*/
+  assert.strictEqual(transferFee(legacy, 1_000_000n), 0n);
+  assert.strictEqual(transferFee(fee, 10_000n), 100n);
+  assert.strictEqual(transferFee(fee, 101n), 2n, "fees round up");
+  assert.strictEqual(transferFee(fee, 10_000_000n), 5_000n, "capped");
+  assert.strictEqual(
+    transferFee({ ...fee, epoch: 10n }, 10_000n),
+    250n,
+    "newer fee from its epoch on",
+  );
+  for (const info of [fee, { ...fee, epoch: 12n }, legacy])
+    for (const net of [1n, 99n, 100n, 9_999n, 495_000n, 495_001n, 10n ** 12n]) {
+      const gross = grossUpForFee(info, net);
+      assert.ok(gross - transferFee(info, gross) >= net, `${net} arrives`);
+      assert.ok(
+        gross - 1n - transferFee(info, gross - 1n) < net,
+        `${gross} is the minimum for ${net}`,
+      );
+    }
+  assert.strictEqual(grossUpForFee(fee, 0n), 0n);
+  console.log("   ✓ fees round up, cap and switch epochs; gross-up is minimal");
+
+  /* 3 — pay: Token-2022 program, ATAs and amounts -----------------*/
+  const payer = Keypair.generate().publicKey;
+  const pay = await buildPayTransaction({
+    metaAddress: v.metaAddress,
+    mint: FEE,
+    amount: 1_000_000,
+    payer,
+    connection,
+  });
+  const payIx = pay.instructions[0];
+  assert.deepStrictEqual(
+    coder.instruction.decode(payIx.data).data.args.amount.toString(),
+    "1000000",
+  );
+  assert.ok(pay.tokenProgram.equals(TOKEN_2022_PROGRAM_ID));
+  assert.ok(payIx.keys[6].pubkey.equals(TOKEN_2022_PROGRAM_ID));
+  assert.ok(
+    payIx.keys[1].pubkey.equals(
+      getAssociatedTokenAddressSync(
+        FEE,
+        pay.stealthOwner,
+        false,
+        TOKEN_2022_PROGRAM_ID,
+      ),
+    ),
+  );
+  assert.ok(pay.stealthAta.equals(payIx.keys[1].pubkey));
+  assert.ok(
+    payIx.keys[3].pubkey.equals(
+      getAssociatedTokenAddressSync(FEE, payer, false, TOKEN_2022_PROGRAM_ID),
+    ),
+  );
+  assert.deepStrictEqual(pay.amounts, {
+    sent: 1_000_000n,
+    fee: 5_000n,
+    received: 995_000n,
+  });
+
+  const gross = await buildPayTransaction({
+    metaAddress: v.metaAddress,
+    mint: FEE,
+    amount: 1_000_000,
+    payer,
+    mintInfo: fee,
+    addTransferFee: true,
+  });
+  assert.deepStrictEqual(gross.amounts, {
+    sent: 1_005_000n,
+    fee: 5_000n,
+    received: 1_000_000n,
+  });
+  assert.strictEqual(
+    coder.instruction
+      .decode(gross.instructions[0].data)
+      .data.args.amount.toString(),
+    "1005000",
+  );
+
+  const blind = await buildPayTransaction({
+    metaAddress: v.metaAddress,
+    mint: LEGACY,
+    amount: 5,
+    payer,
+  });
+  assert.ok(blind.tokenProgram.equals(TOKEN_PROGRAM_ID));
+  assert.deepStrictEqual(blind.amounts, {
+    sent: 5n,
+    fee: null,
+    received: null,
+  });
+  await assert.rejects(
+    buildPayTransaction({
+      metaAddress: v.metaAddress,
+      mint: LEGACY,
+      amount: 5,
+      payer,
+      addTransferFee: true,
+    }),
+    /needs connection or mintInfo/,
+  );
+  await assert.rejects(
+    buildPayTransaction({
+      metaAddress: v.metaAddress,
+      mint: LEGACY,
+      amount: 5,
+      payer,
+      mintInfo: fee,
+    }),
+    /different mint/,
+  );
+  console.log(
+    "   ✓ pay targets the mint's program; fees shown or added on top",
+  );
+
+  /* 4 — withdraw --------------------------------------------------*/
+  const destination = Keypair.generate().publicKey;
+  const withdraw = await buildWithdrawTransaction({
+    stealthOwner: new PublicKey(v.stealthPub),
+    mint: PLAIN_2022,
+    destination,
+    connection,
+  });
+  const [createAta, withdrawIx] = withdraw.instructions;
+  assert.ok(withdraw.tokenProgram.equals(TOKEN_2022_PROGRAM_ID));
+  assert.ok(createAta.keys[5].pubkey.equals(TOKEN_2022_PROGRAM_ID));
+  assert.ok(withdrawIx.keys[4].pubkey.equals(TOKEN_2022_PROGRAM_ID));
+  assert.ok(
+    withdraw.destinationAta.equals(
+      getAssociatedTokenAddressSync(
+        PLAIN_2022,
+        destination,
+        false,
+        TOKEN_2022_PROGRAM_ID,
+      ),
+    ),
+  );
+  console.log("   ✓ withdraw derives Token-2022 ATAs");
+
+  /* 5 — sweep: per-mint programs, fees on the way out -------------*/
+  const payments = [];
+  for (const mint of [LEGACY, FEE, FEE]) {
+    const eph = ed.utils.randomPrivateKey();
+    payments.push({
+      stealthOwner: await deriveStealthPub(v.metaSpendPub, v.metaViewPub, eph),
+      ephPubkey: await ed.getPublicKey(eph),
+      mint,
+    });
+  }
+  payments.push({ ...payments[0], mint: Keypair.generate().publicKey });
+  const offline = await planSweep({
+    payments: payments.slice(0, 3),
+    metaSpendPriv: v.metaSpendPriv,
+    metaViewPriv: v.metaViewPriv,
+    destination,
+  });
+  const offlineItems = offline.transactions.flatMap((t) => t.items);
+  assert.ok(
+    offlineItems.every((it) => it.tokenProgram.equals(TOKEN_PROGRAM_ID)),
+  );
+
+  const programs = [
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+  ];
+  payments.slice(0, 3).forEach((p, i) => {
+    const ata = getAssociatedTokenAddressSync(
+      p.mint,
+      p.stealthOwner,
+      false,
+      programs[i],
+    );
+    accounts.set(
+      ata.toBase58(),
+      tokenAccount(p.mint, p.stealthOwner, [2_000n, 300_000n, 1_000_000n][i], {
+        programId: programs[i],
+      }),
+    );
+  });
+  const plan = await planSweep({
+    payments,
+    metaSpendPriv: v.metaSpendPriv,
+    metaViewPriv: v.metaViewPriv,
+    destination,
+    connection,
+  });
+  const items = plan.transactions.flatMap((t) => t.items);
+  assert.deepStrictEqual(
+    plan.skipped.map((s) => s.reason),
+    ["mint not found"],
+  );
+  assert.deepStrictEqual(
+    items.map((it) => [
+      it.tokenProgram.toBase58(),
+      it.balance,
+      it.fee,
+      it.received,
+    ]),
+    [
+      [TOKEN_PROGRAM_ID.toBase58(), 2_000n, 0n, 2_000n],
+      [TOKEN_2022_PROGRAM_ID.toBase58(), 300_000n, 3_000n, 297_000n],
+      [TOKEN_2022_PROGRAM_ID.toBase58(), 1_000_000n, 5_000n, 995_000n],
+    ],
+  );
+  for (const it of items)
+    assert.ok(
+      it.destinationAta.equals(
+        getAssociatedTokenAddressSync(
+          it.mint,
+          destination,
+          false,
+          it.tokenProgram,
+        ),
+      ),
+    );
+  console.log("   ✓ sweep reads each mint's program and reports exit fees");
+
+  /* 6 — Solana Pay: link amount arrives in full ------------------*/
+  const handle = createTransactionRequestHandler({
+    connection,
+    icon: "https://pivy.me/icon.png",
+  });
+  const link = encodePaymentLink(
+    { metaAddress: v.metaAddress, mint: FEE, amount: "1" },
+    { solanaPay: true },
+  );
+  const res = await handle({
+    method: "POST",
+    url: decodeURIComponent(link.slice("solana:".length)),
+    body: { account: payer.toBase58() },
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(
+    res.body.message,
+    "Private payment (incl. 0.005 transfer fee)",
+  );
+  const [requested] = Transaction.from(
+    Buffer.from(res.body.transaction, "base64"),
+  ).instructions;
+  assert.strictEqual(
+    coder.instruction.decode(requested.data).data.args.amount.toString(),
+    "1005000",
+  );
+  assert.ok(requested.keys[6].pubkey.equals(TOKEN_2022_PROGRAM_ID));
+  console.log("   ✓ transaction requests add the transfer fee on top");
+
+  console.log("\n🎉  SUCCESS: Token-2022 support validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,256 @@
+// transaction-request.test.js
+// ================================================================
+// Solana Pay transaction-request handler behind a local HTTP server,
+// with a stub connection; the receiver recovers every payment.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import http from "http";
+import { Readable } from "stream";
+import { BorshCoder } from "@coral-xyz/anchor";
+import { Keypair, Transaction } from "@solana/web3.js";
+import {
+  createTransactionRequestHandler,
+  toNodeListener,
+  encodePaymentLink,
+  decodeEvents,
+  scanPayments,
+  labelFields,
+  PIVY_STEALTH_IDL,
+  PIVY_PROGRAM_ID,
+  MEMO_PROGRAM_ID,
+} from "../sdk/index.js";
+import { StubConnection, mintAccount } from "./helpers/stubs.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+const receiver = vectors[0];
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+const MINT = Keypair.generate().publicKey;
+const BLOCKHASH = Keypair.generate().publicKey.toBase58();
+
+// Decodes the returned transaction the way a wallet + indexer would.
+function inspect(base64, account) {
+  const tx = Transaction.from(Buffer.from(base64, "base64"));
+  assert.ok(tx.feePayer.equals(account));
+  assert.strictEqual(tx.recentBlockhash, BLOCKHASH);
+  assert.ok(
+    tx.signatures.every((s) => s.signature === null),
+    "unsigned",
+  );
+  const [pay, memo] = tx.instructions;
+  assert.ok(pay.programId.equals(PIVY_PROGRAM_ID));
+  assert.ok(memo.programId.equals(MEMO_PROGRAM_ID));
+  const { name, data } = coder.instruction.decode(pay.data);
+  assert.strictEqual(name, "pay");
+  assert.ok(pay.keys[2].pubkey.equals(account) && pay.keys[2].isSigner);
+  assert.ok(pay.keys[4].pubkey.equals(MINT));
+  return {
+    stealthOwner: pay.keys[0].pubkey,
+    payer: account,
+    mint: MINT,
+    amount: data.args.amount,
+    ephPubkey: data.args.ephPubkey,
+    announce: false,
+    memo: memo.data.toString("utf8"),
+    ...labelFields(data.args.label),
+  };
+}
+
+(async () => {
+  console.log("\n🧪 Solana Pay transaction requests");
+
+  const handler = createTransactionRequestHandler({
+    connection: new StubConnection({
+      accounts: new Map([[MINT.toBase58(), mintAccount()]]),
+      blockhash: BLOCKHASH,
+    }),
+    icon: "https://pivy.me/icon.svg",
+    label: "PIVY test",
+    encryptLabel: true,
+    resolveAlias: async (alias) =>
+      alias === "john"
+        ? {
+            metaAddress: receiver.metaAddress,
+            mint: MINT.toBase58(),
+            amount: "2.5",
+            label: "coffee",
+          }
+        : null,
+  });
+  const server = http.createServer(toNodeListener(handler));
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  // Wallet side: decode the solana: link, then talk to the endpoint.
+  const endpoint = (link) => {
+    const url = new URL(decodeURIComponent(link.slice("solana:".length)));
+    return origin + url.pathname + url.search;
+  };
+  const post = (url, body) =>
+    fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+
+  try {
+    const alias = endpoint(
+      encodePaymentLink({ alias: "john" }, { solanaPay: true }),
+    );
+    const direct = endpoint(
+      encodePaymentLink(
+        { metaAddress: receiver.metaAddress, mint: MINT, amount: "0.000001" },
+        { solanaPay: true },
+      ),
+    );
+
+    /* 1 — GET → label + icon ---------------------------------------*/
+    const get = await fetch(alias);
+    assert.strictEqual(get.status, 200);
+    assert.strictEqual(get.headers.get("access-control-allow-origin"), "*");
+    assert.deepStrictEqual(await get.json(), {
+      label: "PIVY test",
+      icon: "https://pivy.me/icon.svg",
+    });
+    console.log("   ✓ GET returns label and icon");
+
+    /* 2 — POST → fresh stealth payment per request ------------------*/
+    const account = Keypair.generate().publicKey;
+    const events = [];
+    for (let i = 0; i < 2; i++) {
+      const res = await post(alias, { account: account.toBase58() });
+      assert.strictEqual(res.status, 200);
+      const json = await res.json();
+      assert.strictEqual(json.message, "Private payment to john");
+      events.push(inspect(json.transaction, account));
+    }
+    assert.ok(!events[0].stealthOwner.equals(events[1].stealthOwner));
+    assert.ok(!events[0].ephPubkey.equals(events[1].ephPubkey));
+    assert.strictEqual(events[0].amount.toString(), "2500000");
+    assert.strictEqual(events[0].labelData.type, "encrypted");
+
+    const res = await post(direct, { account: account.toBase58() });
+    assert.strictEqual(res.status, 200);
+    const json = await res.json();
+    assert.strictEqual(json.message, "Private payment");
+    events.push(inspect(json.transaction, account));
+    assert.strictEqual(events[2].amount.toString(), "1");
+    assert.strictEqual(events[2].labelData.type, "none");
+    console.log(
+      "   ✓ POST returns an unsigned pay + memo tx, new owner each time",
+    );
+
+    /* 3 — receiver finds all of them --------------------------------*/
+    const found = await scanPayments({
+      metaViewPriv: receiver.metaViewPriv,
+      metaSpendPub: receiver.metaSpendPub,
+      events,
+    });
+    assert.strictEqual(found.length, 3);
+    assert.ok(found.every((p) => p.ephPriv));
+    assert.strictEqual(found[0].labelText, "coffee");
+    console.log("   ✓ receiver scans and decrypts every payment");
+
+    /* 4 — errors ----------------------------------------------------*/
+    const errors = [
+      [post(`${origin}/api/pay/jane`, { account: account.toBase58() }), 404],
+      [post(alias, { account: "nope" }), 400],
+      [post(alias, "{not json"), 400],
+      [
+        post(
+          endpoint(
+            encodePaymentLink(
+              { metaAddress: receiver.metaAddress, mint: MINT },
+              { solanaPay: true },
+            ),
+          ),
+          { account: account.toBase58() },
+        ),
+        400,
+      ],
+      [
+        post(
+          endpoint(
+            encodePaymentLink(
+              {
+                metaAddress: receiver.metaAddress,
+                mint: MINT,
+                amount: "0.0000001",
+              },
+              { solanaPay: true },
+            ),
+          ),
+          { account: account.toBase58() },
+        ),
+        400,
+      ],
+      [fetch(`${origin}/api/pay?to=st%3Asol%3Abad`), 400],
+      [fetch(`${origin}/pay/john`), 400],
+      [fetch(alias, { method: "PUT" }), 405],
+      [fetch(alias, { method: "OPTIONS" }), 204],
+    ];
+    for (const [pending, status] of errors) {
+      const r = await pending;
+      assert.strictEqual(r.status, status, `${r.url} → ${r.status}`);
+      if (status >= 400) assert.ok((await r.json()).error);
+    }
+    console.log(
+      `   ✓ ${errors.length} error / preflight responses as expected`,
+    );
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+
+  /* 5 — handler usable without HTTP --------------------------------*/
+  const direct = await handler({
+    method: "GET",
+    url: "/api/pay/john",
+    body: null,
+  });
+  assert.strictEqual(direct.status, 200);
+  assert.throws(
+    () => createTransactionRequestHandler({ connection: null }),
+    /icon/,
+  );
+  console.log("   ✓ framework-agnostic handler");
+
+  /* 6 — the Node listener never rejects ----------------------------*/
+  const response = () => ({
+    destroyed: false,
+    destroy() {
+      this.destroyed = true;
+    },
+    writeHead(status) {
+      this.status = status;
+      return this;
+    },
+    end(body) {
+      this.body = body;
+    },
+  });
+  const aborted = Object.assign(
+    new Readable({
+      read() {
+        this.destroy(new Error("aborted"));
+      },
+    }),
+    { method: "POST", url: "/api/pay/john" },
+  );
+  const dropped = response();
+  await toNodeListener(handler)(aborted, dropped);
+  assert.ok(dropped.destroyed && dropped.status === undefined);
+  const failing = response();
+  await toNodeListener(async () => {
+    throw new Error("boom");
+  })(Object.assign(Readable.from([]), { method: "GET", url: "/" }), failing);
+  assert.strictEqual(failing.status, 500);
+  assert.deepStrictEqual(JSON.parse(failing.body), { error: "Internal error" });
+  console.log("   ✓ aborted requests and throwing handlers handled");
+
+  console.log("\n🎉  SUCCESS: transaction requests validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
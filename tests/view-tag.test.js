@@ -0,0 +1,94 @@
+// view-tag.test.js
+// ================================================================
+// View tags: carried in v2 memos, let the scanner reject foreign
+// announcements before the point addition.
+// ================================================================
+import assert from "assert";
+import { Keypair } from "@solana/web3.js";
+import {
+  deriveStealthPub,
+  encryptEphemeralPrivKey,
+  memoViewTag,
+  computeViewTag,
+  checkAnnouncement,
+  MEMO_VERSION_AEAD,
+} from "../sdk/index.js";
+import { sharedSecretFromEph, sharedSecretFromView } from "../sdk/stealth.js";
+
+const FOREIGN = 256;
+
+async function announcement(metaSpendPub, metaViewPub) {
+  const eph = Keypair.generate();
+  const ephPriv = eph.secretKey.subarray(0, 32);
+  return {
+    ephPub: eph.publicKey,
+    stealthOwner: await deriveStealthPub(metaSpendPub, metaViewPub, ephPriv),
+    memo: await encryptEphemeralPrivKey(ephPriv, metaViewPub),
+    shared: await sharedSecretFromEph(ephPriv, metaViewPub),
+  };
+}
+
+(async () => {
+  console.log("\n🧪 View tags");
+
+  const metaSpend = Keypair.generate();
+  const metaView = Keypair.generate();
+  const receiver = {
+    metaViewPriv: metaView.secretKey.subarray(0, 32),
+    metaSpendPub: metaSpend.publicKey,
+  };
+
+  /* 1 — v2 memo carries the tag --------------------------------*/
+  const own = await announcement(metaSpend.publicKey, metaView.publicKey);
+  assert.strictEqual(memoViewTag(own.memo), computeViewTag(own.shared));
+  const v1 = await encryptEphemeralPrivKey(
+    Keypair.generate().secretKey.subarray(0, 32),
+    metaView.publicKey,
+    { version: MEMO_VERSION_AEAD },
+  );
+  assert.strictEqual(memoViewTag(v1), null);
+  console.log("   ✓ memo v2 carries the view tag; v1 carries none");
+
+  /* 2 — own announcement matches with and without the tag ------*/
+  const ownArgs = {
+    ...receiver,
+    ephPub: own.ephPub,
+    stealthOwner: own.stealthOwner,
+  };
+  assert.ok(
+    await checkAnnouncement({ ...ownArgs, viewTag: memoViewTag(own.memo) }),
+  );
+  assert.ok(await checkAnnouncement(ownArgs));
+  const wrongTag = (memoViewTag(own.memo) + 1) % 256;
+  assert.ok(!(await checkAnnouncement({ ...ownArgs, viewTag: wrongTag })));
+  console.log("   ✓ own announcement matches");
+
+  /* 3 — foreign announcements mostly fail on the tag -----------*/
+  let tagHits = 0;
+  for (let i = 0; i < FOREIGN; i++) {
+    const a = await announcement(
+      Keypair.generate().publicKey,
+      Keypair.generate().publicKey,
+    );
+    const viewTag = memoViewTag(a.memo);
+    const shared = await sharedSecretFromView(receiver.metaViewPriv, a.ephPub);
+    if (computeViewTag(shared) === viewTag) tagHits++;
+    assert.ok(
+      !(await checkAnnouncement({
+        ...receiver,
+        ephPub: a.ephPub,
+        stealthOwner: a.stealthOwner,
+        viewTag,
+      })),
+    );
+  }
+  assert.ok(tagHits < 8, `too many tag collisions: ${tagHits}`);
+  console.log(
+    `   ✓ ${FOREIGN - tagHits}/${FOREIGN} foreign announcements rejected by tag alone`,
+  );
+
+  console.log("\n🎉  SUCCESS: view tags validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});
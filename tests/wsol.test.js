@@ -0,0 +1,202 @@
+// wsol.test.js
+// ================================================================
+// Native SOL: wrap around `pay`, unwrap after `withdraw` and in
+// sweeps — instruction-level checks, no RPC.
+// ================================================================
+import assert from "assert";
+import fs from "fs";
+import { BorshCoder } from "@coral-xyz/anchor";
+import * as ed from "@noble/ed25519";
+import {
+  Keypair,
+  PublicKey,
+  SystemInstruction,
+  SystemProgram,
+} from "@solana/web3.js";
+import {
+  NATIVE_MINT,
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  TokenInstruction,
+  getAssociatedTokenAddressSync,
+} from "@solana/spl-token";
+import {
+  buildPayTransaction,
+  buildWithdrawTransaction,
+  planSweep,
+  deriveStealthPub,
+  PIVY_STEALTH_IDL,
+  PIVY_PROGRAM_ID,
+  MEMO_PROGRAM_ID,
+} from "../sdk/index.js";
+
+const { vectors } = JSON.parse(
+  fs.readFileSync(new URL("./vectors/stealth-v1.json", import.meta.url)),
+);
+const coder = new BorshCoder(PIVY_STEALTH_IDL);
+
+// Short name for each instruction, to compare sequences.
+function describe(ix) {
+  if (ix.programId.equals(SystemProgram.programId))
+    return `system:${SystemInstruction.decodeInstructionType(ix)}`;
+  if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) return "ata:create";
+  if (ix.programId.equals(MEMO_PROGRAM_ID)) return "memo";
+  if (ix.programId.equals(PIVY_PROGRAM_ID))
+    return `pivy:${coder.instruction.decode(ix.data).name}`;
+  if (ix.programId.equals(TOKEN_PROGRAM_ID))
+    return {
+      [TokenInstruction.SyncNative]: "token:syncNative",
+      [TokenInstruction.CloseAccount]: "token:close",
+    }[ix.data[0]];
+  return "?";
+}
+
+(async () => {
+  console.log("\n🧪 Native SOL wrap / unwrap");
+
+  const v = vectors[0];
+  const payer = Keypair.generate().publicKey;
+  const payerWsol = getAssociatedTokenAddressSync(NATIVE_MINT, payer);
+
+  /* 1 — pay: wrap → pay → memo → close ---------------------------*/
+  const pay = await buildPayTransaction({
+    metaAddress: v.metaAddress,
+    mint: NATIVE_MINT,
+    amount: 1_500_000_000,
+    payer,
+  });
+  assert.deepStrictEqual(pay.instructions.map(describe), [
+    "ata:create",
+    "system:Transfer",
+    "token:syncNative",
+    "pivy:pay",
+    "memo",
+    "token:close",
+  ]);
+  const [create, transfer, sync, payIx, , close] = pay.instructions;
+  assert.ok(create.keys[1].pubkey.equals(payerWsol));
+  const { fromPubkey, toPubkey, lamports } =
+    SystemInstruction.decodeTransfer(transfer);
+  assert.ok(fromPubkey.equals(payer) && toPubkey.equals(payerWsol));
+  assert.strictEqual(lamports.toString(), "1500000000");
+  assert.ok(sync.keys[0].pubkey.equals(payerWsol));
+  assert.ok(payIx.keys[3].pubkey.equals(payerWsol), "pays from WSOL ATA");
+  assert.deepStrictEqual(
+    close.keys.map((k) => k.pubkey.toBase58()),
+    [payerWsol, payer, payer].map(String),
+  );
+  assert.ok(close.keys[2].isSigner);
+
+  const noWrap = await buildPayTransaction({
+    metaAddress: v.metaAddress,
+    mint: NATIVE_MINT,
+    amount: 1,
+    payer,
+    wrapSol: false,
+  });
+  assert.deepStrictEqual(noWrap.instructions.map(describe), [
+    "pivy:pay",
+    "memo",
+  ]);
+  await assert.rejects(
+    buildPayTransaction({
+      metaAddress: v.metaAddress,
+      mint: Keypair.generate().publicKey,
+      amount: 1,
+      payer,
+      wrapSol: true,
+    }),
+    /native/,
+  );
+  console.log("   ✓ SOL payments wrap and close in one transaction");
+
+  /* 2 — withdraw: optional unwrap --------------------------------*/
+  const destination = Keypair.generate().publicKey;
+  const stealthOwner = new PublicKey(v.stealthPub);
+  const unwrap = await buildWithdrawTransaction({
+    stealthOwner,
+    mint: NATIVE_MINT,
+    destination,
+    unwrapSol: true,
+  });
+  assert.deepStrictEqual(unwrap.instructions.map(describe), [
+    "ata:create",
+    "pivy:withdraw",
+    "token:close",
+  ]);
+  const destWsol = getAssociatedTokenAddressSync(NATIVE_MINT, destination);
+  assert.ok(unwrap.destinationAta.equals(destWsol));
+  assert.ok(unwrap.instructions[2].keys[0].pubkey.equals(destWsol));
+  assert.ok(unwrap.instructions[2].keys[1].pubkey.equals(destination));
+  assert.ok(unwrap.transaction.feePayer.equals(destination));
+
+  const keep = await buildWithdrawTransaction({
+    stealthOwner,
+    mint: NATIVE_MINT,
+    destination,
+  });
+  assert.deepStrictEqual(keep.instructions.map(describe), [
+    "ata:create",
+    "pivy:withdraw",
+  ]);
+  await assert.rejects(
+    buildWithdrawTransaction({
+      stealthOwner,
+      mint: Keypair.generate().publicKey,
+      destination,
+      unwrapSol: true,
+    }),
+    /native/,
+  );
+  console.log("   ✓ withdrawals unwrap to SOL on request");
+
+  /* 3 — sweep: unwrap once per tx holding WSOL -------------------*/
+  const usdc = Keypair.generate().publicKey;
+  const payments = [];
+  for (let i = 0; i < 6; i++) {
+    const eph = ed.utils.randomPrivateKey();
+    payments.push({
+      stealthOwner: await deriveStealthPub(v.metaSpendPub, v.metaViewPub, eph),
+      ephPubkey: await ed.getPublicKey(eph),
+      mint: i < 4 ? NATIVE_MINT : usdc,
+    });
+  }
+  const plan = await planSweep({
+    payments,
+    metaSpendPriv: v.metaSpendPriv,
+    metaViewPriv: v.metaViewPriv,
+    destination,
+    unwrapSol: true,
+    maxSignatures: 4,
+  });
+  for (const t of plan.transactions) {
+    const names = t.instructions.map(describe);
+    const hasSol = t.items.some((it) => it.mint.equals(NATIVE_MINT));
+    assert.strictEqual(
+      names.filter((n) => n === "token:close").length,
+      +hasSol,
+    );
+    if (hasSol) assert.strictEqual(names.at(-1), "token:close");
+  }
+  assert.strictEqual(
+    plan.transactions.flatMap((t) => t.items).length,
+    payments.length,
+  );
+  await assert.rejects(
+    planSweep({
+      payments,
+      metaSpendPriv: v.metaSpendPriv,
+      metaViewPriv: v.metaViewPriv,
+      destination,
+      feePayer: payer,
+      unwrapSol: true,
+    }),
+    /fee payer/,
+  );
+  console.log("   ✓ sweeps unwrap WSOL at the end of each transaction");
+
+  console.log("\n🎉  SUCCESS: native SOL flows validated\n");
+})().catch((e) => {
+  console.error("❌ Test failed:", e);
+  process.exit(1);
+});